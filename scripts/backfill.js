@@ -0,0 +1,181 @@
+/* eslint-disable no-await-in-loop */
+
+/// <reference path="../src/typedefs.js" />
+
+/*
+ * This script stores the on-chain marketplace events that happened within a
+ * block range or a time window, i.e. while the crawler was down. Events that
+ * are already in the database are skipped, so it is safe to run it over a
+ * range that was partially crawled. Mints and plain transfers are only
+ * backfilled for the collections and addresses the alerts currently watch.
+ *
+ * Usage:
+ *   npm run backfill -- --from-block 15000000 --to-block 15001000
+ *   npm run backfill -- --from-date 2022-07-01T00:00:00Z --to-date 2022-07-02T00:00:00Z
+ *
+ * The last block/date defaults to the latest block.
+ */
+
+import path from "path";
+import dotenv from "dotenv";
+import minimist from "minimist";
+import { getDefaultProvider } from "ethers";
+import { nftEventEmitter as createNFTEventEmitter } from "../src/blockchain/index.js";
+import logMessage from "../src/log-message.js";
+import { createDbClient } from "../src/database/index.js";
+import createNFTEventHandler from "../src/create-nft-event-handler.js";
+import { createPriceOracle } from "../src/price-oracle/index.js";
+
+dotenv.config({ path: path.resolve(".env") });
+
+const {
+  ETHERSCAN_API_KEY,
+  INFURA_PROJECT_ID,
+  POCKET_PROJECT_ID,
+  POCKET_SECRET_KEY,
+  ALCHEMY_API_KEY,
+  ETHEREUM_NETWORK = "homestead",
+} = process.env;
+
+const argv = minimist(process.argv.slice(2), {
+  string: ["from-date", "to-date"],
+});
+
+const ethProvider = getDefaultProvider(ETHEREUM_NETWORK, {
+  etherscan: ETHERSCAN_API_KEY,
+  infura: INFURA_PROJECT_ID,
+  pocket: {
+    applicationId: POCKET_PROJECT_ID,
+    applicationSecretKey: POCKET_SECRET_KEY,
+  },
+  alchemy: ALCHEMY_API_KEY,
+});
+
+/**
+ * Find the first block mined at or after a date with a binary search over
+ * the block timestamps.
+ * @param {Date} date
+ * @param {Number} latestBlock - The number of the latest block.
+ * @return {Number} The block number.
+ */
+const findBlockByDate = async (date, latestBlock) => {
+  const timestamp = date.getTime() / 1000;
+  let low = 0;
+  let high = latestBlock;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    const { timestamp: blockTimestamp } = await ethProvider.getBlock(middle);
+    if (blockTimestamp < timestamp) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low;
+};
+
+/**
+ * Resolve the block range to backfill from the command line arguments.
+ * @return {Object} The range as { fromBlock, toBlock }. Null if the
+ * arguments are not valid.
+ */
+const getBlockRange = async () => {
+  const latestBlock = await ethProvider.getBlockNumber();
+  let fromBlock;
+  let toBlock = latestBlock;
+  if (argv["from-block"] != null) {
+    fromBlock = Number(argv["from-block"]);
+    if (argv["to-block"] != null) {
+      toBlock = Number(argv["to-block"]);
+    }
+  } else if (argv["from-date"] != null) {
+    fromBlock = await findBlockByDate(new Date(argv["from-date"]), latestBlock);
+    if (argv["to-date"] != null) {
+      toBlock = await findBlockByDate(new Date(argv["to-date"]), latestBlock);
+    }
+  }
+
+  if (
+    !Number.isInteger(fromBlock) ||
+    !Number.isInteger(toBlock) ||
+    fromBlock < 0 ||
+    fromBlock > toBlock
+  ) {
+    return null;
+  }
+
+  return { fromBlock, toBlock: Math.min(toBlock, latestBlock) };
+};
+
+const start = async () => {
+  const blockRange = await getBlockRange();
+  if (blockRange == null) {
+    logMessage({
+      message: `Invalid range. Use --from-block [--to-block] or --from-date [--to-date].`,
+      level: "error",
+    });
+    process.exit(1);
+  }
+
+  const { fromBlock, toBlock } = blockRange;
+  logMessage({
+    message: `Backfilling blocks ${fromBlock} to ${toBlock}`,
+    level: "info",
+  });
+  const dbClient = await createDbClient();
+  const { handleEmittedEvent } = createNFTEventHandler({
+    dbClient,
+    priceOracle: createPriceOracle({ ethProvider }),
+  });
+  const nftEventEmitter = createNFTEventEmitter(ethProvider, []);
+  // Like in the crawler, mints and transfers are only emitted for the
+  // collections and addresses watched by the alerts
+  const { objects: alerts } = await dbClient.getAllAlerts();
+  nftEventEmitter.setCollectionsToPoll([
+    ...new Set(
+      alerts.flatMap(({ tokens }) =>
+        (tokens || []).map((token) => token.split("/")[0])
+      )
+    ),
+  ]);
+  nftEventEmitter.setAddressesToWatch(alerts.map(({ address }) => address));
+  const handledEvents = [];
+  nftEventEmitter.on("event", (event, onStored) => {
+    handledEvents.push(
+      handleEmittedEvent(event)
+        .catch((error) => {
+          logMessage({
+            message: `Error storing backfilled event ${JSON.stringify(event)}`,
+            level: "error",
+            error,
+          });
+        })
+        .finally(onStored)
+    );
+  });
+  const totalEvents = await nftEventEmitter.backfill({ fromBlock, toBlock });
+  await Promise.all(handledEvents);
+  logMessage({
+    message: `Backfilled ${totalEvents} on-chain events from blocks ${fromBlock} to ${toBlock}`,
+    level: "info",
+  });
+  await dbClient.destroy();
+  process.exit(0);
+};
+
+start();
+
+process.on("unhandledRejection", (error) => {
+  logMessage({
+    message: `Unhandled promise rejection`,
+    level: "error",
+    error,
+  });
+  process.exit(-1);
+});
+
+process.on("uncaughtException", (error) => {
+  logMessage({ message: `Uncaught exception`, level: "error", error });
+  process.exit(-1);
+});
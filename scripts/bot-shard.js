@@ -31,6 +31,16 @@ const DELAY_BETWEEN_POLLS = 20 * 1000;
 // This is a preventive measure against silent disconnects.
 const POLLS_BETWEEN_RESETS = 1000;
 
+// Milliseconds spent waiting between each check for monthly summaries to send.
+const PNL_SUMMARY_DELAY = 60 * 60 * 1000;
+
+// Milliseconds spent waiting between each check for held events to summarize.
+const CATCH_UP_DELAY = 60 * 1000;
+
+// The Discord client in use, which is replaced on every reset. The loops below
+// run once per process and always go through the current client.
+let currentBotClient;
+
 const minutesAgo = (minutes = 1) =>
   new Date(new Date().setMinutes(new Date().getMinutes() - minutes));
 
@@ -117,6 +127,7 @@ const pollNFTEvents = async ({
     shardId,
     totalShards,
   });
+  currentBotClient = newBotClient;
   return pollNFTEvents({
     botClient: newBotClient,
     dbClient,
@@ -126,6 +137,37 @@ const pollNFTEvents = async ({
   });
 };
 
+/**
+ * Send the monthly profit and loss summaries once they are due.
+ */
+const sendPnLSummaries = async () => {
+  await currentBotClient.sendMonthlyPnLSummaries().catch((error) => {
+    logMessage({
+      message: `Error sending the monthly profit and loss summaries`,
+      level: "error",
+      error,
+    });
+  });
+  await sleep(PNL_SUMMARY_DELAY);
+  return sendPnLSummaries();
+};
+
+/**
+ * Send the summaries of the events held for alerts whose snooze or quiet
+ * hours are over.
+ */
+const catchUp = async () => {
+  await currentBotClient.sendCatchUpSummaries().catch((error) => {
+    logMessage({
+      message: `Error sending the catch-up summaries`,
+      level: "error",
+      error,
+    });
+  });
+  await sleep(CATCH_UP_DELAY);
+  return catchUp();
+};
+
 const start = async () => {
   const dbClient = await createDbClient();
   const botClient = await createBotClient({
@@ -133,6 +175,9 @@ const start = async () => {
     shardId,
     totalShards,
   });
+  currentBotClient = botClient;
+  sendPnLSummaries();
+  catchUp();
   return pollNFTEvents({ dbClient, botClient });
 };
 
@@ -17,12 +17,11 @@ import {
 import EventEmitter from "events";
 import logMessage from "../src/log-message.js";
 import { createDbClient } from "../src/database/index.js";
-import { getDefaultProvider, utils as etherUtils } from "ethers";
+import { getDefaultProvider } from "ethers";
 import sleep from "../src/sleep.js";
-import {
-  getCollectionFloor,
-  getHighestOffers,
-} from "../src/looksrare-api/index.js";
+import createNFTEventHandler from "../src/create-nft-event-handler.js";
+import createTraitIndex from "../src/create-trait-index.js";
+import { createPriceOracle } from "../src/price-oracle/index.js";
 
 dotenv.config({ path: path.resolve(".env") });
 
@@ -36,6 +35,12 @@ const {
 } = process.env;
 
 const UPDATE_ALERT_TOKENS_DELAY = 5 * 60 * 1000;
+const SAVE_CHECKPOINTS_DELAY = 60 * 1000;
+const RECONCILE_EVENTS_DELAY = 60 * 1000;
+const REMOVE_EXPIRED_OFFERS_DELAY = 60 * 60 * 1000;
+const INDEX_TRAITS_DELAY = 60 * 60 * 1000;
+// How many of the latest blocks are checked for chain reorganizations
+const RECONCILIATION_BLOCKS = 64;
 
 const ethProvider = getDefaultProvider(ETHEREUM_NETWORK, {
   etherscan: ETHERSCAN_API_KEY,
@@ -47,37 +52,6 @@ const ethProvider = getDefaultProvider(ETHEREUM_NETWORK, {
   alchemy: ALCHEMY_API_KEY,
 });
 
-/**
- *
- * Given a price and a floor, computes the floor difference such that it fits a maximum and a minimum.
- * @param {Number} price The price in the blockchain's native currency.
- * @param {Number} floor The floor price in the blockchain's native currency.
- * @param {Number} lowerBound (Optional) The minimum value this function can return.
- * @param {Number} upperBound (Optional) The maximum value this function can return.
- * @return {Number}
- */
-const computeFloorDifference = (
-  price,
-  floor,
-  lowerBound = -(10 ** 9),
-  upperBound = 10 ** 9
-) => {
-  if (floor === 0) {
-    return 1;
-  }
-
-  if (price === 0) {
-    return -1;
-  }
-
-  const difference = (price - floor) / floor;
-  return difference < lowerBound
-    ? lowerBound
-    : difference > upperBound
-    ? upperBound
-    : difference;
-};
-
 /**
  * This function takes as parameter already-configured clients and sets up NFT event monitoring on the target marketplaces.
  * @param {Object} params
@@ -90,6 +64,11 @@ const monitorBlockchainEvents = async ({
   nftClient,
   nftEventEmitter,
 }) => {
+  const { handleEmittedEvent } = createNFTEventHandler({
+    dbClient,
+    priceOracle: createPriceOracle({ ethProvider }),
+  });
+
   /**
    * Updates the tokens associated to an alert to always monitor the offers for collections that users own.
    * @param {Object[]} alerts - The alert objects on which to update the tokens
@@ -115,6 +94,45 @@ const monitorBlockchainEvents = async ({
     return alerts;
   };
 
+  /**
+   * Updates the tokens of the wallet alerts involved in a mint, transfer or burn right away, instead of waiting for the next sync of their tokens.
+   * @param {NFTEvent} event
+   */
+  const updateTransferredTokens = async ({
+    eventType,
+    collection,
+    tokenId,
+    tokenIds,
+    standard,
+    buyer,
+    seller,
+  }) => {
+    if (
+      !["mint", "transfer", "burn"].includes(eventType) ||
+      collection == null
+    ) {
+      return;
+    }
+
+    const tokens = (tokenIds || [tokenId])
+      .filter((id) => id != null)
+      .map((id) => `${collection}/${id}`);
+    let index = 0;
+    while (index < tokens.length) {
+      const token = tokens[index];
+      if (buyer != null) {
+        await dbClient.addAlertToken({ address: buyer, token });
+      }
+
+      // The sender of ERC-1155 tokens may still hold some of them
+      if (seller != null && standard !== "ERC-1155") {
+        await dbClient.removeAlertToken({ address: seller, token });
+      }
+
+      index += 1;
+    }
+  };
+
   /**
    * Reduces the alerts to the set of collections that at least one alert is watching.
    * @param {Alert[]} alerts - The alert objects on which to update the tokens
@@ -134,302 +152,167 @@ const monitorBlockchainEvents = async ({
   };
 
   /**
-   * Handles an NFT "offer" event.
-   * @param {NFTEvent} event
-   * @return {String[]} collections - The collection addresses.
+   * Updates the NFT event emitter to only retrieve marketplace orders and mints from the collections and addresses that the alerts are watching.
+   * @param {Alert[]} alerts
    */
-  const handleOffer = async (event, { price: collectionFloor = 0 } = {}) => {
-    const {
-      collection,
-      marketplace,
-      price,
-      tokenId,
-      endsAt,
-      orderHash,
-      // Offers polled from specific collections are always the current
-      // highest offer.
-      isHighestOffer: offerMustBeHighest = false,
-    } = event;
-    let isHighestOffer = offerMustBeHighest;
-    const { object: currentOffer } = await dbClient.getOffer({
-      collection,
-      tokenId,
-    });
-
-    const {
-      endsAt: currentOfferEndsAt = new Date("1970-01-01"),
-      price: currentOfferPrice = 0,
-    } = currentOffer || {};
-    if (
-      isHighestOffer ||
-      price > currentOfferPrice ||
-      currentOfferEndsAt < new Date().getTime()
-    ) {
-      isHighestOffer = true;
-      await dbClient.setOffer({
-        collection,
-        orderHash,
-        price,
-        endsAt,
-        marketplace,
-        tokenId,
-      });
-    }
-
-    return dbClient.addNFTEvent({
-      ...event,
-      orderHash,
-      isHighestOffer,
-      collectionFloor,
-      floorDifference: computeFloorDifference(price, collectionFloor),
-    });
+  const watchAlerts = (alerts) => {
+    nftEventEmitter.setCollectionsToPoll(alertsToCollections(alerts));
+    nftEventEmitter.setAddressesToWatch(alerts.map(({ address }) => address));
   };
 
   /**
-   * Handles a collection listing event generated by the nft event emitter.
+   * Periodically fetches the current alerts from the database, retrieves the tokens currently held by the addresses the alerts are watching, and updates the NFT event emitter to only retrieve marketplaces orders from those collections.
    * @param {NFTEvent} event
    * @param {CollectionFloor} floor
    */
-  const handleListing = async (
-    event,
-    {
-      price: collectionFloor = 0,
-      endsAt: currentEndsAt = new Date("1970-01-01"),
-    } = {}
-  ) => {
-    const {
-      collection,
-      marketplace,
-      price,
-      endsAt,
-      orderHash,
-      isNewFloor = false,
-    } = event;
-    if (
-      (isNewFloor && endsAt !== currentEndsAt && price !== collectionFloor) ||
-      collectionFloor === 0 ||
-      price < collectionFloor ||
-      currentEndsAt < new Date().getTime()
-    ) {
-      await dbClient.setCollectionFloor({
-        collection,
-        orderHash,
-        price,
-        endsAt,
-        marketplace,
-      });
-    }
-
-    return dbClient.addNFTEvent({
-      ...event,
-      orderHash,
-      collectionFloor,
-      floorDifference: computeFloorDifference(price, collectionFloor),
-    });
+  const pollAlertTokens = async () => {
+    const { objects: alerts } = await dbClient.getAllAlerts();
+    watchAlerts(alerts);
+    await updateAlertTokens(alerts);
+    await sleep(UPDATE_ALERT_TOKENS_DELAY);
+    return pollAlertTokens();
   };
 
   /**
-   * Forces an update on the collection's floor to whatever is the minimum current listing.
-   * @param {Object} params - The params object.
-   * @param {String} params.collection - The collection to update.
+   * Periodically saves the last block processed for each marketplace contract, so that the events missed while the crawler is down are replayed when it restarts.
    */
-  const forceFloorUpdate = async ({ collection }) => {
-    const newFloorListings = await getCollectionFloor({ collection });
-    if (newFloorListings.length > 0) {
-      const [{ price, endTime: endsAt, hash: newFloorHash }] = newFloorListings;
-      await dbClient.setCollectionFloor({
-        collection,
-        orderHash: newFloorHash,
-        price: Number(etherUtils.formatEther(price)),
-        endsAt: new Date(endsAt * 1000),
-        // This should be updated when offers/listings
-        // are pulled from other marketplaces
-        marketplace: "looksRare",
-      });
-      // If there are no listings, set the floor to 0
-    } else {
-      await dbClient.setCollectionFloor({
-        collection,
-        orderHash: null,
-        price: 0,
-        endsAt: new Date("1970-01-01"),
-        // This should be updated when offers/listings
-        // are pulled from other marketplaces
-        marketplace: "looksRare",
+  const saveCheckpoints = async () => {
+    const checkpoints = await nftEventEmitter
+      .getCheckpoints()
+      .catch((error) => {
+        logMessage({
+          message: `Error getting crawler checkpoints`,
+          level: "error",
+          error,
+        });
+        return [];
       });
-    }
+    await Promise.all(checkpoints.map(dbClient.setCrawlerCheckpoint));
+    await sleep(SAVE_CHECKPOINTS_DELAY);
+    return saveCheckpoints();
   };
 
   /**
-   * Forces an update on a collection or token to whatever is the highest current offer for that collection or token.
-   * @param {Object} params - The params object.
-   * @param {String} params.collection - The collection to update.
-   * @param {String|null} params.collection - The id of the token to update.
+   * Periodically checks whether the transactions of the latest events are still part of the chain. Events whose block was reorganized are either moved to the transaction's new block or marked as orphaned if the transaction is no longer in the chain.
    */
-  const forceOfferUpdate = async ({ collection, tokenId }) => {
-    const newOffers = await getHighestOffers({ collection, tokenId });
-    if (newOffers.length > 0) {
-      const [{ price, endTime: endsAt, hash: orderHash }] = newOffers;
-      await dbClient.setOffer({
-        collection,
-        tokenId,
-        orderHash,
-        price: Number(etherUtils.formatEther(price)),
-        endsAt: new Date(endsAt * 1000),
-        // This should be updated when offers/listings
-        // are pulled from other marketplaces
-        marketplace: "looksRare",
+  const reconcileNFTEvents = async () => {
+    try {
+      const latestBlock = await ethProvider.getBlockNumber();
+      const { objects: eventBlocks } = await dbClient.getNFTEventBlocks({
+        minBlockNumber: latestBlock - RECONCILIATION_BLOCKS,
       });
-      // If there are no offers, set the highest offer to 0
-    } else {
-      await dbClient.setOffer({
-        collection,
-        tokenId,
-        orderHash: null,
-        price: 0,
-        endsAt: new Date("1970-01-01"),
-        // This should be updated when offers/listings
-        // are pulled from other marketplaces
-        marketplace: "looksRare",
-      });
-    }
-  };
-
-  /**
-   * Handles an accept offer event generated by the nft event emitter.
-   * @param {NFTEvent} event
-   * @param {CollectionFloor} floor
-   */
-  const handleAcceptOffer = async (
-    event,
-    { price: collectionFloor = 0 } = {}
-  ) => {
-    const { collection, marketplace, price, orderHash, tokenId } = event;
-    const { object: currentOffer } = await dbClient.getOffer({
-      collection,
-      tokenId,
-    });
-    if (currentOffer != null && orderHash === currentOffer.orderHash) {
-      await forceOfferUpdate({ collection, tokenId, marketplace });
-    }
+      const blockHashes = {};
+      let index = 0;
+      while (index < eventBlocks.length) {
+        const { transactionHash, blockNumber, blockHash, orphaned } =
+          eventBlocks[index];
+        if (blockHashes[blockNumber] == null) {
+          const block = await ethProvider.getBlock(blockNumber);
+          blockHashes[blockNumber] = block ? block.hash : "";
+        }
 
-    return dbClient.addNFTEvent({
-      ...event,
-      collectionFloor,
-      floorDifference: computeFloorDifference(price, collectionFloor),
-    });
-  };
+        if (orphaned || blockHashes[blockNumber] !== blockHash) {
+          const receipt = await ethProvider.getTransactionReceipt(
+            transactionHash
+          );
+          const hasChanged =
+            receipt == null
+              ? !orphaned
+              : orphaned || receipt.blockHash !== blockHash;
+          if (hasChanged) {
+            logMessage({
+              message: `Chain reorganization of tx ${transactionHash}: ${
+                receipt == null
+                  ? "orphaned"
+                  : `moved to block ${receipt.blockHash}`
+              }`,
+              level: "warning",
+            });
+            await dbClient.setNFTEventsBlock({
+              transactionHash,
+              blockNumber: receipt ? receipt.blockNumber : null,
+              blockHash: receipt ? receipt.blockHash : null,
+            });
+          }
+        }
 
-  /**
-   * Handles an accept offer event generated by the nft event emitter.
-   * @param {NFTEvent} event
-   * @param {CollectionFloor} floor
-   */
-  const handleAcceptAsk = async (
-    event,
-    { price: collectionFloor = 0, orderHash: floorHash } = {}
-  ) => {
-    const { collection, price, orderHash } = event;
-    if (orderHash === floorHash) {
-      await forceFloorUpdate({
-        collection,
+        index += 1;
+      }
+    } catch (error) {
+      logMessage({
+        message: `Error reconciling NFT events`,
+        level: "error",
+        error,
       });
     }
 
-    return dbClient.addNFTEvent({
-      ...event,
-      collectionFloor,
-      floorDifference: computeFloorDifference(price, collectionFloor),
-    });
+    await sleep(RECONCILE_EVENTS_DELAY);
+    return reconcileNFTEvents();
   };
 
   /**
-   * Handles an accept offer event generated by the nft event emitter.
-   * @param {NFTEvent} event
-   * @param {CollectionFloor} floor
+   * Periodically removes the offers that expired from the offer book, so that it only keeps growing with the valid offers.
    */
-  const handleCancelOrder = async (event, currentFloor) => {
-    const { price: collectionFloor = 0, orderHash: floorHash } =
-      currentFloor || {};
-    const { collection, marketplace, price, orderHash, tokenId } = event;
-    if (orderHash === floorHash) {
-      await forceFloorUpdate({
-        collection,
-      });
-      return dbClient.addNFTEvent({
-        ...event,
-        collectionFloor,
-        floorDifference: computeFloorDifference(price, collectionFloor),
-      });
-    }
-
-    const { object: currentOffer } = await dbClient.getOffer({
-      collection,
-      tokenId,
-    });
-    if (currentOffer != null && orderHash === currentOffer.orderHash) {
-      await forceOfferUpdate({
-        collection,
-        tokenId,
-        marketplace,
-      });
-    }
-
-    return dbClient.addNFTEvent({
-      ...event,
-      collectionFloor,
-      floorDifference: computeFloorDifference(price, collectionFloor),
-    });
+  const removeExpiredOffers = async () => {
+    await dbClient.removeExpiredOffers();
+    await sleep(REMOVE_EXPIRED_OFFERS_DELAY);
+    return removeExpiredOffers();
   };
 
+  const traitIndex = createTraitIndex({ dbClient });
+
   /**
-   * Handles an NFT event coming from the NFT event emitter.
-   * @param {NFTEvent}
+   * Periodically indexes the traits of the tokens of the collections watched with trait filters, so that their events don't wait for the tokens' metadata. New tokens are indexed as they show up in events.
    */
-  const handleNFTEvent = async (event) => {
-    const { eventType, collection, price } = event;
-    const { object: floorObject } = await dbClient.getCollectionFloor({
-      collection,
-    });
-    const floor = floorObject || {};
-    const { price: collectionFloor = 0 } = floor;
-    switch (eventType) {
-      case "offer":
-        return handleOffer(event, floor);
-      case "listing":
-        return handleListing(event, floor);
-      case "acceptOffer":
-        return handleAcceptOffer(event, floor);
-      case "acceptAsk":
-        return handleAcceptAsk(event, floor);
-      case "cancelOrder":
-        return handleCancelOrder(event, floor);
-      default:
-        return dbClient.addNFTEvent({
-          ...event,
-          collectionFloor,
-          floorDifference: computeFloorDifference(price, collectionFloor),
+  const indexTraits = async () => {
+    const { objects: alerts } = await dbClient.getAllAlerts();
+    const collections = [
+      ...new Set(
+        alerts
+          .filter(({ traits }) => traits != null && traits.length > 0)
+          .map(({ address }) => address)
+      ),
+    ];
+    let index = 0;
+    while (index < collections.length) {
+      try {
+        const indexedTokens = await traitIndex.indexCollection(
+          collections[index]
+        );
+        logMessage({
+          message: `Indexed the traits of ${indexedTokens} tokens of ${collections[index]}`,
+        });
+      } catch (error) {
+        logMessage({
+          message: `Error indexing the traits of ${collections[index]}`,
+          level: "error",
+          error,
         });
+      }
+
+      index += 1;
     }
-  };
 
-  /**
-   * Periodically fetches the current alerts from the database, retrieves the tokens currently held by the addresses the alerts are watching, and updates the NFT event emitter to only retrieve marketplaces orders from those collections.
-   * @param {NFTEvent} event
-   * @param {CollectionFloor} floor
-   */
-  const pollAlertTokens = async () => {
-    const { objects: alerts } = await dbClient.getAllAlerts();
-    const collections = alertsToCollections(alerts);
-    nftEventEmitter.setCollectionsToPoll(collections);
-    await updateAlertTokens(alerts);
-    await sleep(UPDATE_ALERT_TOKENS_DELAY);
-    return pollAlertTokens();
+    await sleep(INDEX_TRAITS_DELAY);
+    return indexTraits();
   };
 
-  nftEventEmitter.start();
+  // The block of an event is only checkpointed once the event is stored
+  nftEventEmitter.on("event", (event, onStored) =>
+    handleEmittedEvent(event).finally(onStored)
+  );
+  nftEventEmitter.on("event", updateTransferredTokens);
+  // The mints missed while the crawler was down are only replayed for the
+  // watched collections and addresses
+  const { objects: alerts } = await dbClient.getAllAlerts();
+  watchAlerts(alerts);
+  const { objects: checkpoints } = await dbClient.getCrawlerCheckpoints();
+  await nftEventEmitter.start({ checkpoints });
   pollAlertTokens(nftEventEmitter);
-  nftEventEmitter.on("event", handleNFTEvent);
+  saveCheckpoints();
+  reconcileNFTEvents();
+  removeExpiredOffers();
+  indexTraits();
 };
 
 const start = async () => {
@@ -0,0 +1,55 @@
+import { readFileSync } from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { ethers, getDefaultProvider } from "ethers";
+
+dotenv.config({ path: path.resolve(".env") });
+
+const erc721Abi = JSON.parse(readFileSync("data/erc721Abi.json"));
+
+const {
+  ETHERSCAN_API_KEY,
+  INFURA_PROJECT_ID,
+  POCKET_PROJECT_ID,
+  POCKET_SECRET_KEY,
+  ALCHEMY_API_KEY,
+} = process.env;
+
+const ethProvider = getDefaultProvider("homestead", {
+  etherscan: ETHERSCAN_API_KEY,
+  infura: INFURA_PROJECT_ID,
+  pocket: {
+    applicationId: POCKET_PROJECT_ID,
+    applicationSecretKey: POCKET_SECRET_KEY,
+  },
+  alchemy: ALCHEMY_API_KEY,
+});
+
+/**
+ * Get how many tokens an ERC-721 collection has.
+ * @param  {String} collection - The collection's ETH address
+ * @return {Number|null} The total supply. Null if the contract doesn't
+ * implement it.
+ */
+export const getTotalSupply = (collection = "") => {
+  const tokenContract = new ethers.Contract(collection, erc721Abi, ethProvider);
+  return tokenContract
+    .totalSupply()
+    .then((totalSupply) => totalSupply.toNumber())
+    .catch(() => {
+      return null;
+    });
+};
+
+/**
+ * Get the metadata URI of an ERC-721 token.
+ * @param  {String} collection - The collection's ETH address
+ * @param  {String} tokenId
+ * @return {String|null} The URI. Null if the token doesn't exist.
+ */
+export const getTokenURI = (collection = "", tokenId = "") => {
+  const tokenContract = new ethers.Contract(collection, erc721Abi, ethProvider);
+  return tokenContract.tokenURI(tokenId).catch(() => {
+    return null;
+  });
+};
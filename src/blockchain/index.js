@@ -1,5 +1,12 @@
 import createNFTClient from "./create-nft-client.js";
 import getCollectionMetadata from "./get-collection-metadata.js";
+import { getTotalSupply, getTokenURI } from "./get-collection-tokens.js";
 import nftEventEmitter from "./nft-event-emitter.js";
 
-export { createNFTClient, getCollectionMetadata, nftEventEmitter };
+export {
+  createNFTClient,
+  getCollectionMetadata,
+  getTotalSupply,
+  getTokenURI,
+  nftEventEmitter,
+};
@@ -22,6 +22,7 @@ const {
   LOOKSRARE_RATE_LIMIT = 120,
   MARKETPLACES,
   ETHEREUM_NETWORK = "homestead",
+  CONFIRMATION_DEPTH = 1,
 } = process.env;
 
 const allMarketplaces = JSON.parse(readFileSync("data/marketplaces.json"));
@@ -29,12 +30,18 @@ const ethContracts = JSON.parse(readFileSync("data/eth-contracts.json"));
 const erc721Abi = JSON.parse(readFileSync("data/erc721Abi.json"));
 const erc1155Abi = JSON.parse(readFileSync("data/erc1155Abi.json"));
 const townStarAbi = JSON.parse(readFileSync("data/townStarAbi.json"));
+const erc20Abi = JSON.parse(readFileSync("data/erc20Abi.json"));
+const aggregators = JSON.parse(readFileSync("data/aggregators.json"));
+const currencies = JSON.parse(readFileSync("data/currencies.json"));
+const sudoswapPairAbi = JSON.parse(readFileSync("data/sudoswapPairAbi.json"));
+const looksRareStrategyAbi = JSON.parse(
+  readFileSync("data/looksRareStrategyAbi.json")
+);
 
 const allMarketplaceIds = allMarketplaces.map(({ id }) => id);
 
 const openSeaSSAddress = "0x495f947276749ce646f68ac8c248420045cb7b5e";
 const townStarAddress = "0xc36cf0cfcb5d905b8b513860db0cfe63f6cf9f5c";
-const gemV2Address = "0x83c8f28c26bf6aaca652df1dbbe0e1b56f8baba2";
 
 const LR_SLICE_SIZE = 40;
 const ONE_MINUTE = 1 * 60 * 1000;
@@ -42,6 +49,46 @@ const POLL_LR_ORDERS_PERIOD = 1 * 60 * 1000;
 const MAX_BLOCK_CACHE_SIZE = 100;
 const WAIT_FOR_COLLECTIONS = 5 * 1000;
 const LOOKSRARE_CACHE_DURATION = 10000;
+const BACKFILL_BLOCK_RANGE = 2000;
+// How many blocks behind the latest block the crawler checkpoints are saved,
+// to leave time for the events of the latest blocks to reach the listeners.
+const CHECKPOINT_SAFETY_BLOCKS = 10;
+// Maximum number of blocks replayed from a checkpoint on startup (~1 week)
+const MAX_REPLAY_BLOCKS = 50000;
+// How long to wait for an event's transaction to be confirmed before
+// dropping it
+const CONFIRMATION_TIMEOUT = 30 * 60 * 1000;
+// Blocks are mined every ~12s and the bot drops events that started more than
+// 10 minutes ago, so deeper confirmations would keep every event from being
+// notified (~6 minutes)
+const MAX_CONFIRMATION_DEPTH = 30;
+
+// Aggregators buy NFTs on behalf of their users, i.e. Gem or Genie
+const aggregatorAddresses = aggregators
+  .flatMap(({ [ETHEREUM_NETWORK]: addresses = [] }) => addresses)
+  .map((address) => address.toLowerCase());
+
+// NFTs sent to these addresses are burnt
+const burnAddresses = [
+  ethers.constants.AddressZero,
+  "0x000000000000000000000000000000000000dead",
+];
+
+// The transfers in transactions with events from these contracts are
+// marketplace trades
+const marketplaceAddresses = [
+  ...Object.values(ethContracts).map(
+    ({ [ETHEREUM_NETWORK]: address }) => address
+  ),
+  ...aggregatorAddresses,
+]
+  .filter((address) => typeof address === "string")
+  .map((address) => address.toLowerCase());
+
+const sudoswapPairInterface = new etherUtils.Interface(sudoswapPairAbi);
+const sudoswapSwapTopics = ["SwapNFTInPair", "SwapNFTOutPair"].map((name) =>
+  sudoswapPairInterface.getEventTopic(name)
+);
 
 const emptyContract = { removeAllListeners: () => {} };
 
@@ -50,24 +97,84 @@ const ALLOWED_MARKETPLACE_IDS =
 
 /**
  * Create an EventEmitter that listens to transactions on the main
- * NFT marketplaces and emits standardized events.
+ * NFT marketplaces and emits standardized events. The "event" listeners get
+ * the event and a function to call once it is stored, since the checkpoints
+ * wait for it.
  * @param {providers.Provider} ethProvider - An ethers.js provider already configured
  * @param {String[]} collections - The collections for which to poll offers and listings. On-chain events for other collections will still be emitted even if the collection is not part of this argument.
  * @return {EventEmitter}
  */
 export default (ethProvider, collections = []) => {
   let blockCache = {};
+  const currencyCache = {};
   let polling = false;
   let collectionsToPoll = collections;
+  let addressesToWatch = [];
   let contracts;
   const eventEmitter = new EventEmitter();
+  // Promises of the emitted on-chain events that are still being stored, by
+  // transaction hash
+  const storingEvents = {};
+
+  /*
+   * Emit a generic "event" along with a function that its listeners call once
+   * the event is stored, so that its block isn't checkpointed before.
+   */
+  const emitEvent = (event) => {
+    const { transactionHash } = event;
+    let onStored = () => {};
+
+    if (transactionHash != null) {
+      const stored = new Promise((resolve) => {
+        onStored = resolve;
+      });
+      storingEvents[transactionHash] = [
+        ...(storingEvents[transactionHash] || []),
+        stored,
+      ];
+      stored.then(() => {
+        const remaining = storingEvents[transactionHash].filter(
+          (promise) => promise !== stored
+        );
+        if (remaining.length === 0) {
+          delete storingEvents[transactionHash];
+        } else {
+          storingEvents[transactionHash] = remaining;
+        }
+      });
+    }
+
+    eventEmitter.emit("event", event, onStored);
+  };
 
   /*
    * A wrapper over the native EventEmitter .emit() function to also include the event
-   * type as a property and emit a generic "event" for all types.
+   * type as a property and emit a generic "event" for all types. Events parsed from
+   * ERC-1155 batch transfers are split into one event per token, with the price
+   * and seller profit divided proportionally to the amount of each token.
    */
-  const emit = (eventType, args) => {
-    eventEmitter.emit("event", { ...args, eventType });
+  const emit = (eventType, { batch, ...args }) => {
+    if (batch == null) {
+      emitEvent({ ...args, eventType });
+      return;
+    }
+
+    const totalAmount = batch.reduce((sum, { amount }) => sum + amount, 0);
+    const share = (value, amount) =>
+      typeof value === "number" && totalAmount > 0
+        ? (value * amount) / totalAmount
+        : value;
+    batch.forEach((item) => {
+      emitEvent({
+        ...args,
+        ...item,
+        price: share(args.price, item.amount),
+        marketplaceFee: share(args.marketplaceFee, item.amount),
+        royaltyFee: share(args.royaltyFee, item.amount),
+        sellerProfit: share(args.sellerProfit, item.amount),
+        eventType,
+      });
+    });
   };
 
   /**
@@ -102,6 +209,112 @@ export default (ethProvider, collections = []) => {
       });
   };
 
+  /**
+   * Get the symbol and decimals of the currency used to pay for an order.
+   * Tokens missing from data/currencies.json are looked up on-chain.
+   * @param  {String} [tokenAddress] - The ERC-20 token's address. Null or the
+   * zero address for ETH.
+   * @return {Object} currency - As { currency, currencyDecimals }
+   */
+  const getCurrency = async (tokenAddress) => {
+    const address = (
+      tokenAddress || ethers.constants.AddressZero
+    ).toLowerCase();
+    if (currencyCache[address] != null) {
+      return currencyCache[address];
+    }
+
+    const knownCurrency = currencies.find(
+      ({ [ETHEREUM_NETWORK]: currencyAddress }) => currencyAddress === address
+    );
+    if (knownCurrency != null) {
+      currencyCache[address] = {
+        currency: knownCurrency.symbol,
+        currencyDecimals: knownCurrency.decimals,
+      };
+      return currencyCache[address];
+    }
+
+    const tokenContract = new ethers.Contract(address, erc20Abi, ethProvider);
+    return Promise.all([tokenContract.symbol(), tokenContract.decimals()])
+      .then(([symbol, decimals]) => {
+        currencyCache[address] = {
+          currency: symbol,
+          currencyDecimals: decimals,
+        };
+        return currencyCache[address];
+      })
+      .catch((error) => {
+        logMessage({
+          message: `Error getting the currency of token ${address}`,
+          level: "warning",
+          error,
+        });
+        return { currency: address, currencyDecimals: 18 };
+      });
+  };
+
+  /**
+   * Converts an on-chain amount to a number in the currency's units.
+   * @param  {BigNumber} amount - The amount in the currency's smallest unit
+   * @param  {Object} currency - As returned by getCurrency
+   * @return {Number}
+   */
+  const formatPrice = (amount, { currencyDecimals = 18 } = {}) =>
+    Number(etherUtils.formatUnits(amount, currencyDecimals));
+
+  /**
+   * Splits the gross price of a sale into the marketplace fee, the creator
+   * royalty and what the seller actually earned.
+   * @param  {Object} amounts - The gross price and fees as BigNumbers in the
+   * currency's smallest unit, as { price, marketplaceFee, royaltyFee }
+   * @param  {Object} currency - As returned by getCurrency
+   * @return {Object} breakdown - As { marketplaceFee, royaltyFee,
+   * sellerProfit } in the currency's units
+   */
+  const toFeeBreakdown = ({ price, marketplaceFee, royaltyFee }, currency) => ({
+    marketplaceFee: formatPrice(marketplaceFee, currency),
+    royaltyFee: formatPrice(royaltyFee, currency),
+    sellerProfit: formatPrice(
+      price.sub(marketplaceFee).sub(royaltyFee),
+      currency
+    ),
+  });
+
+  /**
+   * Get the logs of an event's transaction.
+   * @param  {Object} event - The ethers.js on-chain event
+   * @return {Object[]} logs
+   */
+  const getTransactionLogs = async (event) => {
+    const { logs = [] } =
+      (await event.getTransactionReceipt().catch(() => {
+        return {};
+      })) || {};
+    return logs;
+  };
+
+  /**
+   * Turns a log into an event like the ones of ethers.js contracts, for the
+   * logs of contracts that are not known in advance.
+   * @param  {Object} log
+   * @param  {Array} args - The decoded arguments of the log
+   * @return {Object} event
+   */
+  const toContractEvent = (log, args) => {
+    let transactionReceipt;
+    return {
+      ...log,
+      args,
+      getTransactionReceipt: () => {
+        transactionReceipt =
+          transactionReceipt ||
+          ethProvider.getTransactionReceipt(log.transactionHash);
+        return transactionReceipt;
+      },
+    };
+  };
+
   /**
    * Fixes hex addresses padded with zeros often present in tx event logs
    * @param  {String} address - The address to fix
@@ -115,6 +328,29 @@ export default (ethProvider, collections = []) => {
     return address.toLowerCase();
   };
 
+  /**
+   * Finds the ERC-20 token used to pay in a trade from the Transfer logs of
+   * its transaction. ERC-20 transfers have 3 topics while ERC-721 transfers
+   * have 4. Only the transfers between the buyer and the seller count, so
+   * that royalty, fee or unrelated token movements of the same transaction
+   * are not taken for the payment.
+   * @param  {Object} event - The ethers.js on-chain event
+   * @param  {String[]} parties - The addresses of the buyer and the seller.
+   * @return {String|null} tokenAddress - Null if it was paid in ETH
+   */
+  const findPaymentToken = async (event, parties) => {
+    const logs = await getTransactionLogs(event);
+    const partyAddresses = parties.map((address) => address.toLowerCase());
+    const paymentLog = logs.find(
+      ({ topics }) =>
+        topics.length === 3 &&
+        topics[0] === etherUtils.id("Transfer(address,address,uint256)") &&
+        partyAddresses.includes(parseAddressFromLogs(topics[1])) &&
+        partyAddresses.includes(parseAddressFromLogs(topics[2]))
+    );
+    return paymentLog == null ? null : paymentLog.address;
+  };
+
   const parseOpenSeaSSLog = async (transferLog) => {
     const { data, topics } = transferLog;
     const [, , from, to] = topics;
@@ -179,16 +415,13 @@ export default (ethProvider, collections = []) => {
     };
   };
 
-  const parseERC1155Log = async (transferLog) => {
-    const { address: collection, data, topics } = transferLog;
-    const tokenIdHex = data.slice(0, 66);
-    if (tokenIdHex == null) {
-      return null;
-    }
-
-    const [, , from, to] = topics;
-    // eslint-disable-next-line no-undef
-    const tokenId = BigInt(tokenIdHex).toString(10);
+  /**
+   * Get the metadata URI of an ERC-1155 token.
+   * @param  {String} collection - The collection's address
+   * @param  {String} tokenIdHex - The token id as a 32-byte hex string
+   * @return {String|null} metadataUri
+   */
+  const getERC1155MetadataUri = async (collection, tokenIdHex) => {
     if (collection.toLowerCase() === townStarAddress) {
       const townStarContract = new ethers.Contract(
         townStarAddress,
@@ -205,14 +438,7 @@ export default (ethProvider, collections = []) => {
           args: [metadataUri],
         },
       ] = events;
-      return {
-        collection: collection.toLowerCase(),
-        tokenId,
-        metadataUri,
-        standard: "ERC-1155",
-        from: parseAddressFromLogs(from),
-        to: parseAddressFromLogs(to),
-      };
+      return metadataUri;
     }
 
     const tokenContract = new ethers.Contract(
@@ -223,6 +449,27 @@ export default (ethProvider, collections = []) => {
     const metadataUri = await tokenContract.uri(tokenIdHex).catch(() => {
       return null;
     });
+    if (
+      collection.toLowerCase() === openSeaSSAddress &&
+      /0x\{id\}/.test(metadataUri)
+    ) {
+      return metadataUri.replace(`0x{id}`, tokenIdHex);
+    }
+
+    return metadataUri;
+  };
+
+  const parseERC1155Log = async (transferLog) => {
+    const { address: collection, data, topics } = transferLog;
+    const tokenIdHex = data.slice(0, 66);
+    if (tokenIdHex == null) {
+      return null;
+    }
+
+    const [, , from, to] = topics;
+    // eslint-disable-next-line no-undef
+    const tokenId = BigInt(tokenIdHex).toString(10);
+    const metadataUri = await getERC1155MetadataUri(collection, tokenIdHex);
     return {
       collection: collection.toLowerCase(),
       tokenId,
@@ -233,9 +480,61 @@ export default (ethProvider, collections = []) => {
     };
   };
 
+  /**
+   * Parses an ERC-1155 TransferBatch log. The token ids and amounts are
+   * returned as a "batch" so that the event is later split into one NFT
+   * event per token.
+   * @param  {Object} transferLog - The TransferBatch log
+   * @return {Object} parsedLog
+   */
+  const parseERC1155BatchLog = async (transferLog) => {
+    const { address: collection, data, topics } = transferLog;
+    const [, , from, to] = topics;
+    const [ids, amounts] = etherUtils.defaultAbiCoder.decode(
+      ["uint256[]", "uint256[]"],
+      data
+    );
+    const batch = await Promise.all(
+      ids.map(async (id, index) => {
+        const tokenIdHex = etherUtils.hexZeroPad(id.toHexString(), 32);
+        const metadataUri = await getERC1155MetadataUri(collection, tokenIdHex);
+        return {
+          tokenId: id.toString(),
+          amount: amounts[index].toNumber(),
+          metadataUri,
+        };
+      })
+    );
+    return {
+      collection: collection.toLowerCase(),
+      standard: "ERC-1155",
+      from: parseAddressFromLogs(from),
+      to: parseAddressFromLogs(to),
+      batch,
+    };
+  };
+
   const parseTransferLog = async (logs, indexInLogs) => {
     const transferLog = logs[indexInLogs];
     const { topics = [], address = "" } = transferLog;
+    if (
+      topics[0] ===
+      etherUtils.id(
+        "TransferBatch(address,address,address,uint256[],uint256[])"
+      )
+    ) {
+      return parseERC1155BatchLog(transferLog).catch((error) => {
+        logMessage({
+          message: `Error parsing ERC-1155 batch log ${JSON.stringify(
+            transferLog
+          )}`,
+          level: "error",
+          error,
+        });
+        return null;
+      });
+    }
+
     if (address.toLowerCase() === openSeaSSAddress) {
       return parseOpenSeaSSLog(transferLog);
     }
@@ -251,14 +550,17 @@ export default (ethProvider, collections = []) => {
           error,
         });
       });
-      if (ercLog.to === gemV2Address) {
+      // Aggregators may receive the NFT first and then send it to the
+      // actual buyer in the same transaction
+      if (aggregatorAddresses.includes(ercLog.to)) {
         const secondTransfer = logs.slice(indexInLogs + 1).find((log) => {
           const { topics, address: collectionAddress } = log;
-          const [topicId, from] = topics;
+          const [topicId, from, , tokenIdHex] = topics;
           return (
             collectionAddress === address &&
             topicId === etherUtils.id("Transfer(address,address,uint256)") &&
-            parseAddressFromLogs(from) === gemV2Address
+            parseAddressFromLogs(from) === ercLog.to &&
+            tokenIdHex === transferLog.topics[3]
           );
         });
 
@@ -272,7 +574,7 @@ export default (ethProvider, collections = []) => {
         return {
           ...ercLog,
           to: parseAddressFromLogs(actualBuyer),
-          intermediary: gemV2Address.toLowerCase(),
+          intermediary: ercLog.to,
         };
       }
 
@@ -308,6 +610,9 @@ export default (ethProvider, collections = []) => {
    * the ECMAScript epoch
    * @property {String} initiator - The Ethereum address that initiated
    * the transaction. May not be a user.
+   * @property {Number} blockNumber - The number of the tx's block
+   * @property {String} blockHash - The hash of the tx's block, used to detect
+   * chain reorganizations
    * @property {Number} gas - The gas consumed by the transaction
    * @property {String} collection - The Ethereum address of the NFT collection
    * @property {String} tokenId - The id of the token traded in the transaction
@@ -317,6 +622,9 @@ export default (ethProvider, collections = []) => {
    * ERC-721.
    * @property {String} from - The address that sends the NFT.
    * @property {String} to - The address that receives the NFT.
+   * @property {Array<Object>} [batch] - The tokens of an ERC-1155 batch
+   * transfer as { tokenId, amount, metadataUri }. Replaces tokenId and
+   * metadataUri; the event is emitted once per token.
    * @return {ParsedEvent}
    */
   const parseEvent = async (event, eventType, contractAddress) => {
@@ -338,17 +646,42 @@ export default (ethProvider, collections = []) => {
       return {};
     }
 
-    const { from, logs = [], gasUsed, blockNumber } = transactionReceipt;
+    const {
+      from,
+      to,
+      logs = [],
+      gasUsed,
+      effectiveGasPrice,
+      blockNumber,
+      blockHash,
+    } = transactionReceipt;
     const timestamp = await getTimestamp(blockNumber).catch(() => {
       return new Date().getTime() / 1000;
     });
-    const props = { startsAt: new Date(timestamp * 1000), initiator: from };
+    const props = {
+      startsAt: new Date(timestamp * 1000),
+      initiator: from,
+      blockNumber,
+      blockHash,
+    };
     if (eventType === "cancelOrder") {
       return props;
     }
 
+    // Aggregators that make the marketplaces send the NFTs straight to the
+    // buyer are only seen as the transaction's recipient
+    if (to != null && aggregatorAddresses.includes(to.toLowerCase())) {
+      props.intermediary = to.toLowerCase();
+    }
+
     try {
       props.gas = gasUsed ? gasUsed.toNumber() : 0;
+      if (effectiveGasPrice != null) {
+        props.gasPrice = Number(
+          etherUtils.formatUnits(effectiveGasPrice, "gwei")
+        );
+      }
+
       let indexInLogs = logs.findIndex(
         ({ logIndex }) => logIndex === event.logIndex
       );
@@ -430,10 +763,11 @@ export default (ethProvider, collections = []) => {
   /**
    * Creates event listeners for OpenSea's on-chain events that call
    * the supplied _emit_ function with an NFTEvent.
+   * @param {Function} subscribe - Subscribes a handler to a contract's events.
    * @return {ethers.Contract} contract - The ethers.js contract to be
    * able to destroy the event listeners.
    */
-  const openSeaEventListener = () => {
+  const openSeaEventListener = (subscribe) => {
     const marketplace = "openSea";
     const { [ETHEREUM_NETWORK]: address, abi } = ethContracts.openSea;
     if (address == null) {
@@ -444,13 +778,16 @@ export default (ethProvider, collections = []) => {
     }
 
     const contract = new ethers.Contract(address, abi, ethProvider);
-    contract.on(contract.filters.OrdersMatched(), async (...args) => {
+    subscribe(contract, contract.filters.OrdersMatched(), async (...args) => {
       const event = args[args.length - 1];
       const {
         transactionHash,
         args: { maker, taker, price },
       } = event;
       const parsedEvent = await parseEvent(event);
+      const currency = await getCurrency(
+        await findPaymentToken(event, [maker, taker])
+      );
       let seller;
       let buyer;
       let eventType;
@@ -472,12 +809,13 @@ export default (ethProvider, collections = []) => {
         marketplace,
         seller,
         buyer,
-        price: Number(etherUtils.formatEther(price)),
+        price: formatPrice(price, currency),
+        ...currency,
         blockchain: "eth",
         ...parsedEvent,
       });
     });
-    contract.on(contract.filters.OrderCancelled(), async (...args) => {
+    subscribe(contract, contract.filters.OrderCancelled(), async (...args) => {
       const event = args[args.length - 1];
       const { transactionHash } = event;
       const parsedEvent = await parseEvent(event, "cancelOrder");
@@ -494,13 +832,17 @@ export default (ethProvider, collections = []) => {
   /**
    * Creates event listeners for OpenSea's Seaport on-chain events that call
    * the supplied _emit_ function with an NFTEvent.
+   * @param {Function} subscribe - Subscribes a handler to a contract's events.
    * @return {ethers.Contract} contract - The ethers.js contract to be
    * able to destroy the event listeners.
    */
-  const seaportEventListener = () => {
+  const seaportEventListener = (subscribe) => {
     const marketplace = "openSea";
-    const { [ETHEREUM_NETWORK]: contractAddress, abi } =
-      ethContracts.openSeaSeaport;
+    const {
+      [ETHEREUM_NETWORK]: contractAddress,
+      abi,
+      feeRecipients: { [ETHEREUM_NETWORK]: feeRecipients = [] } = {},
+    } = ethContracts.openSeaSeaport;
     if (contractAddress == null) {
       logMessage({
         message: `No address set for OpenSea on network ${ETHEREUM_NETWORK}`,
@@ -509,62 +851,76 @@ export default (ethProvider, collections = []) => {
     }
 
     const contract = new ethers.Contract(contractAddress, abi, ethProvider);
-    contract.on(contract.filters.OrderFulfilled(), async (...args) => {
+    subscribe(contract, contract.filters.OrderFulfilled(), async (...args) => {
       const event = args[args.length - 1];
       const {
         transactionHash,
         args: { offerer, recipient, consideration, offer },
       } = event;
       const parsedEvent = await parseEvent(event, "acceptAsk", contractAddress);
-      const tx = await event.getTransaction().catch(() => {
-        return {};
-      });
+      // Native and ERC-20 items are payments, the rest are the traded NFTs
+      const payments = (consideration || []).filter(
+        ({ itemType }) => itemType <= 1
+      );
+      const sumAmounts = (items) =>
+        items.reduce((sum, { amount }) => sum.add(amount), BigNumber.from(0));
+      const marketplaceFee = sumAmounts(
+        payments.filter(({ recipient }) =>
+          feeRecipients.includes(recipient.toLowerCase())
+        )
+      );
       let seller;
       let buyer;
       let eventType;
       let price;
-      let sellerProfit;
+      let fees;
+      let token;
       if (
         parsedEvent.from &&
         parsedEvent.from === parsedEvent.initiator.toLowerCase()
       ) {
+        // The offerer pays the fees out of the offer
         eventType = "acceptOffer";
-        const { amount = 0 } = offer.length === 0 ? {} : offer[0];
-        price = Number(etherUtils.formatEther(amount));
-        const expenses = consideration
-          ? consideration.reduce(
-              (sum, consideration) => sum.add(consideration.amount),
-              BigNumber.from(0)
-            )
-          : BigNumber.from(0);
-        sellerProfit = Number(etherUtils.formatEther(amount.sub(expenses)));
+        const [{ amount = BigNumber.from(0), token: offerToken } = {}] = offer;
+        price = amount;
+        fees = sumAmounts(payments);
+        token = offerToken;
         buyer = offerer;
         seller = recipient;
       } else {
+        // The buyer pays the seller's proceeds and the fees
         eventType = "acceptAsk";
-        const { amount = 0 } =
-          consideration.length === 0 ? {} : consideration[0];
-        price =
-          tx.value && tx.value > 0
-            ? Number(etherUtils.formatEther(tx.value.toString()))
-            : Number(etherUtils.formatEther(amount));
-        sellerProfit = Number(etherUtils.formatEther(amount));
+        price = sumAmounts(payments);
+        fees = price.sub(
+          sumAmounts(
+            payments.filter(
+              ({ recipient }) =>
+                recipient.toLowerCase() === offerer.toLowerCase()
+            )
+          )
+        );
+        token = payments.length === 0 ? null : payments[0].token;
         buyer = recipient;
         seller = offerer;
       }
 
+      const currency = await getCurrency(token);
       emit(eventType, {
         transactionHash,
         marketplace,
         seller,
         buyer,
-        sellerProfit,
-        price,
+        price: formatPrice(price, currency),
+        ...toFeeBreakdown(
+          { price, marketplaceFee, royaltyFee: fees.sub(marketplaceFee) },
+          currency
+        ),
+        ...currency,
         blockchain: "eth",
         ...parsedEvent,
       });
     });
-    contract.on(contract.filters.OrderCancelled(), async (...args) => {
+    subscribe(contract, contract.filters.OrderCancelled(), async (...args) => {
       const event = args[args.length - 1];
       const { transactionHash } = event;
       const parsedEvent = await parseEvent(event, "cancelOrder");
@@ -581,10 +937,11 @@ export default (ethProvider, collections = []) => {
   /**
    * Creates event listeners for LooksRare's on-chain events that call
    * the supplied _emit_ function with an NFTEvent.
+   * @param {Function} subscribe - Subscribes a handler to a contract's events.
    * @return {ethers.Contract} contract - The ethers.js contract to be
    * able to destroy the event listeners.
    */
-  const looksRareEventListener = () => {
+  const looksRareEventListener = (subscribe) => {
     const marketplace = "looksRare";
     const { [ETHEREUM_NETWORK]: address, abi } = ethContracts.looksRare;
     if (address == null) {
@@ -595,54 +952,140 @@ export default (ethProvider, collections = []) => {
     }
 
     const contract = new ethers.Contract(address, abi, ethProvider);
-    contract.on(contract.filters.TakerAsk(), async (...args) => {
-      const event = args[args.length - 1];
+    // Protocol fees by execution strategy, as promises
+    const protocolFees = {};
+
+    /**
+     * Get the fees of a LooksRare sale. The protocol fee depends on the
+     * execution strategy and the royalties are logged as RoyaltyPayment
+     * events in the same transaction.
+     * @param {Object} event - The TakerAsk or TakerBid event
+     * @return {Object|null} As { price, marketplaceFee, royaltyFee }
+     * BigNumbers. Null if the protocol fee is unknown.
+     */
+    const getFees = async (event) => {
       const {
-        transactionHash,
-        args: { orderHash, maker: buyer, taker: seller, price, amount },
+        args: { strategy, collection, tokenId, price },
       } = event;
-      const parsedEvent = await parseEvent(event);
-      emit("acceptOffer", {
-        orderHash,
-        marketplace,
-        seller,
-        buyer,
-        price: Number(etherUtils.formatEther(price)),
-        amount: amount.toNumber(),
-        transactionHash,
-        blockchain: "eth",
-        ...parsedEvent,
-      });
-    });
-    contract.on(contract.filters.TakerBid(null, null), async (...args) => {
+      if (protocolFees[strategy] == null) {
+        protocolFees[strategy] = new ethers.Contract(
+          strategy,
+          looksRareStrategyAbi,
+          ethProvider
+        )
+          .viewProtocolFee()
+          .catch((error) => {
+            logMessage({
+              message: `Error getting the protocol fee of LooksRare strategy ${strategy}`,
+              level: "warning",
+              error,
+            });
+            return null;
+          });
+      }
+
+      const protocolFee = await protocolFees[strategy];
+      if (protocolFee == null) {
+        // Read it again on the next sale
+        delete protocolFees[strategy];
+        return null;
+      }
+
+      const royaltyPaymentTopic =
+        contract.interface.getEventTopic("RoyaltyPayment");
+      const royaltyFee = (await getTransactionLogs(event))
+        .filter(
+          ({ address: logAddress, topics }) =>
+            logAddress.toLowerCase() === address.toLowerCase() &&
+            topics[0] === royaltyPaymentTopic
+        )
+        .map((log) => contract.interface.parseLog(log).args)
+        .filter(
+          (royaltyPayment) =>
+            royaltyPayment.collection.toLowerCase() ===
+              collection.toLowerCase() && royaltyPayment.tokenId.eq(tokenId)
+        )
+        .reduce((sum, { amount }) => sum.add(amount), BigNumber.from(0));
+      // Protocol fees are expressed in basis points
+      const marketplaceFee = price.mul(protocolFee).div(10000);
+      return { price, marketplaceFee, royaltyFee };
+    };
+
+    subscribe(contract, contract.filters.TakerAsk(), async (...args) => {
       const event = args[args.length - 1];
       const {
         transactionHash,
-        args: { orderHash, maker: seller, taker: buyer, price, amount },
+        args: {
+          orderHash,
+          maker: buyer,
+          taker: seller,
+          price,
+          amount,
+          currency: currencyAddress,
+        },
       } = event;
       const parsedEvent = await parseEvent(event);
-      emit("acceptAsk", {
+      const currency = await getCurrency(currencyAddress);
+      const fees = await getFees(event);
+      emit("acceptOffer", {
         orderHash,
         marketplace,
         seller,
         buyer,
-        price: Number(etherUtils.formatEther(price)),
+        price: formatPrice(price, currency),
+        ...(fees == null ? {} : toFeeBreakdown(fees, currency)),
+        ...currency,
         amount: amount.toNumber(),
         transactionHash,
         blockchain: "eth",
         ...parsedEvent,
       });
     });
+    subscribe(
+      contract,
+      contract.filters.TakerBid(null, null),
+      async (...args) => {
+        const event = args[args.length - 1];
+        const {
+          transactionHash,
+          args: {
+            orderHash,
+            maker: seller,
+            taker: buyer,
+            price,
+            amount,
+            currency: currencyAddress,
+          },
+        } = event;
+        const parsedEvent = await parseEvent(event);
+        const currency = await getCurrency(currencyAddress);
+        const fees = await getFees(event);
+        emit("acceptAsk", {
+          orderHash,
+          marketplace,
+          seller,
+          buyer,
+          price: formatPrice(price, currency),
+          ...(fees == null ? {} : toFeeBreakdown(fees, currency)),
+          ...currency,
+          amount: amount.toNumber(),
+          transactionHash,
+          blockchain: "eth",
+          ...parsedEvent,
+        });
+      }
+    );
     return contract;
   };
 
   /**
    * Creates event listeners for Rarible's on-chain events that call
    * the supplied _emit_ function with an NFTEvent.
+   * @param {Function} subscribe - Subscribes a handler to a contract's events.
    * @return {ethers.Contract} contract - The ethers.js contract to be
    * able to destroy the event listeners.
    */
-  const raribleEventListener = () => {
+  const raribleEventListener = (subscribe) => {
     const marketplace = "rarible";
     const { [ETHEREUM_NETWORK]: address, abi } = ethContracts.rarible;
     if (address == null) {
@@ -653,11 +1096,18 @@ export default (ethProvider, collections = []) => {
     }
 
     const contract = new ethers.Contract(address, abi, ethProvider);
-    contract.on(contract.filters.Match(), async (...args) => {
+    subscribe(contract, contract.filters.Match(), async (...args) => {
       const event = args[args.length - 1];
       const {
         transactionHash,
-        args: { leftAsset, newLeftFill, newRightFill, leftMaker, rightMaker },
+        args: {
+          leftAsset,
+          rightAsset,
+          newLeftFill,
+          newRightFill,
+          leftMaker,
+          rightMaker,
+        },
       } = event;
       const parsedEvent = await parseEvent(event);
       let type;
@@ -665,32 +1115,43 @@ export default (ethProvider, collections = []) => {
       let buyer;
       let price;
       let amount;
+      let paymentAsset;
       if (["0x8ae85d84", "0xaaaebeba"].includes(leftAsset.assetClass)) {
         type = "acceptOffer";
         seller = rightMaker;
         buyer = leftMaker;
         price = newRightFill;
         amount = newLeftFill.toNumber();
+        paymentAsset = leftAsset;
       } else {
         type = "acceptAsk";
         seller = leftMaker;
         buyer = rightMaker;
         price = newLeftFill;
         amount = newRightFill.toNumber();
+        paymentAsset = rightAsset;
       }
 
+      // ERC-20 assets encode the token's address as their data
+      const currency = await getCurrency(
+        paymentAsset.assetClass === "0x8ae85d84"
+          ? etherUtils.defaultAbiCoder.decode(["address"], paymentAsset.data)[0]
+          : null
+      );
+
       emit(type, {
         transactionHash,
         marketplace,
         seller,
         buyer,
-        price: Number(etherUtils.formatEther(price)),
+        price: formatPrice(price, currency),
+        ...currency,
         amount,
         blockchain: "eth",
         ...parsedEvent,
       });
     });
-    contract.on(contract.filters.Cancel(), async (...args) => {
+    subscribe(contract, contract.filters.Cancel(), async (...args) => {
       const event = args[args.length - 1];
       const { transactionHash } = event;
       const parsedEvent = await parseEvent(event, "cancelOrder");
@@ -707,10 +1168,11 @@ export default (ethProvider, collections = []) => {
   /**
    * Creates event listeners for Foundation's on-chain events that call
    * the supplied _emit_ function with an NFTEvent.
+   * @param {Function} subscribe - Subscribes a handler to a contract's events.
    * @return {ethers.Contract} contract - The ethers.js contract to be
    * able to destroy the event listeners.
    */
-  const foundationEventListener = () => {
+  const foundationEventListener = (subscribe) => {
     const marketplace = "foundation";
     const { [ETHEREUM_NETWORK]: address, abi } = ethContracts.foundation;
     if (address == null) {
@@ -721,82 +1183,120 @@ export default (ethProvider, collections = []) => {
     }
 
     const contract = new ethers.Contract(address, abi, ethProvider);
-    contract.on(contract.filters.ReserveAuctionFinalized(), async (...args) => {
-      const event = args[args.length - 1];
-      const {
-        transactionHash,
-        args: { bidder: buyer, seller, f8nFee, creatorFee },
-      } = event;
-      const parsedEvent = await parseEvent(event);
-      const priceWithFees = f8nFee.add(creatorFee);
-      emit("settleAuction", {
-        transactionHash,
-        marketplace,
-        seller,
-        buyer,
-        price: etherUtils.formatEther(priceWithFees),
-        blockchain: "eth",
-        ...parsedEvent,
-      });
-    });
-    contract.on(contract.filters.ReserveAuctionCanceled(), async (...args) => {
-      const event = args[args.length - 1];
-      const { transactionHash } = event;
-      const parsedEvent = await parseEvent(event, "cancelOrder");
-      emit("cancelOrder", {
-        transactionHash,
-        marketplace,
-        blockchain: "eth",
-        ...parsedEvent,
-      });
-    });
-    contract.on(contract.filters.ReserveAuctionBidPlaced(), async (...args) => {
-      const event = args[args.length - 1];
-      const {
-        transactionHash,
-        args: { bidder: buyer, amount: price, endTime },
-      } = event;
-      const parsedEvent = await parseEvent(event);
-      emit("placeBid", {
-        transactionHash,
-        buyer,
-        price: Number(etherUtils.formatEther(price)),
-        endsAt: new Date(endTime.toNumber() * 1000),
-        marketplace,
-        blockchain: "eth",
-        ...parsedEvent,
-      });
-    });
-    contract.on(contract.filters.ReserveAuctionCreated(), async (...args) => {
-      const event = args[args.length - 1];
-      const {
-        transactionHash,
-        args: { reservePrice: price, seller, nftContract: collection, tokenId },
-      } = event;
-      const parsedEvent = await parseEvent(event);
-      emit("createAuction", {
-        transactionHash,
-        collection: collection.toLowerCase(),
-        price: Number(etherUtils.formatEther(price)),
-        seller,
-        tokenId,
-        marketplace,
-        blockchain: "eth",
-        ...parsedEvent,
-      });
-    });
+    subscribe(
+      contract,
+      contract.filters.ReserveAuctionFinalized(),
+      async (...args) => {
+        const event = args[args.length - 1];
+        const {
+          transactionHash,
+          args: { bidder: buyer, seller, f8nFee, creatorFee, ownerRev },
+        } = event;
+        const parsedEvent = await parseEvent(event);
+        const currency = await getCurrency();
+        const priceWithFees = f8nFee.add(creatorFee).add(ownerRev);
+        emit("settleAuction", {
+          transactionHash,
+          marketplace,
+          seller,
+          buyer,
+          price: formatPrice(priceWithFees, currency),
+          ...toFeeBreakdown(
+            {
+              price: priceWithFees,
+              marketplaceFee: f8nFee,
+              royaltyFee: creatorFee,
+            },
+            currency
+          ),
+          ...currency,
+          blockchain: "eth",
+          ...parsedEvent,
+        });
+      }
+    );
+    subscribe(
+      contract,
+      contract.filters.ReserveAuctionCanceled(),
+      async (...args) => {
+        const event = args[args.length - 1];
+        const { transactionHash } = event;
+        const parsedEvent = await parseEvent(event, "cancelOrder");
+        emit("cancelOrder", {
+          transactionHash,
+          marketplace,
+          blockchain: "eth",
+          ...parsedEvent,
+        });
+      }
+    );
+    subscribe(
+      contract,
+      contract.filters.ReserveAuctionBidPlaced(),
+      async (...args) => {
+        const event = args[args.length - 1];
+        const {
+          transactionHash,
+          args: { bidder: buyer, amount: price, endTime },
+        } = event;
+        const parsedEvent = await parseEvent(event);
+        emit("placeBid", {
+          transactionHash,
+          buyer,
+          price: Number(etherUtils.formatEther(price)),
+          ...(await getCurrency()),
+          endsAt: new Date(endTime.toNumber() * 1000),
+          marketplace,
+          blockchain: "eth",
+          ...parsedEvent,
+        });
+      }
+    );
+    subscribe(
+      contract,
+      contract.filters.ReserveAuctionCreated(),
+      async (...args) => {
+        const event = args[args.length - 1];
+        const {
+          transactionHash,
+          args: {
+            reservePrice: price,
+            seller,
+            nftContract: collection,
+            tokenId,
+          },
+        } = event;
+        const parsedEvent = await parseEvent(event);
+        emit("createAuction", {
+          transactionHash,
+          collection: collection.toLowerCase(),
+          price: Number(etherUtils.formatEther(price)),
+          ...(await getCurrency()),
+          seller,
+          tokenId,
+          marketplace,
+          blockchain: "eth",
+          ...parsedEvent,
+        });
+      }
+    );
     return contract;
   };
 
   /**
    * Creates event listeners for X2Y2's on-chain events that call
    * the supplied _emit_ function with an NFTEvent.
+   * @param {Function} subscribe - Subscribes a handler to a contract's events.
    * @return {ethers.Contract} contract - The ethers.js contract to be
    * able to destroy the event listeners.
    */
-  const x2y2EventListener = () => {
+  const x2y2EventListener = (subscribe) => {
     const marketplace = "x2y2";
-    const { [ETHEREUM_NETWORK]: address, abi } = ethContracts.x2y2;
+    const {
+      [ETHEREUM_NETWORK]: address,
+      abi,
+      feeRecipients: { [ETHEREUM_NETWORK]: feeRecipients = [] } = {},
+    } = ethContracts.x2y2;
     if (address == null) {
       logMessage({
         message: `No address set for X2Y2 on network ${ETHEREUM_NETWORK}`,
@@ -805,7 +1305,7 @@ export default (ethProvider, collections = []) => {
     }
 
     const contract = new ethers.Contract(address, abi, ethProvider);
-    contract.on(contract.filters.EvInventory(), async (...args) => {
+    subscribe(contract, contract.filters.EvInventory(), async (...args) => {
       const event = args[args.length - 1];
       const {
         transactionHash,
@@ -814,9 +1314,23 @@ export default (ethProvider, collections = []) => {
           taker,
           item: { price },
           intent,
+          currency: currencyAddress,
+          detail: { fees },
         },
       } = event;
       const parsedEvent = await parseEvent(event);
+      const currency = await getCurrency(currencyAddress);
+      // Fee percentages are expressed in millionths of the price
+      const sumFees = (items) =>
+        items
+          .reduce(
+            (sum, { percentage }) => sum.add(percentage),
+            BigNumber.from(0)
+          )
+          .mul(price)
+          .div(1000000);
+      const isMarketplaceFee = ({ to }) =>
+        feeRecipients.includes(to.toLowerCase());
 
       let buyer;
       let seller;
@@ -836,12 +1350,21 @@ export default (ethProvider, collections = []) => {
         marketplace,
         seller,
         buyer,
-        price: Number(etherUtils.formatEther(price)),
+        price: formatPrice(price, currency),
+        ...toFeeBreakdown(
+          {
+            price,
+            marketplaceFee: sumFees(fees.filter(isMarketplaceFee)),
+            royaltyFee: sumFees(fees.filter((fee) => !isMarketplaceFee(fee))),
+          },
+          currency
+        ),
+        ...currency,
         blockchain: "eth",
         ...parsedEvent,
       });
     });
-    contract.on(contract.filters.EvCancel(), async (...args) => {
+    subscribe(contract, contract.filters.EvCancel(), async (...args) => {
       const event = args[args.length - 1];
       const { transactionHash } = event;
       const parsedEvent = await parseEvent(event, "cancelOrder");
@@ -856,9 +1379,941 @@ export default (ethProvider, collections = []) => {
   };
 
   /**
-   * Generic poll function for the LR API.
-   * @param {String[]} collections - The collection addresses
-   * @param {Function} call - The function that fetches the endpoint and
+   * Creates event listeners for Blur's on-chain events that call the
+   * supplied _emit_ function with an NFTEvent. Both listings and bids are
+   * matched through OrdersMatched. Bids are paid from Blur's bid pool, whose
+   * balances are backed by ETH 1:1.
+   * @param {Function} subscribe - Subscribes a handler to a contract's events.
+   * @return {ethers.Contract} contract - The ethers.js contract to be
+   * able to destroy the event listeners.
+   */
+  const blurEventListener = (subscribe) => {
+    const marketplace = "blur";
+    const {
+      [ETHEREUM_NETWORK]: address,
+      abi,
+      pool: { [ETHEREUM_NETWORK]: poolAddress } = {},
+      feeRecipients: { [ETHEREUM_NETWORK]: feeRecipients = [] } = {},
+    } = ethContracts.blur;
+    if (address == null) {
+      logMessage({
+        message: `No address set for Blur on network ${ETHEREUM_NETWORK}`,
+      });
+      return emptyContract;
+    }
+
+    const contract = new ethers.Contract(address, abi, ethProvider);
+    subscribe(contract, contract.filters.OrdersMatched(), async (...args) => {
+      const event = args[args.length - 1];
+      const {
+        transactionHash,
+        args: { maker, sell, sellHash, buy, buyHash },
+      } = event;
+      const { price, paymentToken, amount, fees } = sell;
+      const parsedEvent = await parseEvent(event);
+      const currency = await getCurrency(
+        poolAddress != null &&
+          paymentToken.toLowerCase() === poolAddress.toLowerCase()
+          ? ethers.constants.AddressZero
+          : paymentToken
+      );
+      // Fee rates are expressed in basis points
+      const sumFees = (items) =>
+        items
+          .reduce((sum, { rate }) => sum.add(rate), BigNumber.from(0))
+          .mul(price)
+          .div(10000);
+      const isMarketplaceFee = ({ recipient }) =>
+        feeRecipients.includes(recipient.toLowerCase());
+      // The maker's order is the one that was already on the book
+      const isListing = maker.toLowerCase() === sell.trader.toLowerCase();
+      emit(isListing ? "acceptAsk" : "acceptOffer", {
+        transactionHash,
+        orderHash: isListing ? sellHash : buyHash,
+        marketplace,
+        seller: sell.trader,
+        buyer: buy.trader,
+        price: formatPrice(price, currency),
+        ...toFeeBreakdown(
+          {
+            price,
+            marketplaceFee: sumFees(fees.filter(isMarketplaceFee)),
+            royaltyFee: sumFees(fees.filter((fee) => !isMarketplaceFee(fee))),
+          },
+          currency
+        ),
+        ...currency,
+        amount: amount.toNumber(),
+        blockchain: "eth",
+        ...parsedEvent,
+      });
+    });
+    subscribe(contract, contract.filters.OrderCancelled(), async (...args) => {
+      const event = args[args.length - 1];
+      const {
+        transactionHash,
+        args: { hash: orderHash },
+      } = event;
+      const parsedEvent = await parseEvent(event, "cancelOrder");
+      emit("cancelOrder", {
+        transactionHash,
+        orderHash,
+        marketplace,
+        blockchain: "eth",
+        ...parsedEvent,
+      });
+    });
+    return contract;
+  };
+
+  /**
+   * Creates event listeners for the trades of Sudoswap's AMM pools that call
+   * the supplied _emit_ function with an NFTEvent. Every pool is a pair
+   * contract created by the factory, so the swaps of any contract are
+   * listened to, and only those of the factory's pairs trading a watched
+   * collection are handled. The
+   * pools are the counterparty of the trades: selling NFTs into a pool is
+   * an "acceptOffer" and buying them from a pool is an "acceptAsk". Each
+   * event includes the pool's price to buy one NFT after the trade as
+   * _poolPrice_, so that pools can set the collection's floor.
+   * @param {Function} subscribe - Subscribes a handler to a contract's events.
+   * @return {Object} pairWatcher - Works as an ethers.js contract to be able
+   * to destroy the event listeners.
+   */
+  const sudoswapEventListener = (subscribe) => {
+    const marketplace = "sudoswap";
+    const { [ETHEREUM_NETWORK]: factoryAddress } = ethContracts.sudoswap;
+    if (factoryAddress == null) {
+      logMessage({
+        message: `No address set for Sudoswap on network ${ETHEREUM_NETWORK}`,
+      });
+      return emptyContract;
+    }
+
+    const [swapNFTInTopic, swapNFTOutTopic] = sudoswapSwapTopics;
+    const transferTopic = etherUtils.id("Transfer(address,address,uint256)");
+    // Pair info by address, as promises. Null if it is not a Sudoswap pair.
+    const pairs = {};
+
+    /**
+     * Get the NFT collection and currency of a Sudoswap pair.
+     * @param {String} address - The pair's address
+     * @return {Object|null} pair - As { contract, collection, currency }
+     */
+    const getPair = (address) => {
+      if (pairs[address] == null) {
+        const contract = new ethers.Contract(
+          address,
+          sudoswapPairAbi,
+          ethProvider
+        );
+        pairs[address] = contract
+          .factory()
+          .then(async (pairFactory) => {
+            if (pairFactory.toLowerCase() !== factoryAddress.toLowerCase()) {
+              return null;
+            }
+
+            const [collection, pairVariant] = await Promise.all([
+              contract.nft(),
+              contract.pairVariant(),
+            ]);
+            // Variants 0 and 1 are traded in ETH, 2 and 3 in an ERC-20
+            const currency = await getCurrency(
+              pairVariant < 2 ? null : await contract.token()
+            );
+            return {
+              contract,
+              collection: collection.toLowerCase(),
+              currency,
+            };
+          })
+          .catch((error) => {
+            logMessage({
+              message: `Error reading the Sudoswap pair ${address}`,
+              level: "warning",
+              error,
+            });
+            // Read it again on its next swap
+            delete pairs[address];
+            return null;
+          });
+      }
+
+      return pairs[address];
+    };
+
+    /**
+     * Get what a pool charges to buy one NFT at a block.
+     * @param {Object} pair - As returned by getPair
+     * @param {Number} blockNumber
+     * @return {Number|null} price - Null if the pool has no NFTs to sell.
+     */
+    const getPoolPrice = async (
+      { contract, collection, currency },
+      blockNumber
+    ) => {
+      const nftContract = new ethers.Contract(
+        collection,
+        erc721Abi,
+        ethProvider
+      );
+      const [balance, { error, inputAmount }] = await Promise.all([
+        nftContract.balanceOf(contract.address, { blockTag: blockNumber }),
+        contract.getBuyNFTQuote(1, { blockTag: blockNumber }),
+      ]);
+      return balance.isZero() || error !== 0
+        ? null
+        : formatPrice(inputAmount, currency);
+    };
+
+    const handleSwap =
+      (eventType) =>
+      async (...args) => {
+        const event = args[args.length - 1];
+        const { transactionHash, logIndex, blockNumber } = event;
+        const pool = event.address.toLowerCase();
+        const pair = await getPair(pool);
+        if (pair == null) {
+          return;
+        }
+
+        const { contract, collection, currency } = pair;
+        const logs = await getTransactionLogs(event);
+        // The NFTs of this swap were transferred after the previous swap of the
+        // same pool in the transaction, if any
+        const isPoolSwap = ({ address, topics }) =>
+          address.toLowerCase() === pool &&
+          [swapNFTInTopic, swapNFTOutTopic].includes(topics[0]);
+        const eventIndex = logs.findIndex((log) => log.logIndex === logIndex);
+        let previousSwapIndex = eventIndex - 1;
+        while (previousSwapIndex >= 0 && !isPoolSwap(logs[previousSwapIndex])) {
+          previousSwapIndex -= 1;
+        }
+
+        const transferIndexes = logs
+          .map((log, index) => ({ log, index }))
+          .filter(
+            ({ log: { address, topics }, index }) =>
+              index > previousSwapIndex &&
+              index < eventIndex &&
+              address.toLowerCase() === collection &&
+              topics[0] === transferTopic &&
+              topics.length === 4 &&
+              parseAddressFromLogs(
+                eventType === "acceptOffer" ? topics[2] : topics[1]
+              ) === pool
+          )
+          .map(({ index }) => index);
+        if (transferIndexes.length === 0) {
+          return;
+        }
+
+        const amount = transferIndexes.length;
+        // The quotes right before the swap are its actual amounts unless the
+        // pool already traded earlier in the same block
+        const quoteBlock = { blockTag: blockNumber - 1 };
+        const [quote, parsedEvent, poolPrice] = await Promise.all([
+          (eventType === "acceptAsk"
+            ? contract.getBuyNFTQuote(amount, quoteBlock)
+            : contract.getSellNFTQuote(amount, quoteBlock)
+          ).catch((error) => {
+            // i.e. nodes without the state of old blocks during replays
+            logMessage({
+              message: `Error getting the quote of Sudoswap pair ${pool} at block ${quoteBlock.blockTag}, skipping swap ${transactionHash}`,
+              level: "warning",
+              error,
+            });
+            return null;
+          }),
+          parseEvent(event),
+          getPoolPrice(pair, blockNumber).catch(() => {
+            return null;
+          }),
+        ]);
+        if (quote == null) {
+          return;
+        }
+
+        const { protocolFee } = quote;
+        // Buyers pay the fee on top of the pool's price, while sellers get the
+        // pool's price minus the fee
+        const totalPrice =
+          eventType === "acceptAsk"
+            ? quote.inputAmount
+            : quote.outputAmount.add(protocolFee);
+        const price = totalPrice.div(amount);
+        const marketplaceFee = protocolFee.div(amount);
+        let index = 0;
+        while (index < transferIndexes.length) {
+          const transfer = await parseTransferLog(logs, transferIndexes[index]);
+          if (transfer != null) {
+            const { from, to } = transfer;
+            emit(eventType, {
+              transactionHash,
+              marketplace,
+              seller: from,
+              buyer: to,
+              price: formatPrice(price, currency),
+              ...toFeeBreakdown(
+                { price, marketplaceFee, royaltyFee: BigNumber.from(0) },
+                currency
+              ),
+              ...currency,
+              poolPrice,
+              blockchain: "eth",
+              ...parsedEvent,
+              ...transfer,
+            });
+          }
+
+          index += 1;
+        }
+      };
+
+    /**
+     * Whether a pool trades a collection watched by the alerts. Pools are
+     * not known in advance and log filters only take a single address, so
+     * the swaps of the other pools are dropped before they are handled.
+     * @param {String} address - The pool's address
+     * @return {Boolean}
+     */
+    const isWatchedPair = async (address) => {
+      const pair = await getPair(address.toLowerCase());
+      return (
+        pair != null &&
+        (collectionsToPoll.includes(pair.collection) ||
+          addressesToWatch.includes(pair.collection))
+      );
+    };
+
+    const logListeners = [];
+    const pairWatcher = {
+      address: factoryAddress,
+      on: (filter, listener) => {
+        const logListener = async (log) => {
+          if (await isWatchedPair(log.address)) {
+            listener(toContractEvent(log, []));
+          }
+        };
+
+        logListeners.push({ filter, logListener });
+        ethProvider.on(filter, logListener);
+      },
+      queryFilter: async (filter, fromBlockOrBlockHash, toBlock) => {
+        const range = etherUtils.isHexString(fromBlockOrBlockHash, 32)
+          ? { blockHash: fromBlockOrBlockHash }
+          : { fromBlock: fromBlockOrBlockHash, toBlock };
+        const logs = await ethProvider.getLogs({ ...filter, ...range });
+        const watchedLogs = await Promise.all(
+          logs.map(async (log) =>
+            (await isWatchedPair(log.address)) ? log : null
+          )
+        );
+        return watchedLogs
+          .filter((log) => log != null)
+          .map((log) => toContractEvent(log, []));
+      },
+      removeAllListeners: () => {
+        logListeners.forEach(({ filter, logListener }) =>
+          ethProvider.off(filter, logListener)
+        );
+      },
+    };
+
+    subscribe(
+      pairWatcher,
+      { topics: [swapNFTInTopic] },
+      handleSwap("acceptOffer")
+    );
+    subscribe(
+      pairWatcher,
+      { topics: [swapNFTOutTopic] },
+      handleSwap("acceptAsk")
+    );
+    return pairWatcher;
+  };
+
+  /**
+   * Creates event listeners for SuperRare's on-chain events that call
+   * the supplied _emit_ function with an NFTEvent. SuperRare's events
+   * already include the collection and token id, so they take precedence
+   * over the ones parsed from the transaction's transfer logs.
+   * @param {Function} subscribe - Subscribes a handler to a contract's events.
+   * @return {ethers.Contract} contract - The ethers.js contract to be
+   * able to destroy the event listeners.
+   */
+  const superrareEventListener = (subscribe) => {
+    const marketplace = "superrare";
+    const { [ETHEREUM_NETWORK]: address, abi } = ethContracts.superrare;
+    if (address == null) {
+      logMessage({
+        message: `No address set for SuperRare on network ${ETHEREUM_NETWORK}`,
+      });
+      return emptyContract;
+    }
+
+    const contract = new ethers.Contract(address, abi, ethProvider);
+    subscribe(contract, contract.filters.Sold(), async (...args) => {
+      const event = args[args.length - 1];
+      const {
+        transactionHash,
+        args: {
+          _originContract: collection,
+          _buyer: buyer,
+          _seller: seller,
+          _amount: price,
+          _currencyAddress: currencyAddress,
+          _tokenId: tokenId,
+        },
+      } = event;
+      const parsedEvent = await parseEvent(event);
+      const currency = await getCurrency(currencyAddress);
+      emit("acceptAsk", {
+        transactionHash,
+        marketplace,
+        seller,
+        buyer,
+        price: formatPrice(price, currency),
+        ...currency,
+        blockchain: "eth",
+        ...parsedEvent,
+        collection: collection.toLowerCase(),
+        tokenId: tokenId.toString(),
+      });
+    });
+    subscribe(contract, contract.filters.AcceptOffer(), async (...args) => {
+      const event = args[args.length - 1];
+      const {
+        transactionHash,
+        args: {
+          _originContract: collection,
+          _bidder: buyer,
+          _seller: seller,
+          _amount: price,
+          _currencyAddress: currencyAddress,
+          _tokenId: tokenId,
+        },
+      } = event;
+      const parsedEvent = await parseEvent(event);
+      const currency = await getCurrency(currencyAddress);
+      emit("acceptOffer", {
+        transactionHash,
+        marketplace,
+        seller,
+        buyer,
+        price: formatPrice(price, currency),
+        ...currency,
+        blockchain: "eth",
+        ...parsedEvent,
+        collection: collection.toLowerCase(),
+        tokenId: tokenId.toString(),
+      });
+    });
+    subscribe(contract, contract.filters.AuctionBid(), async (...args) => {
+      const event = args[args.length - 1];
+      const {
+        transactionHash,
+        args: {
+          _contractAddress: collection,
+          _bidder: buyer,
+          _amount: price,
+          _currencyAddress: currencyAddress,
+          _tokenId: tokenId,
+        },
+      } = event;
+      const parsedEvent = await parseEvent(event);
+      const currency = await getCurrency(currencyAddress);
+      emit("placeBid", {
+        transactionHash,
+        buyer,
+        price: formatPrice(price, currency),
+        ...currency,
+        marketplace,
+        blockchain: "eth",
+        ...parsedEvent,
+        collection: collection.toLowerCase(),
+        tokenId: tokenId.toString(),
+      });
+    });
+    subscribe(contract, contract.filters.AuctionSettled(), async (...args) => {
+      const event = args[args.length - 1];
+      const {
+        transactionHash,
+        args: {
+          _contractAddress: collection,
+          _bidder: buyer,
+          _seller: seller,
+          _amount: price,
+          _currencyAddress: currencyAddress,
+          _tokenId: tokenId,
+        },
+      } = event;
+      const parsedEvent = await parseEvent(event);
+      const currency = await getCurrency(currencyAddress);
+      emit("settleAuction", {
+        transactionHash,
+        marketplace,
+        seller,
+        buyer,
+        price: formatPrice(price, currency),
+        ...currency,
+        blockchain: "eth",
+        ...parsedEvent,
+        collection: collection.toLowerCase(),
+        tokenId: tokenId.toString(),
+      });
+    });
+    subscribe(contract, contract.filters.CancelAuction(), async (...args) => {
+      const event = args[args.length - 1];
+      const {
+        transactionHash,
+        args: { _contractAddress: collection, _tokenId: tokenId },
+      } = event;
+      const parsedEvent = await parseEvent(event, "cancelOrder");
+      emit("cancelOrder", {
+        transactionHash,
+        marketplace,
+        blockchain: "eth",
+        ...parsedEvent,
+        collection: collection.toLowerCase(),
+        tokenId: tokenId.toString(),
+      });
+    });
+    subscribe(contract, contract.filters.CancelOffer(), async (...args) => {
+      const event = args[args.length - 1];
+      const {
+        transactionHash,
+        args: {
+          _originContract: collection,
+          _bidder: buyer,
+          _amount: price,
+          _currencyAddress: currencyAddress,
+          _tokenId: tokenId,
+        },
+      } = event;
+      const parsedEvent = await parseEvent(event, "cancelOrder");
+      const currency = await getCurrency(currencyAddress);
+      emit("cancelOrder", {
+        transactionHash,
+        marketplace,
+        buyer,
+        price: formatPrice(price, currency),
+        ...currency,
+        orderType: "offer",
+        blockchain: "eth",
+        ...parsedEvent,
+        collection: collection.toLowerCase(),
+        tokenId: tokenId.toString(),
+      });
+    });
+    return contract;
+  };
+
+  /**
+   * Creates event listeners for NFTX's marketplace zap that call the supplied
+   * _emit_ function with an NFTEvent. The zap only logs how many NFTs were
+   * traded and the ETH amount, so the vault is taken from the NFT transfer
+   * logs: it is the receiver on deposits and the sender on redeems and swaps.
+   * @param {Function} subscribe - Subscribes a handler to a contract's events.
+   * @return {ethers.Contract} contract - The ethers.js contract to be
+   * able to destroy the event listeners.
+   */
+  const nftxEventListener = (subscribe) => {
+    const marketplace = "nftx";
+    const { [ETHEREUM_NETWORK]: address, abi } = ethContracts.nftx;
+    if (address == null) {
+      logMessage({
+        message: `No address set for NFTX on network ${ETHEREUM_NETWORK}`,
+      });
+      return emptyContract;
+    }
+
+    const contract = new ethers.Contract(address, abi, ethProvider);
+    subscribe(contract, contract.filters.Sell(), async (...args) => {
+      const event = args[args.length - 1];
+      const {
+        transactionHash,
+        args: { count, ethReceived, to: seller },
+      } = event;
+      const parsedEvent = await parseEvent(event);
+      emit("vaultDeposit", {
+        transactionHash,
+        marketplace,
+        seller,
+        buyer: parsedEvent.to,
+        price: Number(etherUtils.formatEther(ethReceived)),
+        ...(await getCurrency()),
+        amount: count.toNumber(),
+        blockchain: "eth",
+        ...parsedEvent,
+      });
+    });
+    subscribe(contract, contract.filters.Buy(), async (...args) => {
+      const event = args[args.length - 1];
+      const {
+        transactionHash,
+        args: { count, ethSpent, to: buyer },
+      } = event;
+      const parsedEvent = await parseEvent(event);
+      emit("vaultRedeem", {
+        transactionHash,
+        marketplace,
+        seller: parsedEvent.from,
+        buyer,
+        price: Number(etherUtils.formatEther(ethSpent)),
+        ...(await getCurrency()),
+        amount: count.toNumber(),
+        blockchain: "eth",
+        ...parsedEvent,
+      });
+    });
+    subscribe(contract, contract.filters.Swap(), async (...args) => {
+      const event = args[args.length - 1];
+      const {
+        transactionHash,
+        args: { count, ethSpent, to: buyer },
+      } = event;
+      const parsedEvent = await parseEvent(event);
+      emit("vaultSwap", {
+        transactionHash,
+        marketplace,
+        seller: parsedEvent.from,
+        buyer,
+        price: Number(etherUtils.formatEther(ethSpent)),
+        ...(await getCurrency()),
+        amount: count.toNumber(),
+        blockchain: "eth",
+        ...parsedEvent,
+      });
+    });
+    return contract;
+  };
+
+  /**
+   * Creates the watcher of the NFT transfers that marketplaces do not report,
+   * i.e. ERC-721 Transfer and ERC-1155 TransferSingle and TransferBatch logs:
+   * - Mints (transfers from the zero address) in the collections with an
+   * active alert or by a watched address.
+   * - Plain transfers and burns from or to a watched address, outside of
+   * marketplace transactions.
+   * They can happen on any contract, so the watcher acts as a contract of its
+   * own at the zero address whose events are only the relevant transfers.
+   * That way its events are confirmed and replayed from checkpoints like the
+   * marketplaces' ones.
+   * @param {Function} subscribe - Subscribes a handler to a contract's events.
+   * @return {Object} transferWatcher - Works as an ethers.js contract to be
+   * able to destroy the event listeners.
+   */
+  const transferEventListener = (subscribe) => {
+    const transferTopic = etherUtils.id("Transfer(address,address,uint256)");
+    const transferSingleTopic = etherUtils.id(
+      "TransferSingle(address,address,address,uint256,uint256)"
+    );
+    const transferBatchTopic = etherUtils.id(
+      "TransferBatch(address,address,address,uint256[],uint256[])"
+    );
+    const zeroAddressTopic = etherUtils.hexZeroPad(
+      ethers.constants.AddressZero,
+      32
+    );
+    const erc721Interface = new etherUtils.Interface(erc721Abi);
+    const erc1155Interface = new etherUtils.Interface(erc1155Abi);
+    const mintFilters = [
+      { topics: [transferTopic, zeroAddressTopic] },
+      { topics: [transferSingleTopic, null, zeroAddressTopic] },
+      { topics: [transferBatchTopic, null, zeroAddressTopic] },
+    ];
+    const transferFilters = [
+      { topics: [transferTopic] },
+      { topics: [transferSingleTopic] },
+      { topics: [transferBatchTopic] },
+    ];
+    const isMintFilter = (filter) => mintFilters.includes(filter);
+
+    /**
+     * Parses an NFT transfer log.
+     * @param {Object} log
+     * @return {Object|null} args - The args of the Transfer, TransferSingle
+     * or TransferBatch event. Null if the log is not a transfer of an NFT.
+     */
+    const parseTransferLog = (log) => {
+      const { topics } = log;
+      // ERC-20 transfers share the topic but have 3 topics
+      if (
+        (topics[0] === transferTopic && topics.length !== 4) ||
+        ![transferTopic, transferSingleTopic, transferBatchTopic].includes(
+          topics[0]
+        )
+      ) {
+        return null;
+      }
+
+      try {
+        const { args } = (
+          topics[0] === transferTopic ? erc721Interface : erc1155Interface
+        ).parseLog(log);
+        return args;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    /**
+     * Whether a transfer log is a mint.
+     * @param {Object} args - The args of the Transfer, TransferSingle or
+     * TransferBatch event
+     * @return {Boolean}
+     */
+    const isMint = ({ from }) => from === ethers.constants.AddressZero;
+
+    /**
+     * Turns a log into an event like the ones of ethers.js contracts.
+     * @param {Object} log
+     * @return {Object|null} event - Null if the log is not a transfer of a
+     * watched collection or address.
+     */
+    const toTransferEvent = (log) => {
+      const args = parseTransferLog(log);
+      if (args == null) {
+        return null;
+      }
+
+      const collection = log.address.toLowerCase();
+      const from = args.from.toLowerCase();
+      const to = args.to.toLowerCase();
+      const isWatched = isMint(args)
+        ? collectionsToPoll.includes(collection) ||
+          addressesToWatch.includes(collection) ||
+          addressesToWatch.includes(to)
+        : addressesToWatch.includes(from) || addressesToWatch.includes(to);
+      if (!isWatched) {
+        return null;
+      }
+
+      return toContractEvent(log, args);
+    };
+
+    /**
+     * Build the log queries of a filter for the watched collections and
+     * addresses, since the transfers of every contract would exceed the
+     * providers' limits.
+     * @param {Object} filter - One of the mint or transfer filters
+     * @return {Object[]} queries
+     */
+    const getQueries = (filter) => {
+      const addressTopics = addressesToWatch.map((address) =>
+        etherUtils.hexZeroPad(address, 32)
+      );
+      if (addressTopics.length === 0 && !isMintFilter(filter)) {
+        return [];
+      }
+
+      if (isMintFilter(filter)) {
+        const queries = [
+          ...new Set([...collectionsToPoll, ...addressesToWatch]),
+        ].map((address) => ({ ...filter, address }));
+        return addressTopics.length === 0
+          ? queries
+          : queries.concat({ topics: [...filter.topics, addressTopics] });
+      }
+
+      // Transfers from or to a watched address. The sender is the second
+      // topic of ERC-721 transfers and the third one of ERC-1155 single and
+      // batch transfers.
+      const fromIndex = filter.topics[0] === transferTopic ? 1 : 2;
+      return [fromIndex, fromIndex + 1].map((index) => ({
+        topics: [
+          ...filter.topics,
+          ...new Array(index - filter.topics.length).fill(null),
+          addressTopics,
+        ],
+      }));
+    };
+
+    const queryFilter = async (filter, fromBlockOrBlockHash, toBlock) => {
+      const range = etherUtils.isHexString(fromBlockOrBlockHash, 32)
+        ? { blockHash: fromBlockOrBlockHash }
+        : { fromBlock: fromBlockOrBlockHash, toBlock };
+      const queries = getQueries(filter);
+      const logs = {};
+      let index = 0;
+      while (index < queries.length) {
+        const queryLogs = await ethProvider.getLogs({
+          ...queries[index],
+          ...range,
+        });
+        queryLogs.forEach((log) => {
+          logs[`${log.transactionHash}/${log.logIndex}`] = log;
+        });
+        index += 1;
+      }
+
+      return Object.values(logs)
+        .sort(
+          (log1, log2) =>
+            log1.blockNumber - log2.blockNumber || log1.logIndex - log2.logIndex
+        )
+        .map(toTransferEvent)
+        .filter((event) => event != null);
+    };
+
+    const providerListeners = [];
+    const transferWatcher = {
+      address: ethers.constants.AddressZero,
+      // Mints and transfers are queried on every block for the collections
+      // and addresses watched then
+      on: (filter, listener) => {
+        const providerListener = async (blockNumber) => {
+          const events = await queryFilter(
+            filter,
+            blockNumber,
+            blockNumber
+          ).catch((error) => {
+            logMessage({
+              message: `Error querying the ${
+                isMintFilter(filter) ? "mints" : "transfers"
+              } of block ${blockNumber}`,
+              level: "warning",
+              error,
+            });
+            return [];
+          });
+          events.forEach((event) => listener(event));
+        };
+
+        providerListeners.push(providerListener);
+        ethProvider.on("block", providerListener);
+      },
+      queryFilter,
+      removeAllListeners: () => {
+        providerListeners.forEach((providerListener) =>
+          ethProvider.off("block", providerListener)
+        );
+      },
+    };
+
+    const handleMint = async (...args) => {
+      const event = args[args.length - 1];
+      const {
+        transactionHash,
+        logIndex,
+        address,
+        args: { to },
+      } = event;
+      const collection = address.toLowerCase();
+      const minter = to.toLowerCase();
+      const mints = (await getTransactionLogs(event))
+        .filter((log) => log.address.toLowerCase() === collection)
+        .map((log) => ({ logIndex: log.logIndex, args: parseTransferLog(log) }))
+        .filter(
+          ({ args: mintArgs }) =>
+            mintArgs != null &&
+            isMint(mintArgs) &&
+            mintArgs.to.toLowerCase() === minter
+        );
+      // The NFTs minted together are emitted as a single event, when
+      // handling the first of their logs
+      if (mints.length === 0 || mints[0].logIndex !== logIndex) {
+        return;
+      }
+
+      const transaction = await ethProvider
+        .getTransaction(transactionHash)
+        .catch((error) => {
+          logMessage({
+            message: `Error getting the mint tx ${transactionHash}`,
+            level: "warning",
+            error,
+          });
+          return null;
+        });
+      // The NFTs minted together are a single event, so batch mints are not
+      // split into one event per token
+      const { batch, ...parsedEvent } = await parseEvent(event);
+      const currency = await getCurrency();
+      // The amounts of batch transfers are read by position, since "values"
+      // is shadowed by the array method of ethers.js results
+      const mintedTokens = mints.flatMap(({ args: mintArgs }) => {
+        const { tokenId, id, value, ids } = mintArgs;
+        return ids == null
+          ? [
+              {
+                tokenId: (tokenId || id).toString(),
+                amount: value == null ? 1 : value.toNumber(),
+              },
+            ]
+          : ids.map((batchId, index) => ({
+              tokenId: batchId.toString(),
+              amount: mintArgs[4][index].toNumber(),
+            }));
+      });
+      const tokenIds = mintedTokens.map(({ tokenId }) => tokenId);
+      emit("mint", {
+        transactionHash,
+        buyer: minter,
+        amount: mintedTokens.reduce((sum, { amount }) => sum + amount, 0),
+        price:
+          transaction == null ? null : formatPrice(transaction.value, currency),
+        ...currency,
+        blockchain: "eth",
+        ...parsedEvent,
+        ...(tokenIds.length > 1
+          ? { tokenIds }
+          : { ...(batch == null ? {} : batch[0]), tokenId: tokenIds[0] }),
+      });
+    };
+
+    const handleTransfer = async (...args) => {
+      const event = args[args.length - 1];
+      const {
+        transactionHash,
+        args: { from, to, value },
+      } = event;
+      // Mints are handled by their own filters
+      if (from === ethers.constants.AddressZero) {
+        return;
+      }
+
+      // Marketplaces already report the transfers of their trades. Sudoswap
+      // swaps are logged by their pools, which are not known in advance.
+      const logs = await getTransactionLogs(event);
+      if (
+        logs.some(
+          ({ address, topics }) =>
+            marketplaceAddresses.includes(address.toLowerCase()) ||
+            sudoswapSwapTopics.includes(topics[0])
+        )
+      ) {
+        return;
+      }
+
+      // Batch transfers are split into one event per token by emit
+      const parsedEvent = await parseEvent(event);
+      const isBurn = burnAddresses.includes(to.toLowerCase());
+      emit(isBurn ? "burn" : "transfer", {
+        transactionHash,
+        seller: from.toLowerCase(),
+        buyer: isBurn ? null : to.toLowerCase(),
+        amount: value == null ? 1 : value.toNumber(),
+        blockchain: "eth",
+        ...parsedEvent,
+      });
+    };
+
+    mintFilters.forEach((filter) =>
+      subscribe(transferWatcher, filter, handleMint)
+    );
+    transferFilters.forEach((filter) =>
+      subscribe(transferWatcher, filter, handleTransfer)
+    );
+    return transferWatcher;
+  };
+
+  /**
+   * Generic poll function for the LR API.
+   * @param {String[]} collections - The collection addresses
+   * @param {Function} call - The function that fetches the endpoint and
    * returns a result.
    * @param {Function} handleResponse - The function that handles the response
    * returned by the _call_ parameter.
@@ -1136,20 +2591,272 @@ export default (ethProvider, collections = []) => {
   };
 
   /**
-   * Create the on-chain listeners and start polling marketplaces.
+   * Set the addresses watched by the alerts, whose mints, transfers and
+   * burns are emitted even if the collection is not being polled.
+   * @param {String[]} addresses - Ethereum addresses
+   */
+  eventEmitter.setAddressesToWatch = (addresses) => {
+    addressesToWatch = addresses.map((address) => address.toLowerCase());
+  };
+
+  const allowedListeners = [
+    { listener: openSeaEventListener, id: "openSea" },
+    { listener: seaportEventListener, id: "openSea" },
+    { listener: looksRareEventListener, id: "looksRare" },
+    { listener: raribleEventListener, id: "rarible" },
+    { listener: foundationEventListener, id: "foundation" },
+    { listener: x2y2EventListener, id: "x2y2" },
+    { listener: superrareEventListener, id: "superrare" },
+    { listener: nftxEventListener, id: "nftx" },
+    { listener: blurEventListener, id: "blur" },
+    { listener: sudoswapEventListener, id: "sudoswap" },
+  ].filter(({ id }) => ALLOWED_MARKETPLACE_IDS.includes(id));
+  // Mints and plain transfers do not happen on marketplaces, so they are
+  // always watched
+  allowedListeners.push({ listener: transferEventListener, id: "transfer" });
+
+  // Block numbers of the live on-chain events being handled or stored, by
+  // contract
+  const pendingBlocks = {};
+
+  /**
+   * Wait until an on-chain event has CONFIRMATION_DEPTH confirmations, up to
+   * MAX_CONFIRMATION_DEPTH. If a chain reorganization moved its transaction
+   * to another block, the events are queried again from the new block since
+   * their logs changed.
+   * @param {ethers.Contract} contract
+   * @param {ethers.EventFilter} filter
+   * @param {ethers.Event} event
+   * @return {ethers.Event[]} The confirmed events. Empty if the transaction
+   * was not confirmed in time.
+   */
+  const waitForConfirmations = async (contract, filter, event) => {
+    const confirmations = Math.min(
+      Number(CONFIRMATION_DEPTH),
+      MAX_CONFIRMATION_DEPTH
+    );
+    if (confirmations <= 1) {
+      return [event];
+    }
+
+    const { transactionHash, blockHash } = event;
+    const receipt = await ethProvider
+      .waitForTransaction(transactionHash, confirmations, CONFIRMATION_TIMEOUT)
+      .catch((error) => {
+        logMessage({
+          message: `Transaction ${transactionHash} was not confirmed`,
+          level: "warning",
+          error,
+        });
+        return null;
+      });
+    if (receipt == null) {
+      return [];
+    }
+
+    if (receipt.blockHash === blockHash) {
+      return [event];
+    }
+
+    const events = await contract
+      .queryFilter(filter, receipt.blockHash)
+      .catch((error) => {
+        logMessage({
+          message: `Error querying the events of transaction ${transactionHash} in its new block ${receipt.blockHash}`,
+          level: "error",
+          error,
+        });
+        return [];
+      });
+    return events.filter((newEvent) => {
+      return newEvent.transactionHash === transactionHash;
+    });
+  };
+
+  /**
+   * Subscribe a handler to a contract's live events once they are confirmed,
+   * keeping track of the blocks whose events are still being handled or
+   * stored by the listeners.
+   * @param {ethers.Contract} contract
+   * @param {ethers.EventFilter} filter
+   * @param {Function} handler
    */
-  eventEmitter.start = () => {
+  const subscribeToLiveEvents = (contract, filter, handler) => {
+    const address = contract.address.toLowerCase();
+    pendingBlocks[address] = pendingBlocks[address] || [];
+    contract.on(filter, async (...args) => {
+      const event = args[args.length - 1];
+      const { blockNumber } = event;
+      pendingBlocks[address].push(blockNumber);
+      try {
+        const confirmedEvents = await waitForConfirmations(
+          contract,
+          filter,
+          event
+        );
+        let index = 0;
+        while (index < confirmedEvents.length) {
+          const confirmedEvent = confirmedEvents[index];
+          await handler(...confirmedEvent.args, confirmedEvent);
+          await Promise.all(
+            storingEvents[confirmedEvent.transactionHash] || []
+          );
+          index += 1;
+        }
+      } catch (error) {
+        // The event is dropped. If it was missed, the next replay from the
+        // checkpoints picks it up again.
+        logMessage({
+          message: `Error handling live event of transaction ${event.transactionHash}`,
+          level: "error",
+          error,
+        });
+      } finally {
+        pendingBlocks[address].splice(
+          pendingBlocks[address].indexOf(blockNumber),
+          1
+        );
+      }
+    });
+  };
+
+  /**
+   * Collect the handlers of the allowed marketplaces without listening to
+   * their live events, so that they can be used on past events.
+   * @return {Object[]} subscriptions - As { contract, filter, handler }.
+   */
+  const getSubscriptions = () => {
+    const subscriptions = [];
+    allowedListeners.forEach(({ listener }) =>
+      listener((contract, filter, handler) => {
+        subscriptions.push({ contract, filter, handler });
+      })
+    );
+    return subscriptions;
+  };
+
+  /**
+   * Query the past events of some subscriptions between two blocks and
+   * handle them as if they had just happened.
+   * @param {Object[]} subscriptions - As { contract, filter, handler }.
+   * @param {Number} fromBlock - The first block to query.
+   * @param {Number} toBlock - The last block to query.
+   * @param {Number} blockRange - The maximum number of blocks to query at
+   * once, to stay within the provider's limits.
+   * @return {Number} The number of on-chain events found.
+   */
+  const replayEvents = async (
+    subscriptions,
+    fromBlock,
+    toBlock,
+    blockRange = BACKFILL_BLOCK_RANGE
+  ) => {
+    let totalEvents = 0;
+    let startBlock = fromBlock;
+    while (startBlock <= toBlock) {
+      const endBlock = Math.min(startBlock + blockRange - 1, toBlock);
+      let index = 0;
+      while (index < subscriptions.length) {
+        const { contract, filter, handler } = subscriptions[index];
+        const events = await contract
+          .queryFilter(filter, startBlock, endBlock)
+          // eslint-disable-next-line no-loop-func
+          .catch((error) => {
+            logMessage({
+              message: `Error querying events of ${contract.address} from block ${startBlock} to ${endBlock}`,
+              level: "error",
+              error,
+            });
+            return [];
+          });
+        // Events are handled one at a time to avoid hitting the
+        // provider's rate limits when fetching their transactions. A failing
+        // event is skipped so that it doesn't abort the rest of the replay.
+        let eventIndex = 0;
+        while (eventIndex < events.length) {
+          const event = events[eventIndex];
+          try {
+            await handler(...event.args, event);
+          } catch (error) {
+            logMessage({
+              message: `Error replaying event of transaction ${event.transactionHash}`,
+              level: "error",
+              error,
+            });
+          }
+
+          eventIndex += 1;
+        }
+
+        totalEvents += events.length;
+        index += 1;
+      }
+
+      logMessage({
+        message: `Replayed blocks ${startBlock} to ${endBlock} (${totalEvents} events so far)`,
+        level: "info",
+      });
+      startBlock = endBlock + 1;
+    }
+
+    return totalEvents;
+  };
+
+  /**
+   * Replay the events of each contract that happened after its checkpoint
+   * and up to a block.
+   * @param {CrawlerCheckpoint[]} checkpoints
+   * @param {Number} toBlock - The last block to replay.
+   */
+  const replayFromCheckpoints = async (checkpoints, toBlock) => {
+    const subscriptions = getSubscriptions();
+    let index = 0;
+    while (index < checkpoints.length) {
+      const { contract, blockNumber } = checkpoints[index];
+      const contractSubscriptions = subscriptions.filter(
+        ({ contract: { address } }) => address.toLowerCase() === contract
+      );
+      const fromBlock = Math.max(blockNumber + 1, toBlock - MAX_REPLAY_BLOCKS);
+      if (blockNumber + 1 < fromBlock) {
+        logMessage({
+          message: `Crawler checkpoint of ${contract} is too old, skipping blocks ${
+            blockNumber + 1
+          } to ${fromBlock - 1}`,
+          level: "warning",
+        });
+      }
+
+      if (contractSubscriptions.length > 0 && fromBlock <= toBlock) {
+        await replayEvents(contractSubscriptions, fromBlock, toBlock);
+      }
+
+      index += 1;
+    }
+  };
+
+  /**
+   * Create the on-chain listeners and start polling marketplaces. If there
+   * are checkpoints, the events missed since then are replayed first.
+   * @param {Object} params
+   * @param {CrawlerCheckpoint[]} params.checkpoints - The last block
+   * processed for each marketplace contract.
+   */
+  eventEmitter.start = async ({ checkpoints = [] } = {}) => {
     polling = true;
-    contracts = [
-      { listener: openSeaEventListener, id: "openSea" },
-      { listener: seaportEventListener, id: "openSea" },
-      { listener: looksRareEventListener, id: "looksRare" },
-      { listener: raribleEventListener, id: "rarible" },
-      { listener: foundationEventListener, id: "foundation" },
-      { listener: x2y2EventListener, id: "x2y2" },
-    ]
-      .filter(({ id }) => ALLOWED_MARKETPLACE_IDS.includes(id))
-      .map(({ listener }) => listener());
+    const latestBlock = await ethProvider.getBlockNumber();
+    await replayFromCheckpoints(checkpoints, latestBlock);
+    contracts = allowedListeners.map(({ listener }) =>
+      listener(subscribeToLiveEvents)
+    );
+    // Replay the blocks mined while replaying the missed ones. Events that
+    // the live listeners also receive are deduplicated by the database.
+    await replayFromCheckpoints(
+      checkpoints.map(({ contract }) => ({
+        contract,
+        blockNumber: latestBlock,
+      })),
+      await ethProvider.getBlockNumber()
+    );
 
     if (ALLOWED_MARKETPLACE_IDS.includes("looksRare")) {
       pollLROrders();
@@ -1157,6 +2864,39 @@ export default (ethProvider, collections = []) => {
     }
   };
 
+  /**
+   * Get the last block fully processed by the live listeners of each
+   * marketplace contract, whose events are all stored. The latest blocks are
+   * left out since their events may still be on their way.
+   * @return {CrawlerCheckpoint[]} checkpoints
+   */
+  eventEmitter.getCheckpoints = async () => {
+    const latestBlock = await ethProvider.getBlockNumber();
+    const safeBlock = latestBlock - CHECKPOINT_SAFETY_BLOCKS;
+    return Object.entries(pendingBlocks).map(([contract, blocks]) => ({
+      contract,
+      blockNumber:
+        blocks.length > 0
+          ? Math.min(safeBlock, Math.min(...blocks) - 1)
+          : safeBlock,
+    }));
+  };
+
+  /**
+   * Query the past on-chain events of the marketplaces between two blocks
+   * and emit them through the same handlers as the live listeners.
+   * Marketplace API events (i.e. LooksRare listings and offers) are not
+   * included.
+   * @param {Object} params
+   * @param {Number} params.fromBlock - The first block to query.
+   * @param {Number} params.toBlock - The last block to query.
+   * @param {Number} params.blockRange - The maximum number of blocks to
+   * query at once, to stay within the provider's limits.
+   * @return {Number} The number of on-chain events found.
+   */
+  eventEmitter.backfill = ({ fromBlock, toBlock, blockRange }) =>
+    replayEvents(getSubscriptions(), fromBlock, toBlock, blockRange);
+
   /**
    * Destroy the on-chain listeners and stop polling marketplaces.
    */
@@ -0,0 +1,140 @@
+/// <reference path="./typedefs.js" />
+
+/*
+ * Computes the realized profit and loss of a wallet from the NFTs it bought,
+ * minted and sold. Each sale is matched with the oldest acquisition of the
+ * same token that hasn't been sold yet (first in, first out).
+ */
+
+const GWEI = 10 ** -9;
+
+/**
+ * @typedef {Object} PnL - The realized profit and loss of a wallet, in ETH.
+ * @property {Number} realizedProfit - What the sales made after subtracting
+ * what the tokens cost. Negative for losses.
+ * @property {Number} proceeds - What the wallet received for the sales, after
+ * marketplace fees and royalties.
+ * @property {Number} costBasis - What the sold tokens cost, including the gas
+ * paid to buy or mint them.
+ * @property {Number} gasCost - The gas paid to buy and sell the sold tokens.
+ * @property {Number} fees - The marketplace fees and royalties of the sales.
+ * @property {Number} sales - How many token sales were matched with a buy.
+ * @property {Number} unmatchedSales - How many token sales were left out
+ * because the token was acquired before it was tracked.
+ */
+
+/**
+ * Compute the realized profit and loss of a wallet over a period. Only trades
+ * priced in ETH or WETH are counted. Gas counts as a cost when the wallet sent
+ * the transaction and its gas price is known.
+ * @param {Object} params
+ * @param {String} params.address - The wallet's address.
+ * @param {NFTEvent[]} params.trades - All the wallet's trades until the end
+ * of the period, oldest first, as returned by the database's getWalletTrades.
+ * The trades before the period are needed to know what the tokens sold
+ * during the period cost.
+ * @param {Date} [params.since] - When the period starts.
+ * @param {Date} [params.until] - When the period ends.
+ * @return {PnL}
+ */
+export default ({
+  address,
+  trades,
+  since = new Date(0),
+  until = new Date(),
+}) => {
+  const wallet = address.toLowerCase();
+  const etherTrades = trades.filter(
+    ({ currency }) => currency == null || ["ETH", "WETH"].includes(currency)
+  );
+  // The gas of a tx is split among the wallet's trades in it
+  const tradesPerTransaction = etherTrades.reduce(
+    (counts, { transactionHash }) => ({
+      ...counts,
+      [transactionHash]: (counts[transactionHash] || 0) + 1,
+    }),
+    {}
+  );
+  const getGasCost = ({ initiator, gas, gasPrice, transactionHash }) =>
+    initiator === wallet && gas != null && gasPrice != null
+      ? (gas * gasPrice * GWEI) / tradesPerTransaction[transactionHash]
+      : 0;
+  // The unsold units of each token and what each of them cost
+  const lots = {};
+  const pnl = {
+    realizedProfit: 0,
+    proceeds: 0,
+    costBasis: 0,
+    gasCost: 0,
+    fees: 0,
+    sales: 0,
+    unmatchedSales: 0,
+  };
+  etherTrades.forEach((trade) => {
+    const {
+      collection,
+      tokenId,
+      tokenIds,
+      amount,
+      price,
+      buyer,
+      seller,
+      sellerProfit,
+      startsAt,
+      createdAt,
+    } = trade;
+    const units =
+      tokenIds != null && tokenIds.length > 0
+        ? tokenIds.map((id) => ({ id, count: 1 }))
+        : [{ id: tokenId, count: amount || 1 }];
+    const totalUnits = units.reduce((sum, { count }) => sum + count, 0);
+    const gasPerUnit = getGasCost(trade) / totalUnits;
+    if (buyer === wallet) {
+      units.forEach(({ id, count }) => {
+        const token = `${collection}/${id}`;
+        lots[token] = [
+          ...(lots[token] || []),
+          ...Array(count).fill({
+            price: (price || 0) / totalUnits,
+            gas: gasPerUnit,
+          }),
+        ];
+      });
+    }
+
+    if (seller !== wallet) {
+      return;
+    }
+
+    const date = startsAt || createdAt;
+    const isInPeriod = date >= since && date < until;
+    const proceedsPerUnit =
+      (sellerProfit == null ? price || 0 : sellerProfit) / totalUnits;
+    const feesPerUnit =
+      sellerProfit == null ? 0 : ((price || 0) - sellerProfit) / totalUnits;
+    units.forEach(({ id, count }) => {
+      const token = `${collection}/${id}`;
+      [...Array(count)].forEach(() => {
+        const lot = (lots[token] || []).shift();
+        if (!isInPeriod) {
+          return;
+        }
+
+        if (lot == null) {
+          pnl.unmatchedSales += 1;
+          return;
+        }
+
+        const costBasis = lot.price + lot.gas;
+        pnl.sales += 1;
+        pnl.proceeds += proceedsPerUnit;
+        pnl.costBasis += costBasis;
+        pnl.gasCost += lot.gas + gasPerUnit;
+        pnl.fees += feesPerUnit;
+        pnl.realizedProfit += proceedsPerUnit - gasPerUnit - costBasis;
+      });
+    });
+  });
+
+  return pnl;
+};
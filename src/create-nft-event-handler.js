@@ -0,0 +1,540 @@
+/// <reference path="./typedefs.js" />
+
+/*
+ * Stores the NFT events emitted by the NFT event emitter in the database,
+ * keeping the collection floors and highest offers up to date. Used both by
+ * the crawler for live events and by the backfill script for past blocks.
+ */
+
+import { utils as etherUtils } from "ethers";
+import sleep from "./sleep.js";
+import { getCollectionFloor } from "./looksrare-api/index.js";
+
+// Milliseconds to wait for the rest of the sales of a transaction before
+// deciding whether they are a sweep.
+const SWEEP_AGGREGATION_DELAY = 10 * 1000;
+// How long the price of an AMM pool is kept as the floor without new trades
+const POOL_FLOOR_DURATION = 24 * 60 * 60 * 1000;
+
+/**
+ *
+ * Given a price and a floor, computes the floor difference such that it fits a maximum and a minimum.
+ * @param {Number} price The price in the blockchain's native currency.
+ * @param {Number} floor The floor price in the blockchain's native currency.
+ * @param {Number} lowerBound (Optional) The minimum value this function can return.
+ * @param {Number} upperBound (Optional) The maximum value this function can return.
+ * @return {Number}
+ */
+const computeFloorDifference = (
+  price,
+  floor,
+  lowerBound = -(10 ** 9),
+  upperBound = 10 ** 9
+) => {
+  if (floor === 0) {
+    return 1;
+  }
+
+  if (price === 0) {
+    return -1;
+  }
+
+  const difference = (price - floor) / floor;
+  return difference < lowerBound
+    ? lowerBound
+    : difference > upperBound
+    ? upperBound
+    : difference;
+};
+
+/**
+ * Whether a price is in Ether, so that it can be compared with the floors.
+ * Events without a currency were priced in ETH or WETH.
+ * @param {String|null} currency - The currency's symbol.
+ * @return {Boolean}
+ */
+const isEtherCurrency = (currency) =>
+  currency == null || ["ETH", "WETH"].includes(currency);
+
+/**
+ * Create the handlers that store NFT events in the database.
+ * @param {Object} params
+ * @param {Object} params.dbClient - The initialized database client.
+ * @param {Object} [params.priceOracle] - Values the events in USD. See
+ * src/price-oracle/index.js.
+ * @return {Object} handlers - handleNFTEvent stores a single event, while
+ * handleEmittedEvent also groups the sales of a transaction into sweeps.
+ */
+export default ({ dbClient, priceOracle }) => {
+  /**
+   * Adds the event's USD value at the time it happened, if there is an oracle.
+   * @param {NFTEvent} event
+   * @return {NFTEvent}
+   */
+  const withUSDPrice = async (event) =>
+    priceOracle == null
+      ? event
+      : { ...event, usdPrice: await priceOracle.getUSDPrice(event) };
+
+  /**
+   * Handles an NFT "offer" event.
+   * @param {NFTEvent} event
+   * @return {String[]} collections - The collection addresses.
+   */
+  const handleOffer = async (event, { price: collectionFloor = 0 } = {}) => {
+    const {
+      collection,
+      marketplace,
+      price,
+      tokenId,
+      endsAt,
+      orderHash,
+      // Offers polled from specific collections are always the current
+      // highest offer.
+      isHighestOffer: offerMustBeHighest = false,
+    } = event;
+    const { object: currentOffer } = await dbClient.getOffer({
+      collection,
+      tokenId,
+    });
+    const { price: currentOfferPrice = 0 } = currentOffer || {};
+    const isHighestOffer = offerMustBeHighest || price > currentOfferPrice;
+
+    // Every offer goes to the offer book, so that the next highest offer is
+    // known when the highest one is accepted or cancelled. Offers without an
+    // order hash are left out since they could never be replaced or removed.
+    if (orderHash != null) {
+      await dbClient.setOffer({
+        collection,
+        orderHash,
+        price,
+        endsAt,
+        marketplace,
+        tokenId,
+      });
+    }
+
+    return dbClient.addNFTEvent({
+      ...event,
+      orderHash,
+      isHighestOffer,
+      collectionFloor,
+      floorDifference: computeFloorDifference(price, collectionFloor),
+    });
+  };
+
+  /**
+   * Handles a collection listing event generated by the nft event emitter.
+   * @param {NFTEvent} event
+   * @param {CollectionFloor} floor - The floor across all marketplaces.
+   * @param {CollectionFloor} marketplaceFloor - The floor on the listing's
+   * marketplace, which the listing may replace.
+   */
+  const handleListing = async (
+    event,
+    { price: collectionFloor = 0 } = {},
+    {
+      price: marketplaceFloor = 0,
+      endsAt: currentEndsAt = new Date("1970-01-01"),
+    } = {}
+  ) => {
+    const {
+      collection,
+      marketplace,
+      price,
+      endsAt,
+      orderHash,
+      isNewFloor = false,
+    } = event;
+    if (
+      (isNewFloor && endsAt !== currentEndsAt && price !== marketplaceFloor) ||
+      marketplaceFloor === 0 ||
+      price < marketplaceFloor ||
+      currentEndsAt < new Date().getTime()
+    ) {
+      await dbClient.setCollectionFloor({
+        collection,
+        orderHash,
+        price,
+        endsAt,
+        marketplace,
+      });
+    }
+
+    return dbClient.addNFTEvent({
+      ...event,
+      orderHash,
+      collectionFloor,
+      floorDifference: computeFloorDifference(price, collectionFloor),
+    });
+  };
+
+  /**
+   * Get the current lowest listing of a collection on a marketplace, from the
+   * marketplace's API if it has one or else from the listings stored by its
+   * listener.
+   * @param {Object} params - The params object.
+   * @param {String} params.collection - The collection's address.
+   * @param {Marketplace} params.marketplace - The marketplace's id.
+   * @return {Object|null} listing - Its orderHash, price and endsAt. Null if
+   * the collection isn't listed on the marketplace.
+   */
+  const getLowestListing = async ({ collection, marketplace }) => {
+    if (marketplace === "looksRare") {
+      const [listing] = await getCollectionFloor({ collection });
+      return listing == null
+        ? null
+        : {
+            orderHash: listing.hash,
+            price: Number(etherUtils.formatEther(listing.price)),
+            endsAt: new Date(listing.endTime * 1000),
+          };
+    }
+
+    const { object: listing } = await dbClient.getLowestListing({
+      collection,
+      marketplace,
+    });
+    return listing;
+  };
+
+  /**
+   * Forces an update on the collection's floor on a marketplace to whatever is
+   * its minimum current listing there.
+   * @param {Object} params - The params object.
+   * @param {String} params.collection - The collection to update.
+   * @param {Marketplace} params.marketplace - The marketplace to update.
+   */
+  const forceFloorUpdate = async ({ collection, marketplace }) => {
+    const listing = await getLowestListing({ collection, marketplace });
+    if (listing != null) {
+      const { orderHash, price, endsAt } = listing;
+      await dbClient.setCollectionFloor({
+        collection,
+        orderHash,
+        price,
+        endsAt,
+        marketplace,
+      });
+      // If there are no listings, set the marketplace's floor to 0
+    } else {
+      await dbClient.setCollectionFloor({
+        collection,
+        orderHash: null,
+        price: 0,
+        endsAt: new Date("1970-01-01"),
+        marketplace,
+      });
+    }
+  };
+
+  /**
+   * AMM pools sell NFTs at their current price like a listing, so they are
+   * also a source for the collection's floor on their marketplace. After a
+   * pool trade, the pool becomes the floor if it's now the cheapest or was
+   * already the floor. If it was the floor but ran out of NFTs, the floor goes
+   * back to the lowest listing.
+   * @param {NFTEvent} event - A trade with a pool, including its poolPrice.
+   * @param {CollectionFloor} marketplaceFloor - The floor on the pool's
+   * marketplace.
+   */
+  const updatePoolFloor = async (
+    { collection, marketplace, eventType, buyer, seller, poolPrice },
+    {
+      price: collectionFloor = 0,
+      orderHash: floorHash,
+      endsAt = new Date("1970-01-01"),
+    } = {}
+  ) => {
+    const pool = (eventType === "acceptAsk" ? seller : buyer).toLowerCase();
+    if (
+      poolPrice != null &&
+      (collectionFloor === 0 ||
+        poolPrice <= collectionFloor ||
+        floorHash === pool ||
+        endsAt < new Date().getTime())
+    ) {
+      await dbClient.setCollectionFloor({
+        collection,
+        orderHash: pool,
+        price: poolPrice,
+        endsAt: new Date(new Date().getTime() + POOL_FLOOR_DURATION),
+        marketplace,
+      });
+    } else if (floorHash === pool) {
+      await forceFloorUpdate({ collection, marketplace });
+    }
+  };
+
+  /**
+   * Handles an accept offer event generated by the nft event emitter.
+   * @param {NFTEvent} event
+   * @param {CollectionFloor} floor
+   */
+  const handleAcceptOffer = async (
+    event,
+    { price: collectionFloor = 0 } = {}
+  ) => {
+    const { marketplace, price, orderHash } = event;
+    if (orderHash != null) {
+      await dbClient.removeOffer({ orderHash, marketplace });
+    }
+
+    return dbClient.addNFTEvent({
+      ...event,
+      collectionFloor,
+      floorDifference: computeFloorDifference(price, collectionFloor),
+    });
+  };
+
+  /**
+   * Handles an accept offer event generated by the nft event emitter.
+   * @param {NFTEvent} event
+   * @param {CollectionFloor} floor - The floor across all marketplaces.
+   * @param {CollectionFloor} marketplaceFloor - The floor on the sale's
+   * marketplace.
+   */
+  const handleAcceptAsk = async (
+    event,
+    { price: collectionFloor = 0 } = {},
+    { orderHash: floorHash } = {}
+  ) => {
+    const { collection, marketplace, price, orderHash } = event;
+    if (orderHash != null && orderHash === floorHash) {
+      await forceFloorUpdate({
+        collection,
+        marketplace,
+      });
+    }
+
+    return dbClient.addNFTEvent({
+      ...event,
+      collectionFloor,
+      floorDifference: computeFloorDifference(price, collectionFloor),
+    });
+  };
+
+  /**
+   * Handles an accept offer event generated by the nft event emitter.
+   * @param {NFTEvent} event
+   * @param {CollectionFloor} floor - The floor across all marketplaces.
+   * @param {CollectionFloor} marketplaceFloor - The floor on the order's
+   * marketplace.
+   */
+  const handleCancelOrder = async (
+    event,
+    { price: collectionFloor = 0 } = {},
+    { orderHash: floorHash } = {}
+  ) => {
+    const { collection, marketplace, price, orderHash } = event;
+    if (orderHash != null && orderHash === floorHash) {
+      await forceFloorUpdate({
+        collection,
+        marketplace,
+      });
+    } else if (orderHash != null) {
+      // If the order was an offer, the next highest offer is already in the
+      // offer book.
+      await dbClient.removeOffer({ orderHash, marketplace });
+    }
+
+    return dbClient.addNFTEvent({
+      ...event,
+      collectionFloor,
+      floorDifference: computeFloorDifference(price, collectionFloor),
+    });
+  };
+
+  /**
+   * Handles an NFTX vault deposit, redeem or swap or a mint generated by the
+   * nft event emitter. The price of these events covers every NFT moved in the
+   * transaction, so the floor difference is computed from the price per NFT.
+   * @param {NFTEvent} event
+   * @param {CollectionFloor} floor
+   */
+  const handleVaultEvent = async (
+    event,
+    { price: collectionFloor = 0 } = {}
+  ) => {
+    const { price, amount } = event;
+    const pricePerNFT = amount > 1 ? price / amount : price;
+    return dbClient.addNFTEvent({
+      ...event,
+      collectionFloor,
+      floorDifference: computeFloorDifference(pricePerNFT, collectionFloor),
+    });
+  };
+
+  /**
+   * Handles an NFT event coming from the NFT event emitter.
+   * @param {NFTEvent}
+   */
+  const handleNFTEvent = async (emittedEvent) => {
+    const event = await withUSDPrice(emittedEvent);
+    const { eventType, collection, marketplace, price, currency } = event;
+    // Transfers and burns have no price to compare with the floor. Events in
+    // other currencies can't be compared either, so their offers are kept out
+    // of the offer book.
+    if (
+      !isEtherCurrency(currency) ||
+      ["transfer", "burn"].includes(eventType)
+    ) {
+      return dbClient.addNFTEvent(event);
+    }
+
+    // Events are compared with the cheapest listing on any marketplace, but
+    // only replace the floor of their own marketplace.
+    const [{ object: floorObject }, { object: marketplaceFloorObject }] =
+      await Promise.all([
+        dbClient.getCollectionFloor({ collection }),
+        marketplace == null
+          ? { object: null }
+          : dbClient.getCollectionFloor({ collection, marketplace }),
+      ]);
+    const floor = floorObject || {};
+    const marketplaceFloor = marketplaceFloorObject || {};
+    const { price: collectionFloor = 0 } = floor;
+    if (event.poolPrice !== undefined) {
+      await updatePoolFloor(event, marketplaceFloor);
+    }
+
+    switch (eventType) {
+      case "offer":
+        return handleOffer(event, floor);
+      case "listing":
+        return handleListing(event, floor, marketplaceFloor);
+      case "acceptOffer":
+        return handleAcceptOffer(event, floor);
+      case "acceptAsk":
+        return handleAcceptAsk(event, floor, marketplaceFloor);
+      case "cancelOrder":
+        return handleCancelOrder(event, floor, marketplaceFloor);
+      case "vaultDeposit":
+      case "vaultRedeem":
+      case "vaultSwap":
+      case "mint":
+        return handleVaultEvent(event, floor);
+      default:
+        return dbClient.addNFTEvent({
+          ...event,
+          collectionFloor,
+          floorDifference: computeFloorDifference(price, collectionFloor),
+        });
+    }
+  };
+
+  /**
+   * Stores a "sweep" event summarizing several sales of the same collection
+   * bought in a single transaction. Buyers and sellers are only set when they
+   * are the same across all the sales.
+   * @param {NFTEvent[]} sales
+   */
+  const handleSweep = async (sales) => {
+    const [
+      {
+        transactionHash,
+        blockchain,
+        marketplace,
+        collection,
+        initiator,
+        intermediary,
+        gas,
+        gasPrice,
+        standard,
+        startsAt,
+        currency,
+        currencyDecimals,
+        blockNumber,
+        blockHash,
+      },
+    ] = sales;
+    const isEtherPriced = isEtherCurrency(currency);
+    const { object: floorObject } = isEtherPriced
+      ? await dbClient.getCollectionFloor({ collection })
+      : {};
+    const { price: collectionFloor = 0 } = floorObject || {};
+    const buyers = [...new Set(sales.map(({ buyer }) => buyer))];
+    const sellers = [...new Set(sales.map(({ seller }) => seller))];
+    const amount = sales.reduce((sum, { amount }) => sum + (amount || 1), 0);
+    const price = sales.reduce((sum, { price }) => sum + (price || 0), 0);
+    // Fees are only known for the whole sweep if known for every sale
+    const sumFees = (key) =>
+      sales.every((sale) => sale[key] != null)
+        ? sales.reduce((sum, sale) => sum + sale[key], 0)
+        : null;
+    const sweep = await withUSDPrice({
+      transactionHash,
+      eventType: "sweep",
+      blockchain,
+      marketplace,
+      collection,
+      initiator,
+      intermediary,
+      gas,
+      gasPrice,
+      standard,
+      startsAt,
+      buyer: buyers.length === 1 ? buyers[0] : null,
+      seller: sellers.length === 1 ? sellers[0] : null,
+      amount,
+      price,
+      marketplaceFee: sumFees("marketplaceFee"),
+      royaltyFee: sumFees("royaltyFee"),
+      sellerProfit: sumFees("sellerProfit"),
+      currency,
+      currencyDecimals,
+      tokenIds: sales.map(({ tokenId }) => tokenId),
+      metadataUris: sales.map(({ metadataUri }) => metadataUri),
+      collectionFloor: isEtherPriced ? collectionFloor : null,
+      floorDifference: isEtherPriced
+        ? computeFloorDifference(price / amount, collectionFloor)
+        : null,
+      blockNumber,
+      blockHash,
+    });
+    return dbClient.addNFTEvent(sweep);
+  };
+
+  // Sales waiting to be grouped, by transaction hash and collection
+  const pendingSales = {};
+
+  /**
+   * Handles the events coming from the NFT event emitter. Sales are held
+   * for a few seconds so that the ones bought in the same transaction are
+   * stored along with a sweep event, which is what gets notified.
+   * @param {NFTEvent} event
+   */
+  const handleEmittedEvent = async (event) => {
+    const { eventType, transactionHash, collection } = event;
+    if (eventType !== "acceptAsk" || transactionHash == null) {
+      return handleNFTEvent(event);
+    }
+
+    const key = `${transactionHash}/${collection}`;
+    if (pendingSales[key] != null) {
+      // The same sale can be received twice while replaying missed blocks
+      if (
+        !pendingSales[key].some(
+          ({ tokenId, seller }) =>
+            tokenId === event.tokenId && seller === event.seller
+        )
+      ) {
+        pendingSales[key].push(event);
+      }
+
+      return null;
+    }
+
+    pendingSales[key] = [event];
+    await sleep(SWEEP_AGGREGATION_DELAY);
+    const sales = pendingSales[key];
+    delete pendingSales[key];
+    if (sales.length > 1) {
+      await handleSweep(sales);
+    }
+
+    return Promise.all(sales.map(handleNFTEvent));
+  };
+
+  return { handleNFTEvent, handleEmittedEvent };
+};
@@ -0,0 +1,163 @@
+/* eslint-disable no-await-in-loop */
+/// <reference path="./typedefs.js" />
+
+/*
+ * Indexes the traits of the tokens of the collections watched with trait
+ * filters. The traits come from the tokens' metadata, which is slow to fetch,
+ * so they are cached in the database.
+ */
+
+import getMetadata from "./get-metadata.js";
+import { getTotalSupply, getTokenURI } from "./blockchain/index.js";
+import logMessage from "./log-message.js";
+import sleep from "./sleep.js";
+
+// The delay between the metadata requests when indexing a whole collection
+const INDEX_COLLECTION_DELAY = 200;
+
+/**
+ * Convert the attributes of a token's metadata to traits.
+ * @param {Object[]} attributes - The OpenSea-style attributes, as
+ * { trait_type, value }.
+ * @return {String[]} The traits as "type:value".
+ */
+const toTraits = (attributes) =>
+  (Array.isArray(attributes) ? attributes : [])
+    .filter(
+      (attribute) =>
+        attribute != null &&
+        attribute.trait_type != null &&
+        attribute.value != null
+    )
+    .map(
+      ({ trait_type: traitType, value }) =>
+        `${`${traitType}`.trim()}:${`${value}`.trim()}`
+    );
+
+/**
+ * Create the index of the traits of the watched tokens.
+ * @param {Object} params
+ * @param {Object} params.dbClient - The initialized database client.
+ * @return {Object} The index, as { getEventTraits, indexCollection }.
+ */
+export default ({ dbClient }) => {
+  /**
+   * Fetch the traits of a token from its metadata and cache them.
+   * @param {Object} params
+   * @param {String} params.collection
+   * @param {String} params.tokenId
+   * @param {String} [params.metadataUri] - Read from the contract if missing.
+   * @return {String[]|null} The traits. Null if the metadata is unavailable.
+   */
+  const fetchTraits = async ({ collection, tokenId, metadataUri }) => {
+    const uri = metadataUri || (await getTokenURI(collection, tokenId));
+    if (uri == null) {
+      return null;
+    }
+
+    const metadata = await getMetadata(uri, tokenId).catch((error) => {
+      logMessage({
+        message: `Error fetching the metadata of ${collection}/${tokenId} from ${uri}`,
+        level: "warning",
+        error,
+      });
+      return null;
+    });
+    if (metadata == null) {
+      return null;
+    }
+
+    const traits = toTraits(metadata.attributes);
+    await dbClient.setTokenTraits({ collection, tokenId, traits });
+    return traits;
+  };
+
+  /**
+   * Get the traits of the tokens of an event, fetching the ones that aren't
+   * cached yet.
+   * @param {NFTEvent} event
+   * @return {Object} The traits of each token by token id. Tokens whose
+   * metadata is unavailable are left out.
+   */
+  const getEventTraits = async ({
+    collection,
+    tokenId,
+    tokenIds,
+    metadataUri,
+    metadataUris = [],
+  }) => {
+    const ids =
+      tokenIds != null && tokenIds.length > 0
+        ? tokenIds
+        : tokenId == null
+        ? []
+        : [tokenId];
+    if (ids.length === 0) {
+      return {};
+    }
+
+    const { objects: cachedTokens } = await dbClient.getTokenTraits({
+      collection,
+      tokenIds: ids,
+    });
+    const tokenTraits = cachedTokens.reduce(
+      (tokenTraits, { tokenId: id, traits }) => ({
+        ...tokenTraits,
+        [id]: traits,
+      }),
+      {}
+    );
+    await Promise.all(
+      ids
+        .filter((id) => tokenTraits[id] == null)
+        .map(async (id) => {
+          const traits = await fetchTraits({
+            collection,
+            tokenId: id,
+            metadataUri:
+              ids === tokenIds
+                ? metadataUris[tokenIds.indexOf(id)]
+                : metadataUri,
+          });
+          if (traits != null) {
+            tokenTraits[id] = traits;
+          }
+        })
+    );
+    return tokenTraits;
+  };
+
+  /**
+   * Cache the traits of all the tokens of a collection that aren't cached yet.
+   * Tokens are assumed to have ids from 0 to the total supply, which covers
+   * collections starting at either 0 or 1.
+   * @param {String} collection
+   * @return {Number} How many tokens were indexed.
+   */
+  const indexCollection = async (collection) => {
+    const totalSupply = await getTotalSupply(collection);
+    if (totalSupply == null) {
+      return 0;
+    }
+
+    const { objects: cachedTokens } = await dbClient.getTokenTraits({
+      collection,
+    });
+    const cachedIds = new Set(cachedTokens.map(({ tokenId }) => tokenId));
+    let indexedTokens = 0;
+    let id = 0;
+    while (id <= totalSupply) {
+      if (!cachedIds.has(`${id}`)) {
+        const traits = await fetchTraits({ collection, tokenId: `${id}` });
+        indexedTokens += traits == null ? 0 : 1;
+        await sleep(INDEX_COLLECTION_DELAY);
+      }
+
+      id += 1;
+    }
+
+    return indexedTokens;
+  };
+
+  return { getEventTraits, indexCollection };
+};
@@ -129,13 +129,22 @@ export const createDb = async ({
 };
 
 const createTableQueries = [
-  `CREATE TYPE alert_type AS ENUM ('wallet', 'server', 'collection')`,
+  `CREATE TYPE alert_type AS ENUM ('wallet', 'server', 'collection', 'token')`,
   `CREATE TYPE order_type AS ENUM ('listing', 'offer')`,
   `CREATE TABLE IF NOT EXISTS settings (\
     id serial PRIMARY KEY,\
     max_offer_floor_difference DOUBLE PRECISION,\
     allowed_marketplaces TEXT [],\
-    allowed_events TEXT []\
+    allowed_events TEXT [],\
+    min_usd_price DOUBLE PRECISION,\
+    min_price DOUBLE PRECISION,\
+    max_price DOUBLE PRECISION,\
+    min_listing_floor_difference DOUBLE PRECISION,\
+    snoozed_until TIMESTAMPTZ,\
+    quiet_hours_start SMALLINT,\
+    quiet_hours_end SMALLINT,\
+    timezone TEXT,\
+    catch_up_summary BOOLEAN\
   );`,
   `CREATE TABLE IF NOT EXISTS users (\
     id serial PRIMARY KEY,\
@@ -157,6 +166,7 @@ const createTableQueries = [
     UNIQUE (user_id, address),\
     address CHAR(42) NOT NULL,\
     tokens TEXT [],\
+    traits TEXT [],\
     created_at TIMESTAMPTZ NOT NULL,\
     synced_at TIMESTAMPTZ NOT NULL,\
     channel_id VARCHAR(20),\
@@ -165,22 +175,23 @@ const createTableQueries = [
     FOREIGN KEY (user_id)\
         REFERENCES users (id)\
   );`,
-  `CREATE TABLE IF NOT EXISTS offers (\
+  `CREATE TABLE IF NOT EXISTS offer_book (\
+    id serial PRIMARY KEY,\
     collection CHAR(42) NOT NULL,\
-    token_id VARCHAR(100),\
-    PRIMARY KEY (collection, token_id),\
+    token_id VARCHAR(100) NOT NULL,\
     created_at TIMESTAMPTZ NOT NULL,\
     ends_at TIMESTAMPTZ NOT NULL,\
     marketplace VARCHAR(16),\
     price DOUBLE PRECISION NOT NULL,\
-    order_hash TEXT
+    order_hash TEXT,\
+    UNIQUE (order_hash, marketplace)\
   );`,
   `CREATE TABLE IF NOT EXISTS floor_prices (\
     collection CHAR(42) NOT NULL,\
     created_at TIMESTAMPTZ NOT NULL,\
     ends_at TIMESTAMPTZ NOT NULL,\
-    PRIMARY KEY (collection, created_at),\
-    marketplace VARCHAR(16),\
+    marketplace VARCHAR(16) NOT NULL,\
+    PRIMARY KEY (collection, marketplace, created_at),\
     price DOUBLE PRECISION NOT NULL,\
     order_hash TEXT
   );`,
@@ -203,20 +214,55 @@ const createTableQueries = [
     seller CHAR(42),\
     intermediary CHAR(42),\
     gas INT,\
+    gas_price DOUBLE PRECISION,\
     amount INT,\
     metadata_uri TEXT,\
+    token_ids TEXT [],\
+    metadata_uris TEXT [],\
     standard SMALLINT,\
     order_type SMALLINT,\
     is_highest_offer BOOLEAN,\
     collection_floor DOUBLE PRECISION,\
     floor_difference NUMERIC(12, 4),\
-    price DOUBLE PRECISION\
+    price DOUBLE PRECISION,\
+    currency TEXT,\
+    currency_decimals SMALLINT,\
+    usd_price DOUBLE PRECISION,\
+    marketplace_fee DOUBLE PRECISION,\
+    royalty_fee DOUBLE PRECISION,\
+    seller_profit DOUBLE PRECISION,\
+    block_number INT,\
+    block_hash CHAR(66),\
+    orphaned BOOLEAN NOT NULL DEFAULT FALSE\
+  );`,
+  `CREATE TABLE IF NOT EXISTS crawler_checkpoints (\
+    contract CHAR(42),\
+    PRIMARY KEY (contract),\
+    block_number INT NOT NULL,\
+    updated_at TIMESTAMPTZ NOT NULL\
+  );`,
+  `CREATE TABLE IF NOT EXISTS token_traits (\
+    collection CHAR(42) NOT NULL,\
+    token_id VARCHAR(100) NOT NULL,\
+    PRIMARY KEY (collection, token_id),\
+    traits TEXT [] NOT NULL,\
+    synced_at TIMESTAMPTZ NOT NULL\
   );`,
   `CREATE TABLE IF NOT EXISTS db_flags (\
     name TEXT,\
     PRIMARY KEY (name),\
     value BOOLEAN\
   );`,
+  `CREATE TABLE IF NOT EXISTS held_nft_events (\
+    alert_id INT NOT NULL,\
+    nft_event_id INT NOT NULL,\
+    PRIMARY KEY (alert_id, nft_event_id),\
+    held_at TIMESTAMPTZ NOT NULL,\
+    FOREIGN KEY (alert_id)\
+        REFERENCES alerts (id) ON DELETE CASCADE,\
+    FOREIGN KEY (nft_event_id)\
+        REFERENCES nft_events (id) ON DELETE CASCADE\
+  );`,
 ];
 
 const patchDBQueries = [
@@ -234,6 +280,53 @@ const patchDBQueries = [
   `ALTER TABLE offers ADD order_hash TEXT;`,
   `ALTER TABLE floor_prices ADD order_hash TEXT;`,
   `DROP TABLE IF EXISTS sharding_info;`,
+  `ALTER TABLE nft_events ADD token_ids TEXT [];`,
+  `ALTER TABLE nft_events ADD metadata_uris TEXT [];`,
+  `DELETE FROM nft_events events_1
+    USING nft_events events_2
+   WHERE events_1.id < events_2.id
+    AND events_1.token_id IS NULL
+    AND events_2.token_id IS NULL
+    AND events_1.transaction_hash = events_2.transaction_hash
+    AND events_1.event_type = events_2.event_type
+    AND COALESCE(events_1.collection, '') = COALESCE(events_2.collection, '');`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS transaction_hash_event_type_collection_without_token_id ON nft_events (transaction_hash, event_type, COALESCE(collection, '')) WHERE token_id IS NULL;`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS sweep_transaction_hash_collection ON nft_events (transaction_hash, collection) WHERE event_type = ${allEventIds.indexOf(
+    "sweep"
+  )};`,
+  `ALTER TABLE nft_events ADD block_number INT;`,
+  `ALTER TABLE nft_events ADD block_hash CHAR(66);`,
+  `ALTER TABLE nft_events ADD orphaned BOOLEAN NOT NULL DEFAULT FALSE;`,
+  `CREATE INDEX IF NOT EXISTS nft_events_block_number ON nft_events (block_number);`,
+  `ALTER TABLE nft_events ADD currency TEXT;`,
+  `ALTER TABLE nft_events ADD currency_decimals SMALLINT;`,
+  `ALTER TABLE nft_events ADD usd_price DOUBLE PRECISION;`,
+  `ALTER TABLE settings ADD min_usd_price DOUBLE PRECISION;`,
+  `ALTER TABLE nft_events ADD marketplace_fee DOUBLE PRECISION;`,
+  `ALTER TABLE nft_events ADD royalty_fee DOUBLE PRECISION;`,
+  `ALTER TABLE nft_events ADD seller_profit DOUBLE PRECISION;`,
+  // Created along with the table, it kept the sales and cancellations of an
+  // order from being stored next to its listing
+  `ALTER TABLE nft_events DROP CONSTRAINT nft_events_order_hash_marketplace_key;`,
+  `CREATE INDEX IF NOT EXISTS offer_book_collection_token_id ON offer_book (collection, token_id);`,
+  `INSERT INTO offer_book (collection, token_id, created_at, ends_at, marketplace, price, order_hash)
+    SELECT collection, COALESCE(token_id, ''), created_at, ends_at, marketplace, price, order_hash
+    FROM offers WHERE price > 0
+    ON CONFLICT DO NOTHING;`,
+  `DROP TABLE IF EXISTS offers;`,
+  // Each marketplace keeps its own floor, which may change at the same time
+  `ALTER TABLE floor_prices DROP CONSTRAINT floor_prices_pkey, ADD PRIMARY KEY (collection, marketplace, created_at);`,
+  `ALTER TABLE nft_events ADD gas_price DOUBLE PRECISION;`,
+  `ALTER TYPE alert_type ADD VALUE IF NOT EXISTS 'token';`,
+  `ALTER TABLE alerts ADD traits TEXT [];`,
+  `ALTER TABLE settings ADD min_price DOUBLE PRECISION;`,
+  `ALTER TABLE settings ADD max_price DOUBLE PRECISION;`,
+  `ALTER TABLE settings ADD min_listing_floor_difference DOUBLE PRECISION;`,
+  `ALTER TABLE settings ADD snoozed_until TIMESTAMPTZ;`,
+  `ALTER TABLE settings ADD quiet_hours_start SMALLINT;`,
+  `ALTER TABLE settings ADD quiet_hours_end SMALLINT;`,
+  `ALTER TABLE settings ADD timezone TEXT;`,
+  `ALTER TABLE settings ADD catch_up_summary BOOLEAN;`,
 ];
 
 /**
@@ -288,7 +381,7 @@ const patchDB = async ({
   );
   if (clearOrdersFlag.length === 0) {
     await Promise.all([
-      client.query(`DELETE FROM floor_prices; DELETE FROM offers`),
+      client.query(`DELETE FROM floor_prices; DELETE FROM offer_book`),
       client.query(
         `INSERT INTO db_flags (name, value) VALUES ('clear_orders', TRUE)`
       ),
@@ -390,7 +483,7 @@ export const clearDb = async ({
     throw error;
   });
   await client.query(
-    `TRUNCATE settings, users, alerts, offers, floor_prices, nft_events`
+    `TRUNCATE settings, users, alerts, offer_book, floor_prices, nft_events, crawler_checkpoints, token_traits, held_nft_events`
   );
   await client.release();
   return pool.end();
@@ -459,6 +552,20 @@ const serializeStandard = (standardId) =>
 const deserializeStandard = (serializedStandardId) =>
   allStandardIds[serializedStandardId];
 
+/**
+ * Get the latest of some dates. A snoozed user keeps all their alerts quiet,
+ * even those that were snoozed for less time.
+ * @param {...(Date|String|null)} dates - The dates, either as Date objects or
+ * as the strings of a JSON query.
+ * @return {Date|null} Null if none of the dates were set.
+ */
+const getLatestDate = (...dates) => {
+  const times = dates
+    .filter((date) => date != null)
+    .map((date) => new Date(date).getTime());
+  return times.length === 0 ? null : new Date(Math.max(...times));
+};
+
 /**
  *
  * Maps a Settings object from the database to a JS object and sets some
@@ -475,12 +582,39 @@ const toSettingsObject = (settings) => {
     max_offer_floor_difference,
     allowed_marketplaces,
     allowed_events,
+    min_usd_price,
+    min_price,
+    max_price,
+    min_listing_floor_difference,
+    snoozed_until,
+    quiet_hours_start,
+    quiet_hours_end,
+    timezone,
+    catch_up_summary,
     alert_max_offer_floor_difference,
     alert_allowed_marketplaces,
     alert_allowed_events,
+    alert_min_usd_price,
+    alert_min_price,
+    alert_max_price,
+    alert_min_listing_floor_difference,
+    alert_snoozed_until,
+    alert_quiet_hours_start,
+    alert_quiet_hours_end,
+    alert_timezone,
+    alert_catch_up_summary,
     user_max_offer_floor_difference,
     user_allowed_marketplaces,
     user_allowed_events,
+    user_min_usd_price,
+    user_min_price,
+    user_max_price,
+    user_min_listing_floor_difference,
+    user_snoozed_until,
+    user_quiet_hours_start,
+    user_quiet_hours_end,
+    user_timezone,
+    user_catch_up_summary,
     ...props
   } = settings;
   const alertMaxOfferFloorDifference =
@@ -488,6 +622,26 @@ const toSettingsObject = (settings) => {
   const alertAllowedMarketplaces =
     alert_allowed_marketplaces || allowed_marketplaces;
   const alertAllowedEvents = alert_allowed_events || allowed_events;
+  // 0 removes the alert's minimum or price range instead of using the user's
+  const alertMinUSDPrice =
+    alert_min_usd_price == null ? min_usd_price : alert_min_usd_price;
+  const alertMinPrice = alert_min_price == null ? min_price : alert_min_price;
+  const alertMaxPrice = alert_max_price == null ? max_price : alert_max_price;
+  const alertMinListingFloorDifference =
+    alert_min_listing_floor_difference == null
+      ? min_listing_floor_difference
+      : alert_min_listing_floor_difference;
+  const alertSnoozedUntil =
+    alert_snoozed_until == null ? snoozed_until : alert_snoozed_until;
+  const alertQuietHoursStart =
+    alert_quiet_hours_start == null
+      ? quiet_hours_start
+      : alert_quiet_hours_start;
+  const alertQuietHoursEnd =
+    alert_quiet_hours_end == null ? quiet_hours_end : alert_quiet_hours_end;
+  const alertTimezone = alert_timezone == null ? timezone : alert_timezone;
+  const alertCatchUpSummary =
+    alert_catch_up_summary == null ? catch_up_summary : alert_catch_up_summary;
   return {
     ...props,
     maxOfferFloorDifference:
@@ -508,6 +662,55 @@ const toSettingsObject = (settings) => {
           ? DEFAULT_ALLOWED_EVENT_IDS
           : user_allowed_events.map(deserializeEventType)
         : alertAllowedEvents.map(deserializeEventType),
+    minUSDPrice:
+      alertMinUSDPrice == null
+        ? user_min_usd_price == null
+          ? null
+          : user_min_usd_price
+        : alertMinUSDPrice,
+    minPrice:
+      alertMinPrice == null
+        ? user_min_price == null
+          ? null
+          : user_min_price
+        : alertMinPrice,
+    maxPrice:
+      alertMaxPrice == null
+        ? user_max_price == null
+          ? null
+          : user_max_price
+        : alertMaxPrice,
+    minListingFloorDifference:
+      alertMinListingFloorDifference == null
+        ? user_min_listing_floor_difference == null
+          ? null
+          : user_min_listing_floor_difference
+        : alertMinListingFloorDifference,
+    snoozedUntil: getLatestDate(alertSnoozedUntil, user_snoozed_until),
+    quietHoursStart:
+      alertQuietHoursStart == null
+        ? user_quiet_hours_start == null
+          ? null
+          : user_quiet_hours_start
+        : alertQuietHoursStart,
+    quietHoursEnd:
+      alertQuietHoursEnd == null
+        ? user_quiet_hours_end == null
+          ? null
+          : user_quiet_hours_end
+        : alertQuietHoursEnd,
+    timezone:
+      alertTimezone == null
+        ? user_timezone == null
+          ? "UTC"
+          : user_timezone
+        : alertTimezone,
+    catchUpSummary:
+      alertCatchUpSummary == null
+        ? user_catch_up_summary == null
+          ? true
+          : user_catch_up_summary
+        : alertCatchUpSummary,
   };
 };
 
@@ -559,9 +762,27 @@ const toAlertObject = (alert) => {
     alert_max_offer_floor_difference,
     alert_allowed_marketplaces,
     alert_allowed_events,
+    alert_min_usd_price,
+    alert_min_price,
+    alert_max_price,
+    alert_min_listing_floor_difference,
+    alert_snoozed_until,
+    alert_quiet_hours_start,
+    alert_quiet_hours_end,
+    alert_timezone,
+    alert_catch_up_summary,
     user_max_offer_floor_difference,
     user_allowed_marketplaces,
     user_allowed_events,
+    user_min_usd_price,
+    user_min_price,
+    user_max_price,
+    user_min_listing_floor_difference,
+    user_snoozed_until,
+    user_quiet_hours_start,
+    user_quiet_hours_end,
+    user_timezone,
+    user_catch_up_summary,
     ...props
   } = alert;
   return {
@@ -590,6 +811,55 @@ const toAlertObject = (alert) => {
           ? DEFAULT_ALLOWED_EVENT_IDS
           : user_allowed_events.map(deserializeEventType)
         : alert_allowed_events.map(deserializeEventType),
+    minUSDPrice:
+      alert_min_usd_price == null
+        ? user_min_usd_price == null
+          ? null
+          : user_min_usd_price
+        : alert_min_usd_price,
+    minPrice:
+      alert_min_price == null
+        ? user_min_price == null
+          ? null
+          : user_min_price
+        : alert_min_price,
+    maxPrice:
+      alert_max_price == null
+        ? user_max_price == null
+          ? null
+          : user_max_price
+        : alert_max_price,
+    minListingFloorDifference:
+      alert_min_listing_floor_difference == null
+        ? user_min_listing_floor_difference == null
+          ? null
+          : user_min_listing_floor_difference
+        : alert_min_listing_floor_difference,
+    snoozedUntil: getLatestDate(alert_snoozed_until, user_snoozed_until),
+    quietHoursStart:
+      alert_quiet_hours_start == null
+        ? user_quiet_hours_start == null
+          ? null
+          : user_quiet_hours_start
+        : alert_quiet_hours_start,
+    quietHoursEnd:
+      alert_quiet_hours_end == null
+        ? user_quiet_hours_end == null
+          ? null
+          : user_quiet_hours_end
+        : alert_quiet_hours_end,
+    timezone:
+      alert_timezone == null
+        ? user_timezone == null
+          ? "UTC"
+          : user_timezone
+        : alert_timezone,
+    catchUpSummary:
+      alert_catch_up_summary == null
+        ? user_catch_up_summary == null
+          ? true
+          : user_catch_up_summary
+        : alert_catch_up_summary,
   };
 };
 
@@ -649,6 +919,48 @@ const toCollectionFloorObject = (collectionFloor) => {
   };
 };
 
+/**
+ *
+ * Maps a crawler checkpoint object from the database to a JS object.
+ * @param {Object} crawlerCheckpoint
+ * @return {CrawlerCheckpoint}
+ */
+const toCrawlerCheckpointObject = (crawlerCheckpoint) => {
+  if (crawlerCheckpoint == null) {
+    return null;
+  }
+
+  const {
+    block_number: blockNumber,
+    updated_at: updatedAt,
+    ...props
+  } = crawlerCheckpoint;
+  return {
+    ...props,
+    blockNumber,
+    updatedAt,
+  };
+};
+
+/**
+ *
+ * Maps a token's traits from the database to a JS object.
+ * @param {Object} tokenTraits
+ * @return {TokenTraits}
+ */
+const toTokenTraitsObject = (tokenTraits) => {
+  if (tokenTraits == null) {
+    return null;
+  }
+
+  const { token_id: tokenId, synced_at: syncedAt, ...props } = tokenTraits;
+  return {
+    ...props,
+    tokenId,
+    syncedAt,
+  };
+};
+
 /**
  *
  * Maps an NFT Event object from the database to a JS object.
@@ -672,10 +984,20 @@ const toNFTEventObject = (nftEvent) => {
     standard,
     token_id: tokenId,
     metadata_uri: metadataUri,
+    token_ids: tokenIds,
+    metadata_uris: metadataUris,
     is_highest_offer: isHighestOffer = false,
     floor_difference: floorDifference,
     collection_floor: collectionFloor,
     order_type: orderType,
+    currency_decimals: currencyDecimals,
+    usd_price: usdPrice,
+    marketplace_fee: marketplaceFee,
+    royalty_fee: royaltyFee,
+    seller_profit: sellerProfit,
+    gas_price: gasPrice,
+    block_number: blockNumber,
+    block_hash: blockHash,
     ...props
   } = nftEvent;
   const eventType = deserializeEventType(event_type);
@@ -700,6 +1022,16 @@ const toNFTEventObject = (nftEvent) => {
     orderType,
     tokenId,
     metadataUri,
+    tokenIds,
+    metadataUris,
+    currencyDecimals,
+    usdPrice,
+    marketplaceFee,
+    royaltyFee,
+    sellerProfit,
+    gasPrice,
+    blockNumber,
+    blockHash,
   };
 };
 
@@ -842,6 +1174,7 @@ export const createDbClient = async ({
     nickname,
     address,
     tokens = [],
+    traits = [],
     type,
   } = {}) => {
     // At least one id is necessary to associate an alert to a user
@@ -885,6 +1218,11 @@ export const createDbClient = async ({
       props.push("channel_id");
     }
 
+    if (traits.length > 0) {
+      values.push(traits);
+      props.push("traits");
+    }
+
     const propsQuery = props.join(", ");
     const valuesQuery = values.map((_, index) => `$${index + 1}`).join(", ");
     return client
@@ -918,7 +1256,9 @@ export const createDbClient = async ({
   };
 
   const alertSettingsSelectProps =
-    "alert_settings.max_offer_floor_difference as alert_max_offer_floor_difference, alert_settings.allowed_marketplaces as alert_allowed_marketplaces, alert_settings.allowed_events as alert_allowed_events, user_settings.max_offer_floor_difference as user_max_offer_floor_difference, user_settings.allowed_marketplaces as user_allowed_marketplaces, user_settings.allowed_events as user_allowed_events";
+    "alert_settings.max_offer_floor_difference as alert_max_offer_floor_difference, alert_settings.allowed_marketplaces as alert_allowed_marketplaces, alert_settings.allowed_events as alert_allowed_events, user_settings.max_offer_floor_difference as user_max_offer_floor_difference, user_settings.allowed_marketplaces as user_allowed_marketplaces, user_settings.allowed_events as user_allowed_events, alert_settings.min_usd_price as alert_min_usd_price, user_settings.min_usd_price as user_min_usd_price, alert_settings.min_price as alert_min_price, user_settings.min_price as user_min_price, alert_settings.max_price as alert_max_price, user_settings.max_price as user_max_price, alert_settings.min_listing_floor_difference as alert_min_listing_floor_difference, user_settings.min_listing_floor_difference as user_min_listing_floor_difference, alert_settings.snoozed_until as alert_snoozed_until, user_settings.snoozed_until as user_snoozed_until, alert_settings.quiet_hours_start as alert_quiet_hours_start, user_settings.quiet_hours_start as user_quiet_hours_start, alert_settings.quiet_hours_end as alert_quiet_hours_end, user_settings.quiet_hours_end as user_quiet_hours_end, alert_settings.timezone as alert_timezone, user_settings.timezone as user_timezone, alert_settings.catch_up_summary as alert_catch_up_summary, user_settings.catch_up_summary as user_catch_up_summary";
+
+  const buildWatcherObjectQuery = `json_build_object('id', alerts.id, 'address', alerts.address, 'nickname', alerts.nickname, 'discord_id', users.discord_id, 'channel_id', alerts.channel_id, 'type', alerts.type, 'tokens', alerts.tokens, 'traits', alerts.traits, 'alert_max_offer_floor_difference', alert_settings.max_offer_floor_difference, 'alert_allowed_marketplaces', alert_settings.allowed_marketplaces, 'alert_allowed_events', alert_settings.allowed_events, 'user_max_offer_floor_difference', user_settings.max_offer_floor_difference, 'user_allowed_marketplaces', user_settings.allowed_marketplaces, 'user_allowed_events', user_settings.allowed_events, 'alert_min_usd_price', alert_settings.min_usd_price, 'user_min_usd_price', user_settings.min_usd_price, 'alert_min_price', alert_settings.min_price, 'user_min_price', user_settings.min_price, 'alert_max_price', alert_settings.max_price, 'user_max_price', user_settings.max_price, 'alert_min_listing_floor_difference', alert_settings.min_listing_floor_difference, 'user_min_listing_floor_difference', user_settings.min_listing_floor_difference, 'alert_snoozed_until', alert_settings.snoozed_until, 'user_snoozed_until', user_settings.snoozed_until, 'alert_quiet_hours_start', alert_settings.quiet_hours_start, 'user_quiet_hours_start', user_settings.quiet_hours_start, 'alert_quiet_hours_end', alert_settings.quiet_hours_end, 'user_quiet_hours_end', user_settings.quiet_hours_end, 'alert_timezone', alert_settings.timezone, 'user_timezone', user_settings.timezone, 'alert_catch_up_summary', alert_settings.catch_up_summary, 'user_catch_up_summary', user_settings.catch_up_summary)`;
 
   /**
    *
@@ -1215,81 +1555,67 @@ export const createDbClient = async ({
 
   /**
    *
-   * Set the maxFloorDifference setting for a user or an alert.
+   * Adds a token to the wallet alerts watching an address, i.e. when the address receives it. The full list of tokens is still synced periodically.
    * @param {Object} params
-   * @param {String} params.discordId (Required) The Discord id of the user
-   * who wants to modify their own settings.
-   * @param {Number} params.maxOfferFloorDifference (Required) The new maximum
-   * offer difference to the floor, expressed as a percentage (i.e. 0.2 = 20%).
-   * @param {String} params.address (Optional) The address of the alert to edit.
-   * If provided, the settings of the alert and NOT the user will be edited.
-   * @param {String} params.nickname (Optional) The nickname of the alert to
-   * edit. If provided, the settings of the alert and NOT the user will
-   * be edited.
-   * @typedef {("success"|"missing-arguments"|"missing-user"|"missing-alert")} SettingsResultType - The result of executing the query.
-   * @typedef {Object} SettingsResponse - The response returned by settings-modifying database functions.
-   * @property {SettingsResultType} result - The query's result.
-   * @property {Settings|null} object - The new settings.
-   * @return {SettingsResponse} response
+   * @param {String} params.address - (Required) The address that holds the token.
+   * @param {String} params.token - (Required) The token as "collection/tokenId".
+   * @return {AlertsResponse}
    */
-  const setMaxFloorDifference = ({
-    discordId,
-    address,
-    nickname,
-    maxOfferFloorDifference,
-  } = {}) => {
-    if (discordId == null || maxOfferFloorDifference == null) {
-      return { result: "missing-arguments", object: null };
+  const addAlertToken = ({ address, token } = {}) => {
+    if (address == null || token == null) {
+      return { result: "missing-arguments", objects: [] };
     }
 
-    const values = [discordId, maxOfferFloorDifference];
-    let condition =
-      "id = (SELECT settings_id FROM users WHERE discord_id = $1)";
-    if (address != null) {
-      values.push(address.toLowerCase());
-      condition =
-        "id = (SELECT settings_id FROM alerts WHERE address = $3 AND user_id = (SELECT id from users WHERE discord_id = $1))";
-    } else if (nickname != null) {
-      values.push(nickname);
-      condition =
-        "id = (SELECT settings_id FROM alerts WHERE nickname = $3 AND user_id = (SELECT id from users WHERE discord_id = $1))";
+    return client
+      .query(
+        `UPDATE alerts\
+      SET tokens = array_append(array_remove(tokens, $2), $2)\
+      WHERE address = $1 AND type = 'wallet'\
+      RETURNING *`,
+        [address.toLowerCase(), token.toLowerCase()]
+      )
+      .then(({ rows }) => {
+        return { result: "success", objects: rows.map(toAlertObject) };
+      })
+      .catch((error) => {
+        logMessage({
+          message: `Error adding token ${token} to the alerts of ${address}`,
+          level: "error",
+          error,
+        });
+        return { result: "error", objects: [] };
+      });
+  };
+
+  /**
+   *
+   * Adds a token to a token alert, so that a single alert watches several tokens of its collection.
+   * @param {Object} params
+   * @param {String} params.alertId - (Required) The id of the token alert.
+   * @param {String} params.token - (Required) The token as "collection/tokenId".
+   * @return {AlertResponse}
+   */
+  const addTokenAlertToken = ({ alertId, token } = {}) => {
+    if (alertId == null || token == null) {
+      return { result: "missing-arguments", object: null };
     }
 
     return client
       .query(
-        `WITH alert_settings AS (
-          UPDATE settings
-          SET max_offer_floor_difference = $2
-          WHERE ${condition}
-          RETURNING *
-        )
-        SELECT *, ${alertSettingsSelectProps} FROM alert_settings\
-        LEFT JOIN settings AS user_settings\
-        ON user_settings.id = (\
-          SELECT settings_id FROM users WHERE users.discord_id = $1)`,
-        values
+        `UPDATE alerts\
+      SET tokens = array_append(array_remove(tokens, $2), $2)\
+      WHERE id = $1 AND type = 'token'\
+      RETURNING *`,
+        [alertId, token.toLowerCase()]
       )
       .then(({ rows }) => {
-        return {
-          result:
-            rows.length > 0
-              ? "success"
-              : address == null
-              ? "missing-user"
-              : "missing-alert",
-          object: toSettingsObject(rows[0]),
-        };
+        return rows.length > 0
+          ? { result: "success", object: toAlertObject(rows[0]) }
+          : { result: "missing-alert", object: null };
       })
       .catch((error) => {
         logMessage({
-          message: `Error setting max floor difference with args ${JSON.stringify(
-            {
-              discordId,
-              address,
-              nickname,
-              maxOfferFloorDifference,
-            }
-          )}`,
+          message: `Error adding token ${token} to alert ${alertId}`,
           level: "error",
           error,
         });
@@ -1299,11 +1625,51 @@ export const createDbClient = async ({
 
   /**
    *
-   * Set the allowedEvents setting for a user or an alert.
+   * Removes a token from the wallet alerts watching an address, i.e. when the address transfers or burns it.
+   * @param {Object} params
+   * @param {String} params.address - (Required) The address that held the token.
+   * @param {String} params.token - (Required) The token as "collection/tokenId".
+   * @return {AlertsResponse}
+   */
+  const removeAlertToken = ({ address, token } = {}) => {
+    if (address == null || token == null) {
+      return { result: "missing-arguments", objects: [] };
+    }
+
+    return client
+      .query(
+        `UPDATE alerts\
+      SET tokens = array_remove(tokens, $2)\
+      WHERE address = $1 AND type = 'wallet'\
+      RETURNING *`,
+        [address.toLowerCase(), token.toLowerCase()]
+      )
+      .then(({ rows }) => {
+        return { result: "success", objects: rows.map(toAlertObject) };
+      })
+      .catch((error) => {
+        logMessage({
+          message: `Error removing token ${token} from the alerts of ${address}`,
+          level: "error",
+          error,
+        });
+        return { result: "error", objects: [] };
+      });
+  };
+
+  /**
+   *
+   * Set some settings of a user or an alert. Used by the setters of each
+   * setting, which check their own arguments.
    * @param {Object} params
    * @param {String} params.discordId (Required) The Discord id of the user
    * who wants to modify their own settings.
-   * @param {EventType[]} params.allowedEvents (Required) The new allowed events.
+   * @param {Object} params.columns (Required) The new value of each settings
+   * column, by column name.
+   * @param {String} params.description (Required) What is being set, for
+   * the error logs.
+   * @param {String[]} params.optionalColumns (Optional) The columns that keep
+   * their current value when their new value is null.
    * @param {String} params.address (Optional) The address of the alert to edit.
    * If provided, the settings of the alert and NOT the user will be edited.
    * @param {String} params.nickname (Optional) The nickname of the alert to
@@ -1311,34 +1677,38 @@ export const createDbClient = async ({
    * be edited.
    * @return {SettingsResponse} response
    */
-  const setAllowedEvents = ({
+  const updateSettings = ({
     discordId,
     address,
     nickname,
-    allowedEvents,
-  } = {}) => {
-    if (discordId == null || allowedEvents == null) {
-      return { result: "missing-arguments", object: null };
-    }
-
-    const values = [discordId, allowedEvents.map(serializeEventType)];
+    columns,
+    description,
+    optionalColumns = [],
+  }) => {
+    const values = [discordId, ...Object.values(columns)];
+    const assignments = Object.keys(columns)
+      .map((column, index) =>
+        optionalColumns.includes(column)
+          ? `${column} = COALESCE($${index + 2}, ${column})`
+          : `${column} = $${index + 2}`
+      )
+      .join(", ");
+    const alertParam = `$${values.length + 1}`;
     let condition =
       "id = (SELECT settings_id FROM users WHERE discord_id = $1)";
     if (address != null) {
       values.push(address.toLowerCase());
-      condition =
-        "id = (SELECT settings_id FROM alerts WHERE address = $3 AND user_id = (SELECT id from users WHERE discord_id = $1))";
+      condition = `id = (SELECT settings_id FROM alerts WHERE address = ${alertParam} AND user_id = (SELECT id from users WHERE discord_id = $1))`;
     } else if (nickname != null) {
       values.push(nickname);
-      condition =
-        "id = (SELECT settings_id FROM alerts WHERE nickname = $3 AND user_id = (SELECT id from users WHERE discord_id = $1))";
+      condition = `id = (SELECT settings_id FROM alerts WHERE nickname = ${alertParam} AND user_id = (SELECT id from users WHERE discord_id = $1))`;
     }
 
     return client
       .query(
         `WITH alert_settings AS (
           UPDATE settings
-          SET allowed_events = $2
+          SET ${assignments}
           WHERE ${condition}
           RETURNING *
         )
@@ -1361,11 +1731,11 @@ export const createDbClient = async ({
       })
       .catch((error) => {
         logMessage({
-          message: `Error setting allowed events with args ${JSON.stringify({
+          message: `Error setting ${description} with args ${JSON.stringify({
             discordId,
             address,
             nickname,
-            allowedEvents,
+            ...columns,
           })}`,
           level: "error",
           error,
@@ -1376,134 +1746,388 @@ export const createDbClient = async ({
 
   /**
    *
-   * Set the allowedMarketplaces setting for a user or an alert.
+   * Set the maxFloorDifference setting for a user or an alert.
    * @param {Object} params
    * @param {String} params.discordId (Required) The Discord id of the user
    * who wants to modify their own settings.
-   * @param {Marketplace[]} params.allowedMarketplaces (Required) The new allowed marketplaces.
+   * @param {Number} params.maxOfferFloorDifference (Required) The new maximum
+   * offer difference to the floor, expressed as a percentage (i.e. 0.2 = 20%).
    * @param {String} params.address (Optional) The address of the alert to edit.
    * If provided, the settings of the alert and NOT the user will be edited.
    * @param {String} params.nickname (Optional) The nickname of the alert to
    * edit. If provided, the settings of the alert and NOT the user will
    * be edited.
+   * @typedef {("success"|"missing-arguments"|"missing-user"|"missing-alert")} SettingsResultType - The result of executing the query.
+   * @typedef {Object} SettingsResponse - The response returned by settings-modifying database functions.
+   * @property {SettingsResultType} result - The query's result.
+   * @property {Settings|null} object - The new settings.
    * @return {SettingsResponse} response
    */
-  const setAllowedMarketplaces = ({
+  const setMaxFloorDifference = ({
     discordId,
     address,
     nickname,
-    allowedMarketplaces,
+    maxOfferFloorDifference,
   } = {}) => {
-    if (discordId == null || allowedMarketplaces == null) {
+    if (discordId == null || maxOfferFloorDifference == null) {
       return { result: "missing-arguments", object: null };
     }
 
-    const values = [discordId, allowedMarketplaces.map(serializeMarketplace)];
-    let condition =
-      "id = (SELECT settings_id FROM users WHERE discord_id = $1)";
-    if (address != null) {
-      values.push(address.toLowerCase());
-      condition =
-        "id = (SELECT settings_id FROM alerts WHERE address = $3 AND user_id = (SELECT id from users WHERE discord_id = $1))";
-    } else if (nickname != null) {
-      values.push(nickname);
-      condition =
-        "id = (SELECT settings_id FROM alerts WHERE nickname = $3 AND user_id = (SELECT id from users WHERE discord_id = $1))";
-    }
-
-    return client
-      .query(
-        `WITH alert_settings AS (
-          UPDATE settings
-          SET allowed_marketplaces = $2
-          WHERE ${condition}
-          RETURNING *
-        )
-        SELECT *, ${alertSettingsSelectProps} FROM alert_settings\
-        LEFT JOIN settings AS user_settings\
-        ON user_settings.id = (\
-          SELECT settings_id FROM users WHERE users.discord_id = $1)`,
-        values
-      )
-      .then(({ rows }) => {
-        return {
-          result:
-            rows.length > 0
-              ? "success"
-              : address == null
-              ? "missing-user"
-              : "missing-alert",
-          object: toSettingsObject(rows[0]),
-        };
-      })
-      .catch((error) => {
-        logMessage({
-          message: `Error setting allowed marketplaces with args ${JSON.stringify(
-            {
-              discordId,
-              address,
-              nickname,
-              allowedMarketplaces,
-            }
-          )}`,
-          level: "error",
-          error,
-        });
-        return { result: "error", object: null };
-      });
+    return updateSettings({
+      discordId,
+      address,
+      nickname,
+      columns: {
+        max_offer_floor_difference: maxOfferFloorDifference,
+      },
+      description: "max floor difference",
+    });
   };
 
   /**
    *
-   * Get the current collection floor for a collection.
+   * Set the minUSDPrice setting for a user or an alert.
    * @param {Object} params
-   * @param {String} params.collection - The collection's Ethereum address.
-   * @typedef {("success"|"missing-arguments"|"error")} CollectionFloorResultType - The result of executing the query.
-   * @typedef {Object} CollectionFloorResponse - The responses returned by collection floor database functions.
-   * @property {CollectionFloorResultType} result - The query's result.
-   * @property {CollectionFloor|null} object - The collection floor.
-   * @return {CollectionFloorResponse} response
+   * @param {String} params.discordId (Required) The Discord id of the user
+   * who wants to modify their own settings.
+   * @param {Number} params.minUSDPrice (Required) The new minimum price in USD
+   * that an event must have to be notified. 0 removes the minimum.
+   * @param {String} params.address (Optional) The address of the alert to edit.
+   * If provided, the settings of the alert and NOT the user will be edited.
+   * @param {String} params.nickname (Optional) The nickname of the alert to
+   * edit. If provided, the settings of the alert and NOT the user will
+   * be edited.
+   * @return {SettingsResponse} response
    */
-  const getOffer = ({ collection, tokenId = "" } = {}) => {
-    if (collection == null) {
+  const setMinUSDPrice = ({
+    discordId,
+    address,
+    nickname,
+    minUSDPrice,
+  } = {}) => {
+    if (discordId == null || minUSDPrice == null) {
       return { result: "missing-arguments", object: null };
     }
 
-    const tokenIds = tokenId == null ? [""] : [tokenId, ""];
-    return client
-      .query(
-        `SELECT * FROM offers\
-      WHERE collection = $1 AND token_id = ANY($2::TEXT[])`,
-        [collection.toLowerCase(), tokenIds]
-      )
-      .then(({ rows }) => {
-        if (rows.length > 1) {
-          const sortedByPrice = rows.sort(
-            ({ price: price1 }, { price: price2 }) => price2 - price1
-          );
-          return { result: "success", object: toOfferObject(sortedByPrice[0]) };
-        }
+    return updateSettings({
+      discordId,
+      address,
+      nickname,
+      columns: {
+        min_usd_price: minUSDPrice,
+      },
+      description: "min USD price",
+    });
+  };
 
-        return { result: "success", object: toOfferObject(rows[0]) };
-      })
+  /**
+   *
+   * Set the minListingFloorDifference setting for a user or an alert.
+   * @param {Object} params
+   * @param {String} params.discordId (Required) The Discord id of the user
+   * who wants to modify their own settings.
+   * @param {Number} params.minListingFloorDifference (Required) How far below
+   * the collection's floor a listing must be to be notified, as a percentage.
+   * 0 notifies all listings.
+   * @param {String} params.address (Optional) The address of the alert to edit.
+   * If provided, the settings of the alert and NOT the user will be edited.
+   * @param {String} params.nickname (Optional) The nickname of the alert to
+   * edit. If provided, the settings of the alert and NOT the user will
+   * be edited.
+   * @return {SettingsResponse} response
+   */
+  const setListingFloorDifference = ({
+    discordId,
+    address,
+    nickname,
+    minListingFloorDifference,
+  } = {}) => {
+    if (discordId == null || minListingFloorDifference == null) {
+      return { result: "missing-arguments", object: null };
+    }
+
+    return updateSettings({
+      discordId,
+      address,
+      nickname,
+      columns: {
+        min_listing_floor_difference: minListingFloorDifference,
+      },
+      description: "listing floor difference",
+    });
+  };
+
+  /**
+   *
+   * Set the snoozedUntil setting for a user or an alert. Snoozed users and
+   * alerts don't get notified until then.
+   * @param {Object} params
+   * @param {String} params.discordId (Required) The Discord id of the user
+   * who wants to modify their own settings.
+   * @param {Date} params.snoozedUntil (Required) When notifications resume.
+   * A past date ends the snooze.
+   * @param {String} params.address (Optional) The address of the alert to edit.
+   * If provided, the settings of the alert and NOT the user will be edited.
+   * @param {String} params.nickname (Optional) The nickname of the alert to
+   * edit. If provided, the settings of the alert and NOT the user will
+   * be edited.
+   * @return {SettingsResponse} response
+   */
+  const setSnooze = ({ discordId, address, nickname, snoozedUntil } = {}) => {
+    if (discordId == null || snoozedUntil == null) {
+      return { result: "missing-arguments", object: null };
+    }
+
+    return updateSettings({
+      discordId,
+      address,
+      nickname,
+      columns: {
+        snoozed_until: snoozedUntil,
+      },
+      description: "snooze",
+    });
+  };
+
+  /**
+   *
+   * Set the quiet hours settings for a user or an alert. Events that happen
+   * during the quiet hours are held and summarized when they end, or dropped.
+   * @param {Object} params
+   * @param {String} params.discordId (Required) The Discord id of the user
+   * who wants to modify their own settings.
+   * @param {Number} params.quietHoursStart (Required) The hour of the day
+   * when the quiet hours start, from 0 to 23.
+   * @param {Number} params.quietHoursEnd (Required) The hour of the day when
+   * the quiet hours end, from 0 to 23. The same hour as the start removes the
+   * quiet hours.
+   * @param {String} params.timezone (Optional) The IANA timezone of the
+   * hours, i.e. "Europe/Madrid". Null keeps the current one.
+   * @param {Boolean} params.catchUpSummary (Optional) Whether to send a
+   * summary of the held events, instead of dropping them. Null keeps the
+   * current setting.
+   * @param {String} params.address (Optional) The address of the alert to edit.
+   * If provided, the settings of the alert and NOT the user will be edited.
+   * @param {String} params.nickname (Optional) The nickname of the alert to
+   * edit. If provided, the settings of the alert and NOT the user will
+   * be edited.
+   * @return {SettingsResponse} response
+   */
+  const setQuietHours = ({
+    discordId,
+    address,
+    nickname,
+    quietHoursStart,
+    quietHoursEnd,
+    timezone,
+    catchUpSummary,
+  } = {}) => {
+    if (discordId == null || quietHoursStart == null || quietHoursEnd == null) {
+      return { result: "missing-arguments", object: null };
+    }
+
+    return updateSettings({
+      discordId,
+      address,
+      nickname,
+      columns: {
+        quiet_hours_start: quietHoursStart,
+        quiet_hours_end: quietHoursEnd,
+        timezone,
+        catch_up_summary: catchUpSummary,
+      },
+      optionalColumns: ["timezone", "catch_up_summary"],
+      description: "quiet hours",
+    });
+  };
+
+  /**
+   *
+   * Set the minPrice and maxPrice settings for a user or an alert.
+   * @param {Object} params
+   * @param {String} params.discordId (Required) The Discord id of the user
+   * who wants to modify their own settings.
+   * @param {Number} params.minPrice (Required) The new minimum price in ETH
+   * that an event must have to be notified. 0 removes the minimum.
+   * @param {Number} params.maxPrice (Required) The new maximum price in ETH
+   * that an event can have to be notified. 0 removes the maximum.
+   * @param {String} params.address (Optional) The address of the alert to edit.
+   * If provided, the settings of the alert and NOT the user will be edited.
+   * @param {String} params.nickname (Optional) The nickname of the alert to
+   * edit. If provided, the settings of the alert and NOT the user will
+   * be edited.
+   * @return {SettingsResponse} response
+   */
+  const setPriceRange = ({
+    discordId,
+    address,
+    nickname,
+    minPrice,
+    maxPrice,
+  } = {}) => {
+    if (discordId == null || minPrice == null || maxPrice == null) {
+      return { result: "missing-arguments", object: null };
+    }
+
+    return updateSettings({
+      discordId,
+      address,
+      nickname,
+      columns: {
+        min_price: minPrice,
+        max_price: maxPrice,
+      },
+      description: "price range",
+    });
+  };
+
+  /**
+   *
+   * Set the allowedEvents setting for a user or an alert.
+   * @param {Object} params
+   * @param {String} params.discordId (Required) The Discord id of the user
+   * who wants to modify their own settings.
+   * @param {EventType[]} params.allowedEvents (Required) The new allowed events.
+   * @param {String} params.address (Optional) The address of the alert to edit.
+   * If provided, the settings of the alert and NOT the user will be edited.
+   * @param {String} params.nickname (Optional) The nickname of the alert to
+   * edit. If provided, the settings of the alert and NOT the user will
+   * be edited.
+   * @return {SettingsResponse} response
+   */
+  const setAllowedEvents = ({
+    discordId,
+    address,
+    nickname,
+    allowedEvents,
+  } = {}) => {
+    if (discordId == null || allowedEvents == null) {
+      return { result: "missing-arguments", object: null };
+    }
+
+    return updateSettings({
+      discordId,
+      address,
+      nickname,
+      columns: {
+        allowed_events: allowedEvents.map(serializeEventType),
+      },
+      description: "allowed events",
+    });
+  };
+
+  /**
+   *
+   * Set the allowedMarketplaces setting for a user or an alert.
+   * @param {Object} params
+   * @param {String} params.discordId (Required) The Discord id of the user
+   * who wants to modify their own settings.
+   * @param {Marketplace[]} params.allowedMarketplaces (Required) The new allowed marketplaces.
+   * @param {String} params.address (Optional) The address of the alert to edit.
+   * If provided, the settings of the alert and NOT the user will be edited.
+   * @param {String} params.nickname (Optional) The nickname of the alert to
+   * edit. If provided, the settings of the alert and NOT the user will
+   * be edited.
+   * @return {SettingsResponse} response
+   */
+  const setAllowedMarketplaces = ({
+    discordId,
+    address,
+    nickname,
+    allowedMarketplaces,
+  } = {}) => {
+    if (discordId == null || allowedMarketplaces == null) {
+      return { result: "missing-arguments", object: null };
+    }
+
+    return updateSettings({
+      discordId,
+      address,
+      nickname,
+      columns: {
+        allowed_marketplaces: allowedMarketplaces.map(serializeMarketplace),
+      },
+      description: "allowed marketplaces",
+    });
+  };
+
+  /**
+   *
+   * Get the valid offers of the offer book for a collection or a token,
+   * sorted by price descending. The offers for a token include the
+   * collection offers, which can be accepted for any of its tokens.
+   * @param {Object} params
+   * @param {String} params.collection - The collection's Ethereum address.
+   * @param {String} [params.tokenId] - The token's id. Leave empty to only
+   * get the collection offers.
+   * @param {Number} [params.limit] - The max. number of offers to return.
+   * @typedef {("success"|"missing-arguments"|"error")} OfferResultType - The result of executing the query.
+   * @typedef {Object} OffersResponse - The responses returned by database functions that return multiple offers.
+   * @property {OfferResultType} result - The query's result.
+   * @property {Offer[]} objects - The offers.
+   * @return {OffersResponse} response
+   */
+  const getOffers = ({ collection, tokenId = "", limit = 10 } = {}) => {
+    if (collection == null) {
+      return { result: "missing-arguments", objects: [] };
+    }
+
+    const tokenIds = tokenId == null ? [""] : [tokenId, ""];
+    return client
+      .query(
+        `SELECT * FROM offer_book\
+      WHERE collection = $1 AND token_id = ANY($2::TEXT[]) AND ends_at > $3\
+      ORDER BY price DESC, created_at\
+      LIMIT $4`,
+        [collection.toLowerCase(), tokenIds, new Date(), limit]
+      )
+      .then(({ rows }) => {
+        return { result: "success", objects: rows.map(toOfferObject) };
+      })
       .catch((error) => {
         logMessage({
-          messages: `Error getting collection offer with args ${JSON.stringify({
+          message: `Error getting offers with args ${JSON.stringify({
             collection,
+            tokenId,
           })}`,
           level: "error",
           error,
         });
-        return { result: "error", object: null };
+        return { result: "error", objects: [] };
       });
   };
 
   /**
    *
-   * Create a new highest offer for a collection and/or specific token.
+   * Get the current highest offer for a collection or a token.
+   * @param {Object} params
+   * @param {String} params.collection - The collection's Ethereum address.
+   * @param {String} [params.tokenId] - The token's id. Leave empty to only
+   * consider the collection offers.
    * @typedef {Object} OfferResponse - The responses returned by offer database functions.
    * @property {OfferResultType} result - The query's result.
-   * @property {Offer|null} object - The new offer.
+   * @property {Offer|null} object - The highest offer. Null if there are no
+   * valid offers.
+   * @return {OfferResponse} response
+   */
+  const getOffer = ({ collection, tokenId = "" } = {}) => {
+    if (collection == null) {
+      return { result: "missing-arguments", object: null };
+    }
+
+    return getOffers({ collection, tokenId, limit: 1 }).then(
+      ({ result, objects }) => ({
+        result,
+        object: objects.length > 0 ? objects[0] : null,
+      })
+    );
+  };
+
+  /**
+   *
+   * Add an offer for a collection or specific token to the offer book. If the
+   * book already has an offer with the same order hash on the same
+   * marketplace, it's updated instead.
    * @return {OfferResponse} response
    */
   const setOffer = ({
@@ -1529,142 +2153,552 @@ export const createDbClient = async ({
     ];
     return client
       .query(
-        `INSERT INTO offers (collection, order_hash, price, ends_at, created_at, marketplace, token_id)\
+        `INSERT INTO offer_book (collection, order_hash, price, ends_at, created_at, marketplace, token_id)\
       VALUES($1, $2, $3, $4, $5, $6, $7)\
-      ON CONFLICT (collection, token_id)\
+      ON CONFLICT (order_hash, marketplace)\
+      DO\
+        UPDATE SET collection = $1, price = $3, ends_at = $4, created_at = $5, token_id = $7\
+      RETURNING *`,
+        values
+      )
+      .then(({ rows }) => {
+        return {
+          result: rows.length > 0 ? "success" : "error",
+          object: toOfferObject(rows[0]),
+        };
+      })
+      .catch((error) => {
+        const { stack } = new Error();
+        logMessage({
+          message: `Error setting offer with args`,
+          args: JSON.stringify({
+            collection,
+            price,
+            endsAt,
+            marketplace,
+            orderHash,
+          }),
+          level: "error",
+          error,
+          stack,
+        });
+        return { object: null, result: "error" };
+      });
+  };
+
+  /**
+   *
+   * Remove an offer from the offer book, i.e. because it was accepted or
+   * cancelled.
+   * @param {Object} params
+   * @param {String} params.orderHash - The offer's order hash.
+   * @param {Marketplace} params.marketplace - The offer's marketplace.
+   * @return {OfferResponse} response - The object is the removed offer, or
+   * null if it wasn't in the book.
+   */
+  const removeOffer = ({ orderHash, marketplace } = {}) => {
+    if (orderHash == null || marketplace == null) {
+      return { result: "missing-arguments", object: null };
+    }
+
+    return client
+      .query(
+        `DELETE FROM offer_book\
+      WHERE order_hash = $1 AND marketplace = $2\
+      RETURNING *`,
+        [orderHash.toLowerCase(), serializeMarketplace(marketplace)]
+      )
+      .then(({ rows }) => {
+        return { result: "success", object: toOfferObject(rows[0]) };
+      })
+      .catch((error) => {
+        logMessage({
+          message: `Error removing offer ${orderHash} of ${marketplace}`,
+          level: "error",
+          error,
+        });
+        return { result: "error", object: null };
+      });
+  };
+
+  /**
+   *
+   * Remove the offers that expired from the offer book.
+   * @return {OffersResponse} response - The objects are the removed offers.
+   */
+  const removeExpiredOffers = () =>
+    client
+      .query(`DELETE FROM offer_book WHERE ends_at <= $1 RETURNING *`, [
+        new Date(),
+      ])
+      .then(({ rows }) => {
+        return { result: "success", objects: rows.map(toOfferObject) };
+      })
+      .catch((error) => {
+        logMessage({
+          message: `Error removing expired offers`,
+          level: "error",
+          error,
+        });
+        return { result: "error", objects: [] };
+      });
+
+  /**
+   *
+   * Get the current collection floor for a collection. Each marketplace keeps
+   * its own floor, so the collection's floor is the cheapest of the
+   * marketplace floors that haven't expired. If they all have, it's the latest
+   * floor found.
+   * @param {Object} params
+   * @param {String} params.collection - The collection's Ethereum address.
+   * @param {Marketplace} [params.marketplace] - Only get the floor of this
+   * marketplace.
+   * @typedef {("success"|"missing-arguments"|"error")} CollectionFloorResultType - The result of executing the query.
+   * @typedef {Object} CollectionFloorResponse - The responses returned by collection floor database functions.
+   * @property {CollectionFloorResultType} result - The query's result.
+   * @property {CollectionFloor|null} object - The collection floor.
+   * @return {CollectionFloorResponse} response
+   */
+  const getCollectionFloor = ({ collection, marketplace } = {}) => {
+    if (collection == null) {
+      return { result: "missing-arguments", object: null };
+    }
+
+    const values = [collection.toLowerCase(), new Date()];
+    if (marketplace != null) {
+      values.push(serializeMarketplace(marketplace));
+    }
+
+    return client
+      .query(
+        `SELECT * FROM (\
+        SELECT DISTINCT ON (marketplace) * FROM floor_prices\
+        WHERE collection = $1${
+          marketplace == null ? "" : " AND marketplace = $3"
+        }\
+        ORDER BY marketplace, created_at DESC\
+      ) AS marketplace_floors\
+      ORDER BY price > 0 AND ends_at > $2 DESC,\
+        CASE WHEN price > 0 AND ends_at > $2 THEN price END,\
+        created_at DESC\
+      LIMIT 1`,
+        values
+      )
+      .then(({ rows }) => {
+        return { result: "success", object: toCollectionFloorObject(rows[0]) };
+      })
+      .catch((error) => {
+        logMessage({
+          message: `Error getting collection floor of "${collection}"`,
+          level: "error",
+          error,
+        });
+        return { result: "error", object: null };
+      });
+  };
+
+  /**
+   *
+   * Set the current collection floor for a collection.
+   * @param {Object} params
+   * @param {String} params.collection - The collection's Ethereum address.
+   * @param {Number} params.price - The collection's floor in Ether.
+   * @param {Marketplace} params.marketplace - The collection's Ethereum address.
+   * @return {CollectionFloorResponse}
+   */
+  const setCollectionFloor = ({
+    collection,
+    orderHash,
+    price,
+    endsAt,
+    marketplace = "looksRare",
+  } = {}) => {
+    if (collection == null || price == null || endsAt == null) {
+      return { result: "missing-arguments", object: null };
+    }
+
+    return client
+      .query(
+        `INSERT INTO floor_prices (collection, order_hash, created_at, price, marketplace, ends_at) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [
+          collection.toLowerCase(),
+          orderHash ? orderHash.toLowerCase() : null,
+          new Date(),
+          price,
+          serializeMarketplace(marketplace),
+          new Date(endsAt),
+        ]
+      )
+      .then(({ rows }) => {
+        return {
+          result: rows.length > 0 ? "success" : "error",
+          object: toCollectionFloorObject(rows[0]),
+        };
+      })
+      .catch((error) => {
+        const { constraint } = error;
+        if (constraint !== "floor_prices_pkey") {
+          logMessage({
+            messages: `Error setting collection floor with args ${JSON.stringify(
+              {
+                collection,
+                price,
+                endsAt,
+                marketplace,
+              }
+            )}`,
+            level: "error",
+            error,
+          });
+        }
+
+        return {
+          object: null,
+          result:
+            constraint === "floor_prices_pkey" ? "already-exists" : "error",
+        };
+      });
+  };
+
+  /**
+   *
+   * Get what a list of tokens is worth: the floor of their collections and the
+   * highest valid offer that can be accepted for them, i.e. to value the
+   * tokens held by a wallet alert.
+   * @param {Object} params
+   * @param {String[]} params.tokens - The tokens as "collection/tokenId".
+   * @typedef {Object} TokenValue - What a token is worth.
+   * @property {String} collection - The token's collection.
+   * @property {String} tokenId - The token's id.
+   * @property {Number|null} floor - The collection's floor in ETH. Null if
+   * unknown.
+   * @property {Number|null} highestOffer - The highest offer in ETH. Null if
+   * there are no offers.
+   * @typedef {Object} TokenValuesResponse
+   * @property {("success"|"missing-arguments"|"error")} result - The query's result.
+   * @property {TokenValue[]} objects - The value of each token.
+   * @return {TokenValuesResponse} response
+   */
+  const getTokenValues = ({ tokens } = {}) => {
+    if (tokens == null) {
+      return { result: "missing-arguments", objects: [] };
+    }
+
+    // The floors are picked like in getCollectionFloor
+    return client
+      .query(
+        `SELECT held.collection, held.token_id, floors.price AS floor,\
+          (SELECT MAX(price) FROM offer_book\
+            WHERE collection = held.collection\
+              AND token_id IN (held.token_id, '')\
+              AND ends_at > $2) AS highest_offer\
+        FROM (\
+          SELECT DISTINCT lower(split_part(token, '/', 1)) AS collection,\
+            split_part(token, '/', 2) AS token_id\
+          FROM unnest($1::TEXT[]) AS token\
+        ) AS held\
+        LEFT JOIN LATERAL (\
+          SELECT price FROM (\
+            SELECT DISTINCT ON (marketplace) * FROM floor_prices\
+            WHERE collection = held.collection\
+            ORDER BY marketplace, created_at DESC\
+          ) AS marketplace_floors\
+          ORDER BY price > 0 AND ends_at > $2 DESC,\
+            CASE WHEN price > 0 AND ends_at > $2 THEN price END,\
+            created_at DESC\
+          LIMIT 1\
+        ) AS floors ON TRUE`,
+        [tokens, new Date()]
+      )
+      .then(({ rows }) => {
+        return {
+          result: "success",
+          objects: rows.map(
+            ({ collection, token_id: tokenId, floor, highest_offer }) => ({
+              collection,
+              tokenId,
+              floor: floor || null,
+              highestOffer: highest_offer,
+            })
+          ),
+        };
+      })
+      .catch((error) => {
+        logMessage({
+          message: `Error getting the value of ${tokens.length} tokens`,
+          level: "error",
+          error,
+        });
+        return { result: "error", objects: [] };
+      });
+  };
+
+  /**
+   *
+   * Get how the floors of a collection changed since a date. The latest floor
+   * of each marketplace before that date is included, so that the history
+   * starts with the floors at that date.
+   * @param {Object} params
+   * @param {String} params.collection - The collection's Ethereum address.
+   * @param {Date} params.since - The Date from which to get the history.
+   * @typedef {Object} CollectionFloorsResponse - The responses returned by database functions that return multiple collection floors.
+   * @property {CollectionFloorResultType} result - The query's result.
+   * @property {CollectionFloor[]} objects - The floors of every marketplace,
+   * sorted from oldest to newest.
+   * @return {CollectionFloorsResponse} response
+   */
+  const getFloorHistory = ({ collection, since } = {}) => {
+    if (collection == null || since == null) {
+      return { result: "missing-arguments", objects: [] };
+    }
+
+    return client
+      .query(
+        `SELECT * FROM floor_prices\
+        WHERE collection = $1 AND created_at >= $2\
+        UNION ALL\
+        SELECT * FROM (\
+          SELECT DISTINCT ON (marketplace) * FROM floor_prices\
+          WHERE collection = $1 AND created_at < $2\
+          ORDER BY marketplace, created_at DESC\
+        ) AS previous_floors\
+        ORDER BY created_at`,
+        [collection.toLowerCase(), new Date(since)]
+      )
+      .then(({ rows }) => {
+        return {
+          result: "success",
+          objects: rows.map(toCollectionFloorObject),
+        };
+      })
+      .catch((error) => {
+        logMessage({
+          message: `Error getting the floor history of "${collection}" since ${since}`,
+          level: "error",
+          error,
+        });
+        return { result: "error", objects: [] };
+      });
+  };
+
+  const serializedListingEvent = serializeEventType("listing");
+  const serializedOrderClosingEvents = ["acceptAsk", "cancelOrder"].map(
+    serializeEventType
+  );
+  const serializedTokenMovingEvents = [
+    "acceptAsk",
+    "acceptOffer",
+    "transfer",
+    "burn",
+  ].map(serializeEventType);
+
+  /**
+   *
+   * Get the cheapest listing of a collection stored for a marketplace which is
+   * still active: it hasn't expired, been filled or cancelled, and its token
+   * hasn't changed hands since. Used to find the new floor of marketplaces
+   * without an API.
+   * @param {Object} params
+   * @param {String} params.collection - The collection's Ethereum address.
+   * @param {Marketplace} params.marketplace - The marketplace's id.
+   * @return {NFTEventResponse} response - The object is null if there are no
+   * active listings.
+   */
+  const getLowestListing = ({ collection, marketplace } = {}) => {
+    if (collection == null || marketplace == null) {
+      return { result: "missing-arguments", object: null };
+    }
+
+    return client
+      .query(
+        `SELECT * FROM nft_events listings\
+        WHERE collection = $1\
+          AND marketplace = $2\
+          AND event_type = $3\
+          AND ends_at > $4\
+          AND NOT orphaned\
+          AND NOT EXISTS (\
+            SELECT 1 FROM nft_events later_events\
+            WHERE NOT later_events.orphaned\
+              AND ((\
+                later_events.order_hash = listings.order_hash\
+                AND later_events.marketplace = listings.marketplace\
+                AND later_events.event_type = ANY($5::SMALLINT[])\
+              ) OR (\
+                later_events.collection = listings.collection\
+                AND later_events.token_id = listings.token_id\
+                AND later_events.event_type = ANY($6::SMALLINT[])\
+                AND later_events.created_at > listings.created_at\
+              ))\
+          )\
+        ORDER BY price\
+        LIMIT 1`,
+        [
+          collection.toLowerCase(),
+          serializeMarketplace(marketplace),
+          serializedListingEvent,
+          new Date(),
+          serializedOrderClosingEvents,
+          serializedTokenMovingEvents,
+        ]
+      )
+      .then(({ rows }) => {
+        return { result: "success", object: toNFTEventObject(rows[0]) };
+      })
+      .catch((error) => {
+        logMessage({
+          message: `Error getting the lowest ${marketplace} listing of "${collection}"`,
+          level: "error",
+          error,
+        });
+        return { result: "error", object: null };
+      });
+  };
+
+  /**
+   *
+   * Get the last block processed by the crawler for every marketplace contract.
+   * @typedef {("success"|"error")} CrawlerCheckpointResultType - The result of executing the query.
+   * @typedef {Object} CrawlerCheckpointsResponse - The responses returned by database functions that return multiple crawler checkpoints.
+   * @property {CrawlerCheckpointResultType} result - The query's result.
+   * @property {CrawlerCheckpoint[]} objects - The checkpoints.
+   * @return {CrawlerCheckpointsResponse} response
+   */
+  const getCrawlerCheckpoints = () =>
+    client
+      .query(`SELECT * FROM crawler_checkpoints`)
+      .then(({ rows }) => {
+        return {
+          result: "success",
+          objects: rows.map(toCrawlerCheckpointObject),
+        };
+      })
+      .catch((error) => {
+        logMessage({
+          message: `Error getting crawler checkpoints`,
+          level: "error",
+          error,
+        });
+        return { result: "error", objects: [] };
+      });
+
+  /**
+   *
+   * Set the last block processed by the crawler for a marketplace contract.
+   * @param {Object} params
+   * @param {String} params.contract - The marketplace contract's Ethereum address.
+   * @param {Number} params.blockNumber - The number of the last block processed.
+   * @typedef {Object} CrawlerCheckpointResponse - The responses returned by database functions that return one crawler checkpoint.
+   * @property {CrawlerCheckpointResultType|"missing-arguments"} result - The query's result.
+   * @property {CrawlerCheckpoint|null} object - The new checkpoint.
+   * @return {CrawlerCheckpointResponse} response
+   */
+  const setCrawlerCheckpoint = ({ contract, blockNumber } = {}) => {
+    if (contract == null || blockNumber == null) {
+      return { result: "missing-arguments", object: null };
+    }
+
+    return client
+      .query(
+        `INSERT INTO crawler_checkpoints (contract, block_number, updated_at)\
+      VALUES($1, $2, $3)\
+      ON CONFLICT (contract)\
       DO\
-        UPDATE SET collection = $1, order_hash = $2, price = $3, ends_at = $4, created_at = $5, marketplace = $6, token_id = $7\
+        UPDATE SET block_number = $2, updated_at = $3\
       RETURNING *`,
-        values
+        [contract.toLowerCase(), blockNumber, new Date()]
       )
       .then(({ rows }) => {
         return {
           result: rows.length > 0 ? "success" : "error",
-          object: toOfferObject(rows[0]),
+          object: toCrawlerCheckpointObject(rows[0]),
         };
       })
       .catch((error) => {
-        const { constraint } = error;
-        if (constraint !== "offers_pkey") {
-          const { stack } = new Error();
-          logMessage({
-            message: `Error setting collection offer with args`,
-            args: JSON.stringify({
-              collection,
-              price,
-              endsAt,
-              marketplace,
-              orderHash,
-            }),
-            level: "error",
-            error,
-            stack,
-          });
-        }
-
-        return {
-          object: null,
-          result: constraint === "offers_pkey" ? "already-exists" : "error",
-        };
+        logMessage({
+          message: `Error setting crawler checkpoint with args ${JSON.stringify(
+            { contract, blockNumber }
+          )}`,
+          level: "error",
+          error,
+        });
+        return { result: "error", object: null };
       });
   };
 
   /**
    *
-   * Get the current collection floor for a collection.
+   * Get the cached traits of the tokens of a collection.
    * @param {Object} params
-   * @param {String} params.collection - The collection's Ethereum address.
-   * @typedef {("success"|"missing-arguments"|"error")} CollectionFloorResultType - The result of executing the query.
-   * @typedef {Object} CollectionFloorResponse - The responses returned by collection floor database functions.
-   * @property {CollectionFloorResultType} result - The query's result.
-   * @property {CollectionFloor|null} object - The collection floor.
-   * @return {CollectionFloorResponse} response
+   * @param {String} params.collection - The collection's address.
+   * @param {String[]} [params.tokenIds] - The ids of the tokens. All the
+   * cached tokens of the collection are returned if missing.
+   * @typedef {Object} TokenTraitsResponse - The responses returned by database functions that return token traits.
+   * @property {"success"|"error"|"missing-arguments"} result - The query's result.
+   * @property {TokenTraits[]} objects - The tokens' traits.
+   * @return {TokenTraitsResponse}
    */
-  const getCollectionFloor = ({ collection } = {}) => {
+  const getTokenTraits = ({ collection, tokenIds } = {}) => {
     if (collection == null) {
-      return { result: "missing-arguments", object: null };
+      return { result: "missing-arguments", objects: [] };
     }
 
     return client
       .query(
-        `SELECT * FROM floor_prices\
-      WHERE collection = $1\
-      ORDER BY created_at DESC`,
-        [collection.toLowerCase()]
+        `SELECT * FROM token_traits\
+        WHERE collection = $1 AND ($2::TEXT[] IS NULL OR token_id = ANY($2))`,
+        [collection.toLowerCase(), tokenIds == null ? null : tokenIds]
       )
       .then(({ rows }) => {
-        return { result: "success", object: toCollectionFloorObject(rows[0]) };
+        return { result: "success", objects: rows.map(toTokenTraitsObject) };
       })
       .catch((error) => {
         logMessage({
-          message: `Error getting collection floor of "${collection}"`,
+          message: `Error getting the traits of the tokens of ${collection}`,
           level: "error",
           error,
         });
-        return { result: "error", object: null };
+        return { result: "error", objects: [] };
       });
   };
 
   /**
    *
-   * Set the current collection floor for a collection.
+   * Caches the traits of a token, overwriting the previous ones.
    * @param {Object} params
-   * @param {String} params.collection - The collection's Ethereum address.
-   * @param {Number} params.price - The collection's floor in Ether.
-   * @param {Marketplace} params.marketplace - The collection's Ethereum address.
-   * @return {CollectionFloorResponse}
+   * @param {String} params.collection - The collection's address.
+   * @param {String} params.tokenId - The token's id.
+   * @param {String[]} params.traits - Its traits as "type:value".
+   * @return {Object} The response as { result, object: TokenTraits }.
    */
-  const setCollectionFloor = ({
-    collection,
-    orderHash,
-    price,
-    endsAt,
-    marketplace = "looksRare",
-  } = {}) => {
-    if (collection == null || price == null || endsAt == null) {
+  const setTokenTraits = ({ collection, tokenId, traits } = {}) => {
+    if (collection == null || tokenId == null || traits == null) {
       return { result: "missing-arguments", object: null };
     }
 
     return client
       .query(
-        `INSERT INTO floor_prices (collection, order_hash, created_at, price, marketplace, ends_at) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
-        [
-          collection.toLowerCase(),
-          orderHash ? orderHash.toLowerCase() : null,
-          new Date(),
-          price,
-          serializeMarketplace(marketplace),
-          new Date(endsAt),
-        ]
+        `INSERT INTO token_traits (collection, token_id, traits, synced_at)\
+      VALUES($1, $2, $3, $4)\
+      ON CONFLICT (collection, token_id)\
+      DO\
+        UPDATE SET traits = $3, synced_at = $4\
+      RETURNING *`,
+        [collection.toLowerCase(), tokenId, traits, new Date()]
       )
       .then(({ rows }) => {
         return {
           result: rows.length > 0 ? "success" : "error",
-          object: toCollectionFloorObject(rows[0]),
+          object: toTokenTraitsObject(rows[0]),
         };
       })
       .catch((error) => {
-        const { constraint } = error;
-        if (constraint !== "floor_prices_pkey") {
-          logMessage({
-            messages: `Error setting collection floor with args ${JSON.stringify(
-              {
-                collection,
-                price,
-                endsAt,
-                marketplace,
-              }
-            )}`,
-            level: "error",
-            error,
-          });
-        }
-
-        return {
-          object: null,
-          result:
-            constraint === "floor_prices_pkey" ? "already-exists" : "error",
-        };
+        logMessage({
+          message: `Error setting the traits of ${collection}/${tokenId}`,
+          level: "error",
+          error,
+        });
+        return { result: "error", object: null };
       });
   };
 
@@ -1693,14 +2727,25 @@ export const createDbClient = async ({
       buyer,
       seller,
       gas,
+      gasPrice,
       amount,
       metadataUri,
+      tokenIds,
+      metadataUris,
       standard = "ERC-721",
       price,
       isHighestOffer = false,
       collectionFloor,
       floorDifference,
       orderType,
+      currency,
+      currencyDecimals,
+      usdPrice,
+      marketplaceFee,
+      royaltyFee,
+      sellerProfit,
+      blockNumber,
+      blockHash,
     } = nftEvent;
     // At least one id is necessary to associate an alert to a user
     if (
@@ -1715,7 +2760,8 @@ export const createDbClient = async ({
       new Date(),
       serializeEventType(eventType),
       serializeBlockchain(blockchain),
-      serializeMarketplace(marketplace),
+      // Mints, transfers and burns do not happen on a marketplace
+      marketplace == null ? null : serializeMarketplace(marketplace),
     ];
     const props = ["created_at", "event_type", "blockchain", "marketplace"];
     const optionalProps = [
@@ -1736,6 +2782,7 @@ export const createDbClient = async ({
       { value: seller ? seller.toLowerCase() : seller, name: "seller" },
       { value: intermediary, name: "intermediary" },
       { value: gas, name: "gas" },
+      { value: gasPrice, name: "gas_price" },
       { value: amount, name: "amount" },
       {
         value:
@@ -1745,6 +2792,17 @@ export const createDbClient = async ({
               metadataUri.replace(/\u0000/giu, ""),
         name: "metadata_uri",
       },
+      { value: tokenIds, name: "token_ids" },
+      {
+        value:
+          metadataUris == null
+            ? metadataUris
+            : metadataUris.map((uri) =>
+                // eslint-disable-next-line no-control-regex
+                uri == null ? uri : uri.replace(/\u0000/giu, "")
+              ),
+        name: "metadata_uris",
+      },
       { value: serializeStandard(standard), name: "standard" },
       { value: isHighestOffer, name: "is_highest_offer" },
       {
@@ -1763,6 +2821,14 @@ export const createDbClient = async ({
         name: "order_type",
       },
       { value: price, name: "price" },
+      { value: currency, name: "currency" },
+      { value: currencyDecimals, name: "currency_decimals" },
+      { value: usdPrice, name: "usd_price" },
+      { value: marketplaceFee, name: "marketplace_fee" },
+      { value: royaltyFee, name: "royalty_fee" },
+      { value: sellerProfit, name: "seller_profit" },
+      { value: blockNumber, name: "block_number" },
+      { value: blockHash, name: "block_hash" },
     ];
     optionalProps.forEach(({ value, name }) => {
       if (value != null) {
@@ -1793,6 +2859,9 @@ export const createDbClient = async ({
             "nft_events_hash_starts_at_key",
             "order_hash_marketplace_event_type",
             "transaction_hash_event_type_collection_token_id",
+            "nft_events_transaction_hash_event_type_collection_token_id_key",
+            "transaction_hash_event_type_collection_without_token_id",
+            "sweep_transaction_hash_collection",
           ].includes(constraint)
         ) {
           logMessage({
@@ -1807,10 +2876,14 @@ export const createDbClient = async ({
 
         return {
           object: null,
-          result:
-            constraint === "nft_events_hash_event_type_collection_token_id_key"
-              ? "already-exists"
-              : "error",
+          result: [
+            "nft_events_hash_event_type_collection_token_id_key",
+            "nft_events_transaction_hash_event_type_collection_token_id_key",
+            "transaction_hash_event_type_collection_without_token_id",
+            "sweep_transaction_hash_collection",
+          ].includes(constraint)
+            ? "already-exists"
+            : "error",
         };
       });
   };
@@ -1850,11 +2923,116 @@ export const createDbClient = async ({
       });
   };
 
+  const serializedTradeEvents = ["acceptAsk", "acceptOffer", "mint"].map(
+    serializeEventType
+  );
+
+  /**
+   *
+   * Get the NFTs bought, sold or minted by a wallet until a date, oldest
+   * first, i.e. to compute its profits. Events orphaned by a chain
+   * reorganization are left out.
+   * @param {Object} params
+   * @param {String} params.address - The wallet's Ethereum address.
+   * @param {Date} [params.until] - The Date until which to get the trades.
+   * Defaults to now.
+   * @return {NFTEventsResponse}
+   */
+  const getWalletTrades = ({ address, until = new Date() } = {}) => {
+    if (address == null) {
+      return { result: "missing-arguments", objects: [] };
+    }
+
+    return client
+      .query(
+        `SELECT * FROM nft_events\
+        WHERE (buyer = $1 OR seller = $1)\
+          AND event_type = ANY($2::SMALLINT[])\
+          AND NOT orphaned\
+          AND COALESCE(starts_at, created_at) < $3\
+        ORDER BY COALESCE(starts_at, created_at), id`,
+        [address.toLowerCase(), serializedTradeEvents, until]
+      )
+      .then(({ rows }) => {
+        return { result: "success", objects: rows.map(toNFTEventObject) };
+      })
+      .catch((error) => {
+        logMessage({
+          message: `Error getting the trades of ${address}`,
+          level: "error",
+          error,
+        });
+        return { result: "error", objects: [] };
+      });
+  };
+
+  /**
+   *
+   * Set a flag in the database unless it's already set. Used to do something
+   * only once across all the shards and restarts, i.e. sending a monthly
+   * summary.
+   * @param {Object} params
+   * @param {String} params.name - The flag's name.
+   * @typedef {Object} DBFlagResponse
+   * @property {("success"|"already-exists"|"missing-arguments"|"error")} result - The query's result. "success" only if the flag wasn't set yet.
+   * @return {DBFlagResponse}
+   */
+  const claimDBFlag = ({ name } = {}) => {
+    if (name == null) {
+      return { result: "missing-arguments" };
+    }
+
+    return client
+      .query(
+        `INSERT INTO db_flags (name, value) VALUES ($1, TRUE)\
+        ON CONFLICT (name) DO NOTHING\
+        RETURNING *`,
+        [name]
+      )
+      .then(({ rows }) => ({
+        result: rows.length > 0 ? "success" : "already-exists",
+      }))
+      .catch((error) => {
+        logMessage({
+          message: `Error setting the "${name}" flag`,
+          level: "error",
+          error,
+        });
+        return { result: "error" };
+      });
+  };
+
+  /**
+   * Unset a flag in the database, so that it can be claimed again. Used when
+   * whatever the flag was claimed for failed.
+   * @param {Object} params
+   * @param {String} params.name - The flag's name.
+   * @return {DBFlagResponse}
+   */
+  const releaseDBFlag = ({ name } = {}) => {
+    if (name == null) {
+      return { result: "missing-arguments" };
+    }
+
+    return client
+      .query(`DELETE FROM db_flags WHERE name = $1`, [name])
+      .then(() => ({ result: "success" }))
+      .catch((error) => {
+        logMessage({
+          message: `Error releasing the "${name}" flag`,
+          level: "error",
+          error,
+        });
+        return { result: "error" };
+      });
+  };
+
   const serializedOfferEvent = serializeEventType("offer");
+  const serializedSweepEvent = serializeEventType("sweep");
 
   /**
    *
-   * Get all the NFT events after the 'createdAt' Date as well as the alerts currently watching any of the addresses involved.
+   * Get all the NFT events after the 'createdAt' Date as well as the alerts currently watching any of the addresses involved. The items of a sweep are only watched by the buyers/sellers that the sweep itself does not already notify. Token alerts only watch the events of their token and the offers for its whole collection. Events orphaned by a chain reorganization are left out.
    * @param {Object} params
    * @param {Date} params.createdAt - The Date after which to retrieve events.
    * @param {Date} params.createdAt - The Date after which to retrieve events.
@@ -1868,11 +3046,15 @@ export const createDbClient = async ({
       return { result: "missing-arguments", objects: [] };
     }
 
-    const buildWatcherObjectQuery = `json_build_object('alert_id', alerts.id, 'address', alerts.address, 'nickname', alerts.nickname, 'discord_id', users.discord_id, 'channel_id', alerts.channel_id, 'type', alerts.type, 'tokens', alerts.tokens, 'alert_max_offer_floor_difference', alert_settings.max_offer_floor_difference, 'alert_allowed_marketplaces', alert_settings.allowed_marketplaces, 'alert_allowed_events', alert_settings.allowed_events, 'user_max_offer_floor_difference', user_settings.max_offer_floor_difference, 'user_allowed_marketplaces', user_settings.allowed_marketplaces, 'user_allowed_events', user_settings.allowed_events)`;
     return client
       .query(
         `SELECT nft_events.*, COALESCE(alerts.watchers, '[]') AS watchers\
         FROM nft_events\
+        LEFT JOIN nft_events AS sweeps\
+          ON sweeps.event_type = $4\
+          AND nft_events.event_type != $4\
+          AND sweeps.transaction_hash = nft_events.transaction_hash\
+          AND sweeps.collection = nft_events.collection\
         LEFT JOIN LATERAL(\
           SELECT json_agg(${buildWatcherObjectQuery}) AS watchers\
           FROM alerts\
@@ -1884,15 +3066,28 @@ export const createDbClient = async ({
             ON user_settings.id = (\
               SELECT settings_id FROM users WHERE users.id = alerts.user_id\
             )\
-          WHERE alerts.address = nft_events.buyer\
-          OR alerts.address = nft_events.seller\
-          OR alerts.address = nft_events.collection\
-          OR alerts.address = nft_events.initiator\
-          OR (nft_events.event_type = $3 AND array_to_string(alerts.tokens, ',') LIKE ('%' || nft_events.collection || '/%'))\
+          WHERE (sweeps.id IS NULL AND alerts.type IS DISTINCT FROM 'token' AND (\
+            alerts.address = nft_events.buyer\
+            OR alerts.address = nft_events.seller\
+            OR alerts.address = nft_events.collection\
+            OR alerts.address = nft_events.initiator\
+            OR (nft_events.event_type = $3 AND array_to_string(alerts.tokens, ',') LIKE ('%' || nft_events.collection || '/%'))\
+          ))\
+          OR (sweeps.id IS NULL AND alerts.type = 'token' AND (\
+            nft_events.collection || '/' || nft_events.token_id = ANY(alerts.tokens)\
+            OR (nft_events.event_type = $3 AND nft_events.token_id IS NULL AND alerts.address = nft_events.collection)\
+            OR EXISTS (\
+              SELECT FROM unnest(nft_events.token_ids) AS token_ids(token_id)\
+              WHERE nft_events.collection || '/' || token_ids.token_id = ANY(alerts.tokens)\
+            )\
+          ))\
+          OR (sweeps.buyer IS NULL AND alerts.address = nft_events.buyer)\
+          OR (sweeps.seller IS NULL AND alerts.address = nft_events.seller)\
         ) alerts ON true\
         WHERE nft_events.created_at >= $1 AND nft_events.id > $2\
-        ORDER BY created_at DESC`,
-        [createdAt, minId, serializedOfferEvent]
+        AND NOT nft_events.orphaned\
+        ORDER BY nft_events.created_at DESC`,
+        [createdAt, minId, serializedOfferEvent, serializedSweepEvent]
       )
       .then(({ rows }) => {
         return { result: "success", objects: rows.map(toNFTEventObject) };
@@ -1907,6 +3102,213 @@ export const createDbClient = async ({
       });
   };
 
+  /**
+   *
+   * Hold an NFT event for a quiet alert, so that it can be summarized when
+   * the alert's quiet period ends.
+   * @param {Object} params
+   * @param {Number} params.alertId - The id of the quiet alert.
+   * @param {Number} params.nftEventId - The id of the held event.
+   * @typedef {Object} HoldNFTEventResponse
+   * @property {("success"|"already-held"|"missing-arguments"|"error")} result - The query's result.
+   * @return {HoldNFTEventResponse}
+   */
+  const holdNFTEvent = ({ alertId, nftEventId } = {}) => {
+    if (alertId == null || nftEventId == null) {
+      return { result: "missing-arguments" };
+    }
+
+    return client
+      .query(
+        `INSERT INTO held_nft_events (alert_id, nft_event_id, held_at)\
+        VALUES ($1, $2, $3)\
+        ON CONFLICT (alert_id, nft_event_id) DO NOTHING\
+        RETURNING *`,
+        [alertId, nftEventId, new Date()]
+      )
+      .then(({ rows }) => ({
+        result: rows.length > 0 ? "success" : "already-held",
+      }))
+      .catch((error) => {
+        logMessage({
+          message: `Error holding NFT event ${nftEventId} for alert ${alertId}`,
+          level: "error",
+          error,
+        });
+        return { result: "error" };
+      });
+  };
+
+  /**
+   *
+   * Get all the held NFT events, oldest first. Each event has a single
+   * watcher: the alert it is held for. Events orphaned by a chain
+   * reorganization are left out.
+   * @return {NFTEventsResponse}
+   */
+  const getHeldNFTEvents = () =>
+    client
+      .query(
+        `SELECT nft_events.*, json_build_array(${buildWatcherObjectQuery}) AS watchers\
+        FROM held_nft_events\
+        JOIN nft_events\
+          ON nft_events.id = held_nft_events.nft_event_id\
+        JOIN alerts\
+          ON alerts.id = held_nft_events.alert_id\
+        LEFT JOIN users\
+          ON users.id = alerts.user_id\
+        LEFT JOIN settings AS alert_settings\
+          ON alert_settings.id = alerts.settings_id\
+        LEFT JOIN settings AS user_settings\
+          ON user_settings.id = users.settings_id\
+        WHERE NOT nft_events.orphaned\
+        ORDER BY nft_events.created_at`
+      )
+      .then(({ rows }) => {
+        return { result: "success", objects: rows.map(toNFTEventObject) };
+      })
+      .catch((error) => {
+        logMessage({
+          message: `Error getting held NFT events`,
+          level: "error",
+          error,
+        });
+        return { result: "error", objects: [] };
+      });
+
+  /**
+   *
+   * Stop holding some NFT events of an alert, once they have been summarized.
+   * @param {Object} params
+   * @param {Number} params.alertId - The id of the alert.
+   * @param {Number[]} params.nftEventIds - The ids of the events to release.
+   * @typedef {Object} ReleaseHeldNFTEventsResponse
+   * @property {("success"|"missing-arguments"|"error")} result - The query's result.
+   * @property {Number} count - How many events were released.
+   * @return {ReleaseHeldNFTEventsResponse}
+   */
+  const releaseHeldNFTEvents = ({ alertId, nftEventIds } = {}) => {
+    if (alertId == null || nftEventIds == null) {
+      return { result: "missing-arguments", count: 0 };
+    }
+
+    return client
+      .query(
+        `DELETE FROM held_nft_events\
+        WHERE alert_id = $1 AND nft_event_id = ANY($2)\
+        RETURNING *`,
+        [alertId, nftEventIds]
+      )
+      .then(({ rows }) => ({ result: "success", count: rows.length }))
+      .catch((error) => {
+        logMessage({
+          message: `Error releasing the held NFT events of alert ${alertId}`,
+          level: "error",
+          error,
+        });
+        return { result: "error", count: 0 };
+      });
+  };
+
+  /**
+   *
+   * Get the blocks of the on-chain NFT events stored since a block, to check whether they are still part of the chain.
+   * @param {Object} params
+   * @param {Number} params.minBlockNumber - The first block to retrieve.
+   * @typedef {Object} NFTEventBlock - The block where a transaction's events were included.
+   * @property {String} transactionHash
+   * @property {Number} blockNumber
+   * @property {String} blockHash
+   * @property {Boolean} orphaned - Whether the transaction's events were orphaned.
+   * @typedef {Object} NFTEventBlocksResponse
+   * @property {NFTEventResultType} result - The query's result.
+   * @property {NFTEventBlock[]} objects - The blocks by transaction.
+   * @return {NFTEventBlocksResponse}
+   */
+  const getNFTEventBlocks = ({ minBlockNumber } = {}) => {
+    if (minBlockNumber == null) {
+      return { result: "missing-arguments", objects: [] };
+    }
+
+    return client
+      .query(
+        `SELECT DISTINCT transaction_hash, block_number, block_hash, orphaned\
+        FROM nft_events\
+        WHERE block_number >= $1 AND block_hash IS NOT NULL\
+        ORDER BY block_number`,
+        [minBlockNumber]
+      )
+      .then(({ rows }) => {
+        return {
+          result: "success",
+          objects: rows.map(
+            ({
+              transaction_hash: transactionHash,
+              block_number: blockNumber,
+              block_hash: blockHash,
+              orphaned,
+            }) => ({ transactionHash, blockNumber, blockHash, orphaned })
+          ),
+        };
+      })
+      .catch((error) => {
+        logMessage({
+          message: `Error getting NFT event blocks since block ${minBlockNumber}`,
+          level: "error",
+          error,
+        });
+        return { result: "error", objects: [] };
+      });
+  };
+
+  /**
+   *
+   * Set the block of a transaction's NFT events after a chain reorganization. If the transaction is no longer part of the chain, its events are marked as orphaned so that they are never notified.
+   * @param {Object} params
+   * @param {String} params.transactionHash - The transaction's hash.
+   * @param {Number|null} params.blockNumber - The transaction's new block number. Null if it was orphaned.
+   * @param {String|null} params.blockHash - The transaction's new block hash. Null if it was orphaned.
+   * @return {NFTEventsResponse}
+   */
+  const setNFTEventsBlock = ({
+    transactionHash,
+    blockNumber,
+    blockHash,
+  } = {}) => {
+    if (transactionHash == null) {
+      return { result: "missing-arguments", objects: [] };
+    }
+
+    const query =
+      blockHash == null
+        ? {
+            text: `UPDATE nft_events SET orphaned = TRUE\
+            WHERE transaction_hash = $1\
+            RETURNING *`,
+            values: [transactionHash],
+          }
+        : {
+            text: `UPDATE nft_events\
+            SET orphaned = FALSE, block_number = $2, block_hash = $3\
+            WHERE transaction_hash = $1\
+            RETURNING *`,
+            values: [transactionHash, blockNumber, blockHash],
+          };
+    return client
+      .query(query)
+      .then(({ rows }) => {
+        return { result: "success", objects: rows.map(toNFTEventObject) };
+      })
+      .catch((error) => {
+        logMessage({
+          message: `Error setting the block of tx ${transactionHash}`,
+          level: "error",
+          error,
+        });
+        return { result: "error", objects: [] };
+      });
+  };
+
   /**
    *
    * Destroys the client's connection to the database.
@@ -1923,21 +3325,47 @@ export const createDbClient = async ({
     setAlertNickname,
     deleteAlert,
     setAlertTokens,
+    addAlertToken,
+    addTokenAlertToken,
+    removeAlertToken,
     createUser,
     getAlertsByAddress,
     getAlertsByNickname,
     getAllAlerts,
     getUserAlerts,
     setMaxFloorDifference,
+    setMinUSDPrice,
+    setPriceRange,
+    setListingFloorDifference,
+    setSnooze,
+    setQuietHours,
     setAllowedEvents,
     setAllowedMarketplaces,
     getOffer,
+    getOffers,
+    removeOffer,
+    removeExpiredOffers,
     setOffer,
     getCollectionFloor,
     setCollectionFloor,
+    getLowestListing,
+    getFloorHistory,
+    getTokenValues,
+    getCrawlerCheckpoints,
+    setCrawlerCheckpoint,
+    getTokenTraits,
+    setTokenTraits,
     addNFTEvent,
     getNFTEvents,
+    getWalletTrades,
+    claimDBFlag,
+    releaseDBFlag,
     getWatchedNFTEvents,
+    holdNFTEvent,
+    getHeldNFTEvents,
+    releaseHeldNFTEvents,
+    getNFTEventBlocks,
+    setNFTEventsBlock,
     destroy,
   };
 };
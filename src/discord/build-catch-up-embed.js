@@ -0,0 +1,79 @@
+/// <reference path="../typedefs.js" />
+
+import { readFileSync } from "fs";
+import { getCollectionMetadata } from "../blockchain/index.js";
+import { getDefaultCurrency } from "./describe-event.js";
+
+// How many of the latest held events are listed in the embed
+const LISTED_EVENTS = 10;
+
+const nftEvents = JSON.parse(readFileSync("data/nft-events.json"));
+
+const getEventName = (eventType) => {
+  const nftEvent = nftEvents.find(({ id }) => id === eventType);
+  return nftEvent == null ? eventType : nftEvent.name;
+};
+
+/**
+ * Create the embed summarizing the events that were held for an alert while
+ * it was snoozed or in its quiet hours.
+ * @param {Object} params
+ * @param {Alert} params.alert - The alert the events were held for.
+ * @param {NFTEvent[]} params.events - The held events, oldest first.
+ * @return {Object} The embeds of the message.
+ */
+export default async ({ alert: { address, nickname }, events }) => {
+  const counts = events.reduce(
+    (counts, { eventType }) => ({
+      ...counts,
+      [eventType]: (counts[eventType] || 0) + 1,
+    }),
+    {}
+  );
+  const listedEvents = events.slice(-LISTED_EVENTS);
+  const collectionNames = {};
+  await Promise.all(
+    [
+      ...new Set(
+        listedEvents
+          .map(({ collection }) => collection)
+          .filter((collection) => collection != null)
+      ),
+    ].map(async (collection) => {
+      const { name } = await getCollectionMetadata(collection);
+      collectionNames[collection] = name || collection;
+    })
+  );
+  const eventList = listedEvents.reduce(
+    (list, { eventType, collection, tokenId, price, currency }, index) =>
+      `${list}\n${index + 1}. ${getEventName(eventType)}${
+        collection == null ? "" : `: ${collectionNames[collection]}`
+      }${tokenId == null ? "" : ` #${tokenId}`}${
+        price == null
+          ? ""
+          : ` for ${Number(price.toFixed(4))} ${
+              currency || getDefaultCurrency(eventType)
+            }`
+      }`,
+    ""
+  );
+  return {
+    embeds: [
+      {
+        color: 0x0099ff,
+        title: `While ${nickname || address} was quiet`,
+        url: `https://etherscan.io/address/${address}`,
+        description: `**${
+          events.length > LISTED_EVENTS
+            ? `Latest ${LISTED_EVENTS} events`
+            : "Events"
+        }**:${eventList}`,
+        fields: Object.entries(counts).map(([eventType, count]) => ({
+          name: getEventName(eventType),
+          value: `${count}`,
+          inline: true,
+        })),
+      },
+    ],
+  };
+};
@@ -4,18 +4,24 @@ import dotenv from "dotenv";
 import { dirname, join, resolve } from "path";
 import { fileURLToPath } from "url";
 import { MessageAttachment } from "discord.js";
+import fetch from "node-fetch";
 import sharp from "sharp";
 import { getCollectionMetadata } from "../blockchain/index.js";
 import logMessage from "../log-message.js";
 import getMetadata from "../get-metadata.js";
 import resolveURI from "../resolve-uri.js";
 import makeAddressReadable from "../make-address-readable.js";
-import describeEvent from "./describe-event.js";
+import describeEvent, { getDefaultCurrency } from "./describe-event.js";
 
 dotenv.config({ path: resolve(".env") });
 
 const { ETHEREUM_NETWORK, SHOW_NFT_ATTRIBUTES = false } = process.env;
 
+// The sweep thumbnail grid shows at most 3x3 NFTs of 160x160 pixels
+const SWEEP_GRID_COLUMNS = 3;
+const SWEEP_GRID_MAX_TILES = 9;
+const SWEEP_GRID_TILE_SIZE = 160;
+
 const looksRareBaseDomain =
   ETHEREUM_NETWORK === "homestead"
     ? "https://looksrare.org"
@@ -45,6 +51,14 @@ const marketplaceIdToMdLink = (marketplace, eventType) => {
       return "[Foundation](https://foundation.app/)";
     case "x2y2":
       return "[X2Y2](https://x2y2.io/)";
+    case "superrare":
+      return "[SuperRare](https://superrare.com/)";
+    case "nftx":
+      return "[NFTX](https://nftx.io/)";
+    case "blur":
+      return "[Blur](https://blur.io/)";
+    case "sudoswap":
+      return "[Sudoswap](https://sudoswap.xyz/)";
     case "openSea":
     default:
       return "[OpenSea](https://opensea.io/)";
@@ -74,6 +88,12 @@ const generateTokenMarketplaceURL = (
       return `https://rarible.com/token/${collection}:${tokenId}`;
     case "x2y2":
       return `https://x2y2.io/eth/${collection}/${tokenId}`;
+    case "superrare":
+      return `https://superrare.com/artwork/eth/${collection}/${tokenId}`;
+    case "blur":
+      return `https://blur.io/asset/${collection}/${tokenId}`;
+    case "sudoswap":
+      return `https://sudoswap.xyz/#/item/${collection}/${tokenId}`;
     case "openSea":
     default:
       return `https://opensea.io/assets/ethereum/${collection}/${tokenId}`;
@@ -82,6 +102,85 @@ const generateTokenMarketplaceURL = (
 
 const encodeNameURI = (name) => encodeURI(name.replace(/(\s+|#)/giu, "_"));
 
+/* Fetch the image of an NFT as a buffer that can be processed with sharp */
+const fetchNFTImage = async (metadataUri, tokenId) => {
+  const metadata = await getMetadata(metadataUri, tokenId);
+  if (!metadata.image || metadata.image.length === 0) {
+    return null;
+  }
+
+  const imageURL = resolveURI(metadata.image);
+  if (imageURL.startsWith("data:image/")) {
+    const [, base64String] = imageURL.split(";");
+    return Buffer.from(base64String.replace(/^base64,/, ""), "base64");
+  }
+
+  const response = await fetch(imageURL);
+  return Buffer.from(await response.arrayBuffer());
+};
+
+/**
+ * Create a grid with the images of the first NFTs bought in a sweep.
+ * @param {EmbedParams} params
+ * @return {Buffer|null} The PNG image, or null if no image could be fetched.
+ */
+const createSweepGrid = async ({
+  tokenIds = [],
+  metadataUris = [],
+  transactionHash,
+}) => {
+  const tiles = await Promise.all(
+    (metadataUris || [])
+      .slice(0, SWEEP_GRID_MAX_TILES)
+      .map(async (metadataUri, index) => {
+        if (metadataUri == null) {
+          return null;
+        }
+
+        const image = await fetchNFTImage(metadataUri, tokenIds[index]).catch(
+          (error) => {
+            logMessage({
+              message: `Error fetching image from uri ${metadataUri}; tx hash ${transactionHash}.`,
+              level: "warning",
+              error,
+            });
+            return null;
+          }
+        );
+        return image == null
+          ? null
+          : sharp(image)
+              .resize(SWEEP_GRID_TILE_SIZE, SWEEP_GRID_TILE_SIZE)
+              .png()
+              .toBuffer()
+              .catch(() => null);
+      })
+  ).then((tiles) => tiles.filter((tile) => tile != null));
+  if (tiles.length === 0) {
+    return null;
+  }
+
+  const columns = Math.min(tiles.length, SWEEP_GRID_COLUMNS);
+  const rows = Math.ceil(tiles.length / columns);
+  return sharp({
+    create: {
+      width: columns * SWEEP_GRID_TILE_SIZE,
+      height: rows * SWEEP_GRID_TILE_SIZE,
+      channels: 4,
+      background: { r: 0, g: 0, b: 0, alpha: 0 },
+    },
+  })
+    .composite(
+      tiles.map((input, index) => ({
+        input,
+        left: (index % columns) * SWEEP_GRID_TILE_SIZE,
+        top: Math.floor(index / columns) * SWEEP_GRID_TILE_SIZE,
+      }))
+    )
+    .png()
+    .toBuffer();
+};
+
 /**
  * Create the embed descriptions for an NFT event.
  * @param {EmbedParams} params
@@ -97,9 +196,15 @@ export default async (params) => {
     collection,
     metadataUri,
     tokenId,
+    tokenIds,
     endsAt,
     watcher,
+    currency: eventCurrency,
+    marketplaceFee,
+    royaltyFee,
+    sellerProfit,
   } = params;
+  const currency = eventCurrency || getDefaultCurrency(eventType);
   const { nickname, address: alertAddress } = watcher || {};
   const metadata = await (metadataUri
     ? getMetadata(metadataUri, tokenId, transactionHash).catch((error) => {
@@ -132,13 +237,17 @@ export default async (params) => {
       marketplaceId,
       collectionUrl,
     }),
-    fields: [
-      {
-        name: "Marketplace",
-        value: marketplace,
-        inline: true,
-      },
-    ],
+    // Mints, transfers and burns do not happen on a marketplace
+    fields:
+      marketplaceId == null
+        ? []
+        : [
+            {
+              name: "Marketplace",
+              value: marketplace,
+              inline: true,
+            },
+          ],
     timestamp: new Date(),
   };
 
@@ -185,6 +294,13 @@ export default async (params) => {
     ]);
   }
 
+  if (["sweep", "mint"].includes(eventType) && tokenIds != null) {
+    embed.fields.push({
+      name: "Token Ids",
+      value: tokenIds.join(", ").slice(0, 1024),
+    });
+  }
+
   if (eventType === "offer" && endsAt != null) {
     embed.fields.push({
       name: "Valid until",
@@ -216,6 +332,20 @@ export default async (params) => {
     });
   }
 
+  if (sellerProfit != null) {
+    [
+      { name: "Marketplace fee", value: marketplaceFee },
+      { name: "Creator royalty", value: royaltyFee },
+      { name: "Seller net", value: sellerProfit },
+    ].forEach(({ name, value }) => {
+      embed.fields.push({
+        name,
+        value: `${Number(value.toFixed(4))} ${currency}`,
+        inline: true,
+      });
+    });
+  }
+
   if (metadata.name && metadata.name.length > 0) {
     const value =
       metadata.external_link && metadata.external_link.length > 0
@@ -260,27 +390,25 @@ export default async (params) => {
 
   const files = [];
 
-  let thumbnail;
   const __filename = fileURLToPath(import.meta.url);
   const __dirname = dirname(__filename);
   const assetFolder = join(__dirname, "/../../assets");
   const imageName = `${embed.title
     .replace(/\s/giu, "_")
     .replace(/!/giu, "")}.png`;
-  if (
-    ["offer", "acceptOffer", "settleAuction", "cancelOrder"].includes(eventType)
-  ) {
-    thumbnail = new MessageAttachment(`${assetFolder}/weth.png`, imageName);
-  } else {
-    thumbnail = new MessageAttachment(`${assetFolder}/eth.png`, imageName);
+  // There are only thumbnails for the currencies in the assets folder
+  if (["ETH", "WETH"].includes(currency)) {
+    const thumbnail = new MessageAttachment(
+      `${assetFolder}/${currency.toLowerCase()}.png`,
+      imageName
+    );
+    thumbnail.setDescription(embed.title);
+    embed.thumbnail = {
+      url: `attachment://${thumbnail.name}`,
+    };
+    files.push(thumbnail);
   }
 
-  thumbnail.setDescription(embed.title);
-  embed.thumbnail = {
-    url: `attachment://${thumbnail.name}`,
-  };
-  files.push(thumbnail);
-
   if (metadata.image && metadata.image.length > 0) {
     const imageURL = resolveURI(metadata.image);
     if (imageURL.startsWith("data:image/")) {
@@ -325,5 +453,24 @@ export default async (params) => {
     }
   }
 
+  if (eventType === "sweep") {
+    const grid = await createSweepGrid(params).catch((error) => {
+      logMessage({
+        message: `Error generating sweep grid with sharp; tx hash ${transactionHash}.`,
+        level: "warning",
+        error,
+      });
+      return null;
+    });
+    if (grid != null) {
+      const attachment = new MessageAttachment(grid, "sweep.png");
+      files.push(attachment);
+      // eslint-disable-next-line require-atomic-updates
+      embed.image = {
+        url: `attachment://${attachment.name}`,
+      };
+    }
+  }
+
   return { embeds: [embed], files };
 };
@@ -0,0 +1,159 @@
+/// <reference path="../typedefs.js" />
+
+import { MessageAttachment } from "discord.js";
+import sharp from "sharp";
+import { getCollectionMetadata } from "../blockchain/index.js";
+import logMessage from "../log-message.js";
+
+// The floor is sampled this many times over the period to draw the sparkline
+const SPARKLINE_SAMPLES = 48;
+const SPARKLINE_WIDTH = 600;
+const SPARKLINE_HEIGHT = 150;
+const SPARKLINE_PADDING = 8;
+
+/**
+ * Compute the floor across all marketplaces at a given date: the cheapest of
+ * the latest floors of each marketplace that hadn't expired yet.
+ * @param {CollectionFloor[]} floors - The floor history, oldest first.
+ * @param {Date} date
+ * @return {Number|null} The floor in ETH. Null if nothing was listed.
+ */
+const getFloorAt = (floors, date) => {
+  const marketplaceFloors = {};
+  floors
+    .filter(({ createdAt }) => createdAt <= date)
+    .forEach((floor) => {
+      marketplaceFloors[floor.marketplace] = floor;
+    });
+  const prices = Object.values(marketplaceFloors)
+    .filter(({ price, endsAt }) => price > 0 && endsAt > date)
+    .map(({ price }) => price);
+  return prices.length === 0 ? null : Math.min(...prices);
+};
+
+/**
+ * Draw the floors as a sparkline in an SVG. Periods without listings are left
+ * as gaps in the line.
+ * @param {Array<Number|null>} series - The floors at evenly spaced dates.
+ * @param {String} color - The line's color.
+ * @return {String} The SVG.
+ */
+const drawSparkline = (series, color) => {
+  const prices = series.filter((price) => price != null);
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  const toX = (index) =>
+    SPARKLINE_PADDING +
+    (index * (SPARKLINE_WIDTH - 2 * SPARKLINE_PADDING)) / (series.length - 1);
+  const toY = (price) =>
+    max === min
+      ? SPARKLINE_HEIGHT / 2
+      : SPARKLINE_PADDING +
+        ((max - price) * (SPARKLINE_HEIGHT - 2 * SPARKLINE_PADDING)) /
+          (max - min);
+  const lines = series
+    .reduce(
+      (segments, price, index) => {
+        if (price == null) {
+          return [...segments, []];
+        }
+
+        segments[segments.length - 1].push([toX(index), toY(price)]);
+        return segments;
+      },
+      [[]]
+    )
+    .filter((points) => points.length > 0)
+    .map((points) =>
+      points.length === 1
+        ? `<circle cx="${points[0][0]}" cy="${points[0][1]}" r="3" fill="${color}" />`
+        : `<polyline points="${points
+            .map((point) => point.join(","))
+            .join(
+              " "
+            )}" fill="none" stroke="${color}" stroke-width="3" stroke-linejoin="round" stroke-linecap="round" />`
+    );
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${SPARKLINE_WIDTH}" height="${SPARKLINE_HEIGHT}">${lines.join(
+    ""
+  )}</svg>`;
+};
+
+/**
+ * Create the embed describing how the floor of a collection changed over a
+ * period, with a sparkline of the floor.
+ * @param {Object} params
+ * @param {String} params.collection - The collection's address.
+ * @param {String} params.period - The period's name, i.e. "7d".
+ * @param {Date} params.since - When the period started.
+ * @param {CollectionFloor[]} params.floors - The floor history since then,
+ * as returned by the database's getFloorHistory.
+ * @return {Object} The embeds and files of the message.
+ */
+export default async ({ collection, period, since, floors }) => {
+  const now = new Date();
+  const series = [...Array(SPARKLINE_SAMPLES).keys()].map((index) =>
+    getFloorAt(
+      floors,
+      new Date(
+        since.getTime() +
+          ((now.getTime() - since.getTime()) * index) / (SPARKLINE_SAMPLES - 1)
+      )
+    )
+  );
+  const currentFloor = series[series.length - 1];
+  const initialFloor = series.find((price) => price != null);
+  const change =
+    currentFloor == null || initialFloor == null
+      ? null
+      : (currentFloor - initialFloor) / initialFloor;
+  const { name } = await getCollectionMetadata(collection);
+  const embed = {
+    color: change == null || change >= 0 ? 0x2ecc71 : 0xe74c3c,
+    title: `${name || collection} floor (${period})`,
+    url: `https://etherscan.io/address/${collection}`,
+    fields: [
+      {
+        name: "Floor",
+        value:
+          currentFloor == null
+            ? "No active listings"
+            : `${Number(currentFloor.toFixed(4))} ETH`,
+        inline: true,
+      },
+      {
+        name: "Change",
+        value:
+          change == null
+            ? "-"
+            : `${change >= 0 ? "+" : ""}${(change * 100).toFixed(2)}%`,
+        inline: true,
+      },
+    ],
+  };
+  if (initialFloor == null) {
+    embed.description = `No listings were found during the last ${period}.`;
+    return { embeds: [embed], files: [] };
+  }
+
+  const svg = drawSparkline(series, change >= 0 ? "#2ecc71" : "#e74c3c");
+  const sparkline = await sharp(Buffer.from(svg), { density: 144 })
+    .png()
+    .toBuffer()
+    .catch((error) => {
+      logMessage({
+        message: `Error generating the floor sparkline of ${collection} with sharp`,
+        level: "warning",
+        error,
+      });
+      return null;
+    });
+  if (sparkline == null) {
+    return { embeds: [embed], files: [] };
+  }
+
+  const attachment = new MessageAttachment(sparkline, "floor.png");
+  embed.image = {
+    url: `attachment://${attachment.name}`,
+  };
+  return { embeds: [embed], files: [attachment] };
+};
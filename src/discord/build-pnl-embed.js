@@ -0,0 +1,55 @@
+/// <reference path="../typedefs.js" />
+
+const formatETH = (value) => `${Number(value.toFixed(4))} ETH`;
+
+/**
+ * Create the embed describing the realized profit and loss of a wallet alert.
+ * @param {Object} params
+ * @param {Alert} params.alert - The wallet alert.
+ * @param {PnL} params.pnl - Its profit and loss, as computed by
+ * src/compute-pnl.js.
+ * @param {String} params.period - A description of the period, i.e. "the
+ * last 30 days".
+ * @return {Object} The embeds of the message.
+ */
+export default ({
+  alert: { address, nickname },
+  pnl: {
+    realizedProfit,
+    proceeds,
+    costBasis,
+    gasCost,
+    fees,
+    sales,
+    unmatchedSales,
+  },
+  period,
+}) => {
+  const embed = {
+    color: realizedProfit >= 0 ? 0x2ecc71 : 0xe74c3c,
+    title: `Profit and loss of ${nickname || address}`,
+    url: `https://etherscan.io/address/${address}`,
+    description: `Realized during ${period}.`,
+    fields: [
+      {
+        name: realizedProfit >= 0 ? "Profit" : "Loss",
+        value: formatETH(realizedProfit),
+        inline: true,
+      },
+      { name: "Sales", value: `${sales}`, inline: true },
+      { name: "Proceeds", value: formatETH(proceeds), inline: true },
+      { name: "Cost basis", value: formatETH(costBasis), inline: true },
+      { name: "Gas", value: formatETH(gasCost), inline: true },
+      { name: "Fees and royalties", value: formatETH(fees), inline: true },
+    ],
+  };
+  if (unmatchedSales > 0) {
+    embed.footer = {
+      text: `${unmatchedSales} sale${
+        unmatchedSales === 1 ? " was" : "s were"
+      } left out because the tokens were acquired before the wallet was tracked.`,
+    };
+  }
+
+  return { embeds: [embed] };
+};
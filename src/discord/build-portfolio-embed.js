@@ -0,0 +1,86 @@
+/// <reference path="../typedefs.js" />
+
+import { getCollectionMetadata } from "../blockchain/index.js";
+
+// How many of the most valuable tokens are listed in the embed
+const TOP_HOLDINGS = 10;
+
+const formatETH = (price) => `${Number(price.toFixed(4))} ETH`;
+
+/**
+ * Create the embed valuing the tokens held by a wallet alert.
+ * @param {Object} params
+ * @param {Alert} params.alert - The wallet alert.
+ * @param {TokenValue[]} params.tokenValues - The value of each of its tokens,
+ * as returned by the database's getTokenValues.
+ * @return {Object} The embeds of the message.
+ */
+export default async ({ alert: { address, nickname }, tokenValues }) => {
+  const floorValue = tokenValues.reduce(
+    (sum, { floor }) => sum + (floor || 0),
+    0
+  );
+  const instantSellValue = tokenValues.reduce(
+    (sum, { highestOffer }) => sum + (highestOffer || 0),
+    0
+  );
+  // Tokens without a floor are valued at their highest offer
+  const holdings = tokenValues
+    .map((token) => ({
+      ...token,
+      value: Math.max(token.floor || 0, token.highestOffer || 0),
+    }))
+    .filter(({ value }) => value > 0)
+    .sort(({ value: value1 }, { value: value2 }) => value2 - value1)
+    .slice(0, TOP_HOLDINGS);
+  const collectionNames = {};
+  await Promise.all(
+    [...new Set(holdings.map(({ collection }) => collection))].map(
+      async (collection) => {
+        const { name } = await getCollectionMetadata(collection);
+        collectionNames[collection] = name || collection;
+      }
+    )
+  );
+  const holdingList = holdings.reduce(
+    (list, { collection, tokenId, floor, highestOffer }, index) =>
+      `${list}\n${index + 1}. ${collectionNames[collection]} #${tokenId}: ${
+        floor == null ? "no floor" : `${formatETH(floor)} floor`
+      }, ${
+        highestOffer == null
+          ? "no offers"
+          : `${formatETH(highestOffer)} top offer`
+      }`,
+    ""
+  );
+  return {
+    embeds: [
+      {
+        color: 0x0099ff,
+        title: `Portfolio of ${nickname || address}`,
+        url: `https://etherscan.io/address/${address}`,
+        description:
+          holdings.length === 0
+            ? "None of the tokens held by this wallet have a known floor or offer."
+            : `**Top holdings**:${holdingList}`,
+        fields: [
+          {
+            name: "Tokens",
+            value: `${tokenValues.length}`,
+            inline: true,
+          },
+          {
+            name: "Floor value",
+            value: formatETH(floorValue),
+            inline: true,
+          },
+          {
+            name: "Instant-sell value",
+            value: formatETH(instantSellValue),
+            inline: true,
+          },
+        ],
+      },
+    ],
+  };
+};
@@ -10,12 +10,18 @@ import minimist from "minimist";
 import logEvent from "../log-event.js";
 import logMetric from "../log-metric.js";
 import sleep from "../sleep.js";
+import computePnL from "../compute-pnl.js";
+import buildPnLEmbed from "./build-pnl-embed.js";
+import createTraitIndex from "../create-trait-index.js";
+import buildCatchUpEmbed from "./build-catch-up-embed.js";
 
 dotenv.config({ path: path.resolve(".env") });
 const { MARKETPLACES } = process.env;
 
 const MAX_MINUTE_DIFFERENCE = 10;
 const GAUGE_TOTAL_SERVERS_DELAY = 60 * 1000;
+// Discord doesn't allow more embeds per message
+const MAX_EMBEDS_PER_MESSAGE = 10;
 
 const marketplaces = JSON.parse(readFileSync("data/marketplaces.json"));
 const nftEvents = JSON.parse(readFileSync("data/nft-events.json"));
@@ -48,7 +54,11 @@ const {
  * @return {Boolean}
  */
 const hasAffectedToken = (event, tokens) => {
-  const { collection, tokenId, standard, eventType } = event;
+  const { collection, tokenId, tokenIds, standard, eventType } = event;
+  if (eventType === "sweep" && tokenIds != null) {
+    return tokenIds.some((id) => tokens.includes(`${collection}/${id}`));
+  }
+
   if (tokenId == null) {
     return tokens.some((token) => {
       const [alertCollection] = token.split("/");
@@ -63,13 +73,62 @@ const hasAffectedToken = (event, tokens) => {
     : tokens.includes(`${collection}/${tokenId}`);
 };
 
+/**
+ * Checks whether a token of an event has the traits an alert filters by.
+ * Tokens need one of the values of every trait type in the filters, so
+ * "Fur:Zombie" and "Fur:Robot" match either fur. Events without tokens, like
+ * collection offers, don't match.
+ * @param {NFTEvent} event
+ * @param {String[]} traitFilters - The alert's traits as "type:value".
+ * @param {Object} tokenTraits - The traits of each token of the event by
+ * token id.
+ * @return {Boolean}
+ */
+const hasFilteredTraits = (event, traitFilters, tokenTraits) => {
+  const { tokenId, tokenIds } = event;
+  const ids =
+    tokenIds != null && tokenIds.length > 0
+      ? tokenIds
+      : tokenId == null
+      ? []
+      : [tokenId];
+  const filtersByType = traitFilters.reduce((filtersByType, trait) => {
+    const [traitType] = trait.toLowerCase().split(":");
+    return {
+      ...filtersByType,
+      [traitType]: [...(filtersByType[traitType] || []), trait.toLowerCase()],
+    };
+  }, {});
+  return ids.some((id) => {
+    if (tokenTraits[id] == null) {
+      return false;
+    }
+
+    const traits = tokenTraits[id].map((trait) => trait.toLowerCase());
+    return Object.values(filtersByType).every((values) =>
+      values.some((value) => traits.includes(value))
+    );
+  });
+};
+
+/**
+ * Sweeps are a group of "acceptAsk" events, so they follow the same
+ * preference.
+ * @param {EventType} eventType
+ * @return {EventType}
+ */
+const toPreferenceEventType = (eventType) =>
+  eventType === "sweep" ? "acceptAsk" : eventType;
+
 /**
  * Determine whether a user/server should be notified of an NFT event
  * based on their preferences
  * @param {Object} params
  * @param {NFTEvent} params.event
  * @param {Alert} params.watcher
- * @param {Date} params.maxEventAge - How old the event can be to be shown to the user. * @return {Boolean}
+ * @param {Date} params.maxEventAge - How old the event can be to be shown to the user.
+ * @param {Object} [params.tokenTraits] - The traits of each token of the event by token id, needed by the alerts with trait filters.
+ * @return {Boolean}
  */
 const isAllowedByPreferences = (params) => {
   const {
@@ -81,8 +140,14 @@ const isAllowedByPreferences = (params) => {
       address: watcherAddress,
       type: alertType,
       tokens: alertTokens = [],
+      traits: traitFilters,
+      minUSDPrice,
+      minPrice,
+      maxPrice,
+      minListingFloorDifference,
     } = {},
     maxEventAge,
+    tokenTraits = {},
   } = params;
   const {
     marketplace,
@@ -95,12 +160,15 @@ const isAllowedByPreferences = (params) => {
     startsAt,
     tokenId,
     isHighestOffer,
+    usdPrice,
+    price,
+    currency,
   } = event;
   if (
     createdAt < maxEventAge ||
     minuteDifference(startsAt, maxEventAge) > MAX_MINUTE_DIFFERENCE ||
-    !allowedMarketplaces.includes(marketplace) ||
-    !allowedEvents.includes(eventType) ||
+    (marketplace != null && !allowedMarketplaces.includes(marketplace)) ||
+    !allowedEvents.includes(toPreferenceEventType(eventType)) ||
     (alertType === "wallet" &&
       ![buyer, seller, initiator].includes(watcherAddress) &&
       !hasAffectedToken(event, alertTokens))
@@ -110,8 +178,11 @@ const isAllowedByPreferences = (params) => {
       createdTooLongAgo: createdAt < maxEventAge,
       startedTooLongAgo:
         minuteDifference(startsAt, maxEventAge) > MAX_MINUTE_DIFFERENCE,
-      notAllowedMarket: !allowedMarketplaces.includes(marketplace),
-      notAllowedEvent: !allowedEvents.includes(eventType),
+      notAllowedMarket:
+        marketplace != null && !allowedMarketplaces.includes(marketplace),
+      notAllowedEvent: !allowedEvents.includes(
+        toPreferenceEventType(eventType)
+      ),
       notForMe:
         alertType === "wallet" &&
         ![buyer, seller, initiator].includes(watcherAddress) &&
@@ -134,6 +205,67 @@ const isAllowedByPreferences = (params) => {
     return false;
   }
 
+  // Events that could not be valued in USD are not filtered by their value
+  if (minUSDPrice > 0 && usdPrice != null && usdPrice < minUSDPrice) {
+    logMessage({
+      message: `Filtered "${eventType}" event below the min. USD price`,
+      usdPrice,
+      minUSDPrice,
+      event,
+      level: "warning",
+    });
+    return false;
+  }
+
+  // Only events priced in ETH can be compared with the price range
+  if (
+    price != null &&
+    (currency == null || ["ETH", "WETH"].includes(currency)) &&
+    ((minPrice > 0 && price < minPrice) || (maxPrice > 0 && price > maxPrice))
+  ) {
+    logMessage({
+      message: `Filtered "${eventType}" event outside the price range`,
+      price,
+      minPrice,
+      maxPrice,
+      event,
+      level: "warning",
+    });
+    return false;
+  }
+
+  if (
+    traitFilters != null &&
+    traitFilters.length > 0 &&
+    !hasFilteredTraits(event, traitFilters, tokenTraits)
+  ) {
+    logMessage({
+      message: `Filtered "${eventType}" event without the alert's traits`,
+      traitFilters,
+      tokenTraits,
+      event,
+      level: "warning",
+    });
+    return false;
+  }
+
+  // Listings without a floor to compare with are not snipes
+  if (
+    eventType === "listing" &&
+    minListingFloorDifference > 0 &&
+    (floorDifference == null ||
+      -100 * Number(floorDifference) < minListingFloorDifference)
+  ) {
+    logMessage({
+      message: `Filtered listing event not far enough below the floor`,
+      floorDifference,
+      minListingFloorDifference,
+      event,
+      level: "warning",
+    });
+    return false;
+  }
+
   if (eventType === "offer") {
     if (!isHighestOffer) {
       logMessage({
@@ -159,6 +291,40 @@ const isAllowedByPreferences = (params) => {
   return true;
 };
 
+/**
+ * Checks whether an alert is snoozed or in its quiet hours, so its events
+ * must be held or dropped instead of notified.
+ * @param {Alert} watcher
+ * @param {Date} [date] - When to check. Default: now.
+ * @return {Boolean}
+ */
+const isQuiet = (watcher, date = new Date()) => {
+  const { snoozedUntil, quietHoursStart, quietHoursEnd, timezone } = watcher;
+  if (snoozedUntil != null && new Date(snoozedUntil) > date) {
+    return true;
+  }
+
+  if (
+    quietHoursStart == null ||
+    quietHoursEnd == null ||
+    quietHoursStart === quietHoursEnd
+  ) {
+    return false;
+  }
+
+  const hour = Number(
+    new Intl.DateTimeFormat("en-US", {
+      hour: "numeric",
+      hourCycle: "h23",
+      timeZone: timezone || "UTC",
+    }).format(date)
+  );
+  // Quiet hours may go past midnight, i.e. from 22 to 7
+  return quietHoursStart < quietHoursEnd
+    ? hour >= quietHoursStart && hour < quietHoursEnd
+    : hour >= quietHoursStart || hour < quietHoursEnd;
+};
+
 const minutesAgo = (minutes = 1) =>
   new Date(new Date().setMinutes(new Date().getMinutes() - minutes));
 
@@ -172,6 +338,7 @@ const minutesAgo = (minutes = 1) =>
  */
 export default ({ dbClient, shardId, totalShards }) => {
   let maxEventAge = minutesAgo(2);
+  const traitIndex = createTraitIndex({ dbClient });
 
   return new Promise((resolve, reject) => {
     const discordClient = new Client({
@@ -201,9 +368,44 @@ export default ({ dbClient, shardId, totalShards }) => {
         return Promise.resolve();
       }
 
+      // Only fetched when needed, since it may take a metadata request
+      const tokenTraits = watchers.some(
+        ({ traits }) => traits != null && traits.length > 0
+      )
+        ? await traitIndex.getEventTraits(event).catch((error) => {
+            // Unknown traits don't match any filter
+            logMessage({
+              message: `Error getting the traits of event ${event.id}`,
+              level: "error",
+              error,
+            });
+            return {};
+          })
+        : {};
       watchers.forEach(async (watcher) => {
         const { discordId, type: alertType, channelId } = watcher;
-        if (isAllowedByPreferences({ event, watcher, maxEventAge })) {
+        const isAllowed = isAllowedByPreferences({
+          event,
+          watcher,
+          maxEventAge,
+          tokenTraits,
+        });
+        if (isAllowed && isQuiet(watcher)) {
+          // Events are only dropped if the summary was turned off
+          if (watcher.catchUpSummary !== false) {
+            await dbClient.holdNFTEvent({
+              alertId: watcher.id,
+              nftEventId: event.id,
+            });
+          } else {
+            logMessage({
+              message: "Event dropped during quiet period",
+              event,
+              watcher,
+              level: "debug",
+            });
+          }
+        } else if (isAllowed) {
           const embed = await buildEmbed({
             ...event,
             watcher,
@@ -265,6 +467,157 @@ export default ({ dbClient, shardId, totalShards }) => {
       return Promise.resolve();
     };
 
+    /**
+     * Send each user a DM with the realized profit and loss of their wallet
+     * alerts during the previous month. A database flag per month makes sure
+     * only one shard sends the summaries, and only once. The flag is released
+     * if no summary could be sent, so that they are retried later.
+     */
+    discordClient.sendMonthlyPnLSummaries = async () => {
+      const now = new Date();
+      const until = new Date(
+        Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)
+      );
+      const since = new Date(
+        Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)
+      );
+      const flagName = `pnl_summary_${since.toISOString().slice(0, 7)}`;
+      const { result } = await dbClient.claimDBFlag({ name: flagName });
+      if (result !== "success") {
+        return;
+      }
+
+      const period = since.toLocaleString("en-US", {
+        month: "long",
+        year: "numeric",
+        timeZone: "UTC",
+      });
+      let embedsPerUser;
+      try {
+        const { objects: alerts } = await dbClient.getAllAlerts();
+        const summaries = await Promise.all(
+          alerts
+            .filter(
+              ({ type, discordId }) => type === "wallet" && discordId != null
+            )
+            .map(async (alert) => {
+              const { objects: trades } = await dbClient.getWalletTrades({
+                address: alert.address,
+                until,
+              });
+              const pnl = computePnL({
+                address: alert.address,
+                trades,
+                since,
+                until,
+              });
+              return { alert, pnl };
+            })
+        );
+        embedsPerUser = summaries
+          .filter(({ pnl }) => pnl.sales > 0)
+          .reduce((embedsPerUser, { alert, pnl }) => {
+            const { embeds } = buildPnLEmbed({ alert, pnl, period });
+            return {
+              ...embedsPerUser,
+              [alert.discordId]: [
+                ...(embedsPerUser[alert.discordId] || []),
+                ...embeds,
+              ],
+            };
+          }, {});
+      } catch (error) {
+        await dbClient.releaseDBFlag({ name: flagName });
+        throw error;
+      }
+
+      const sent = await Promise.all(
+        Object.entries(embedsPerUser).map(async ([discordId, embeds]) => {
+          try {
+            const user = await discordClient.users.fetch(discordId);
+            await user.send({
+              content: `Here is how your wallets did in ${period}:`,
+              embeds: embeds.slice(0, MAX_EMBEDS_PER_MESSAGE),
+            });
+            logEvent({
+              title: "pnl_summary_sent",
+              tags: { discordId, period },
+            });
+            return true;
+          } catch (error) {
+            logMessage({
+              message: `Error sending the monthly profit and loss summary to ${discordId}`,
+              level: "error",
+              error,
+            });
+            return false;
+          }
+        })
+      );
+      // Users who got their summary would get it twice if some were sent
+      if (sent.length > 0 && !sent.includes(true)) {
+        await dbClient.releaseDBFlag({ name: flagName });
+      }
+    };
+
+    /**
+     * Send a summary of the events held for each of the shard's alerts whose
+     * snooze or quiet hours are over, then stop holding them. Events whose
+     * summary couldn't be sent are kept for the next try.
+     */
+    discordClient.sendCatchUpSummaries = async () => {
+      const { objects: heldEvents } = await dbClient.getHeldNFTEvents();
+      const heldPerAlert = heldEvents
+        .filter(({ watchers: [{ discordId }] }) => {
+          // eslint-disable-next-line no-bitwise
+          return Math.abs((discordId >> 22) % totalShards) === Number(shardId);
+        })
+        .reduce((heldPerAlert, event) => {
+          const [watcher] = event.watchers;
+          const { events = [] } = heldPerAlert[watcher.id] || {};
+          return {
+            ...heldPerAlert,
+            [watcher.id]: { watcher, events: [...events, event] },
+          };
+        }, {});
+      await Promise.all(
+        Object.values(heldPerAlert)
+          .filter(({ watcher }) => !isQuiet(watcher))
+          .map(async ({ watcher, events }) => {
+            const { id, discordId, type: alertType, channelId } = watcher;
+            try {
+              const { embeds } = await buildCatchUpEmbed({
+                alert: watcher,
+                events,
+              });
+              const target = await (alertType === "server"
+                ? discordClient.channels.fetch(channelId)
+                : discordClient.users.fetch(discordId));
+              await target.send({ embeds });
+              await dbClient.releaseHeldNFTEvents({
+                alertId: id,
+                nftEventIds: events.map((event) => event.id),
+              });
+              logEvent({
+                title: "catch_up_summary_sent",
+                tags: {
+                  alertType,
+                  discordId,
+                  channelId,
+                  events: events.length,
+                },
+              });
+            } catch (error) {
+              logMessage({
+                message: `Error sending the catch-up summary to ${channelId}/${discordId}`,
+                level: "error",
+                error,
+              });
+            }
+          })
+      );
+    };
+
     /**
      * Set the bot's activity to watch how many servers it is currently in.
      * @param {Client} discordClient
@@ -7,11 +7,14 @@ import makeAddressReadable from "../make-address-readable.js";
 
 dotenv.config({ path: resolve(".env") });
 
-const { PERSONAL_MODE = true, MARKETPLACES } = process.env;
-
-const gemV2Address = "0x83c8f28c26bf6aaca652df1dbbe0e1b56f8baba2";
+const {
+  PERSONAL_MODE = true,
+  MARKETPLACES,
+  ETHEREUM_NETWORK = "homestead",
+} = process.env;
 
 const allMarketplaces = JSON.parse(readFileSync("data/marketplaces.json"));
+const aggregators = JSON.parse(readFileSync("data/aggregators.json"));
 
 const allMarketplaceIds = allMarketplaces.map(({ id }) => id);
 const allowedMarketplaceIds =
@@ -44,12 +47,28 @@ const describeRelationToFloor = ({
       )}% above the current floor price of ${collectionFloor} ${coin}`;
 };
 
+/**
+ * The currency of events stored without one, which were always priced in ETH
+ * or WETH depending on their type.
+ * @param {EventType} eventType
+ * @return {String}
+ */
+export const getDefaultCurrency = (eventType) =>
+  ["offer", "acceptOffer", "settleAuction", "cancelOrder"].includes(eventType)
+    ? "WETH"
+    : "ETH";
+
 /**
  * Generate the price string that will be shown to users on notifications.
  * @param {EmbedParams} args
  * @return {String}
  */
-const describePrice = ({ price, coin }) => `${price} ${coin}`;
+const describePrice = ({ price, coin, usdPrice }) =>
+  usdPrice == null
+    ? `${price} ${coin}`
+    : `${price} ${coin} (~$${Number(usdPrice).toLocaleString("en-US", {
+        maximumFractionDigits: usdPrice < 10 ? 2 : 0,
+      })})`;
 
 /**
  * Create the embed descriptions for a new offer event.
@@ -217,8 +236,23 @@ const describeAcceptOffer = (args) => {
   };
 };
 
-const describeIntermediary = (intermediary) =>
-  intermediary === gemV2Address ? "Gem.xyz" : "";
+/**
+ * Name the aggregator used to buy an NFT, or its address if it is not in
+ * data/aggregators.json.
+ * @param {String} intermediary - The aggregator's address.
+ * @return {String}
+ */
+const describeIntermediary = (intermediary) => {
+  const aggregator = aggregators.find(
+    ({ [ETHEREUM_NETWORK]: addresses = [] }) =>
+      addresses.some((address) => address.toLowerCase() === intermediary)
+  );
+  return aggregator == null
+    ? `[${makeAddressReadable(
+        intermediary
+      )}](https://etherscan.io/address/${intermediary})`
+    : aggregator.name;
+};
 
 /**
  * Create the embed description for an acceptAsk event.
@@ -387,6 +421,197 @@ const describeListing = (args) => {
   };
 };
 
+/**
+ * Describe the NFTs moved in an NFTX vault event, a mint or a transfer. Only one transfer
+ * of the transaction is parsed, so the token id is omitted when several NFTs
+ * change hands.
+ * @param {EmbedParamsWithDescriptions} args
+ * @return {String}
+ */
+const describeVaultNFTs = ({ amount, collectionDescription, tokenId }) =>
+  amount > 1
+    ? `${amount} ${collectionDescription} NFTs`
+    : `${collectionDescription} #${tokenId}`;
+
+/**
+ * Create the embed description for a vaultDeposit event.
+ * @param {EmbedParamsWithDescriptions} args
+ * @return {EmbedDescription}
+ */
+const describeVaultDeposit = (args) => {
+  const { subjectDescription, marketplace, priceDescription, watcher, seller } =
+    args;
+  const subject =
+    watcher.address === seller
+      ? subjectDescription
+      : `[${makeAddressReadable(
+          seller
+        )}](https://etherscan.io/address/${seller})`;
+  return {
+    title: "NFTs sold into a vault",
+    description: `${subject} just sold ${describeVaultNFTs(
+      args
+    )} into a vault on ${marketplace} for ${priceDescription}.`,
+  };
+};
+
+/**
+ * Create the embed description for a vaultRedeem event.
+ * @param {EmbedParamsWithDescriptions} args
+ * @return {EmbedDescription}
+ */
+const describeVaultRedeem = (args) => {
+  const { subjectDescription, marketplace, priceDescription, watcher, buyer } =
+    args;
+  const subject =
+    watcher.address === buyer
+      ? subjectDescription
+      : `[${makeAddressReadable(
+          buyer
+        )}](https://etherscan.io/address/${buyer})`;
+  return {
+    title: "NFTs bought from a vault",
+    description: `${subject} just bought ${describeVaultNFTs(
+      args
+    )} from a vault on ${marketplace} for ${priceDescription}.`,
+  };
+};
+
+/**
+ * Create the embed description for a vaultSwap event.
+ * @param {EmbedParamsWithDescriptions} args
+ * @return {EmbedDescription}
+ */
+const describeVaultSwap = (args) => {
+  const { subjectDescription, marketplace, priceDescription, watcher, buyer } =
+    args;
+  const subject =
+    watcher.address === buyer
+      ? subjectDescription
+      : `[${makeAddressReadable(
+          buyer
+        )}](https://etherscan.io/address/${buyer})`;
+  return {
+    title: "NFTs swapped on a vault",
+    description: `${subject} just received ${describeVaultNFTs(
+      args
+    )} in a vault swap on ${marketplace}, paying ${priceDescription} in fees.`,
+  };
+};
+
+/**
+ * Create the embed description for a mint event.
+ * @param {EmbedParamsWithDescriptions} args
+ * @return {EmbedDescription}
+ */
+const describeMint = (args) => {
+  const { subjectDescription, price, priceDescription, watcher, buyer } = args;
+  const subject =
+    watcher.address === buyer
+      ? subjectDescription
+      : `[${makeAddressReadable(
+          buyer
+        )}](https://etherscan.io/address/${buyer})`;
+  return {
+    title: "New mint!",
+    description: `${subject} just minted ${describeVaultNFTs(args)}${
+      price === 0
+        ? " for free"
+        : price == null
+        ? ""
+        : ` for ${priceDescription}`
+    }.`,
+  };
+};
+
+/**
+ * Create the embed description for a transfer event.
+ * @param {EmbedParamsWithDescriptions} args
+ * @return {EmbedDescription}
+ */
+const describeTransfer = (args) => {
+  const { subjectDescription, watcher, buyer, seller } = args;
+  const describeAddress = (address) =>
+    watcher.address === address
+      ? subjectDescription
+      : `[${makeAddressReadable(
+          address
+        )}](https://etherscan.io/address/${address})`;
+  return {
+    title: "NFT transferred",
+    description: `${describeAddress(
+      seller
+    )} just transferred ${describeVaultNFTs(args)} to ${describeAddress(
+      buyer
+    )}.`,
+  };
+};
+
+/**
+ * Create the embed description for a burn event.
+ * @param {EmbedParamsWithDescriptions} args
+ * @return {EmbedDescription}
+ */
+const describeBurn = (args) => {
+  const { subjectDescription, watcher, seller } = args;
+  const subject =
+    watcher.address === seller
+      ? subjectDescription
+      : `[${makeAddressReadable(
+          seller
+        )}](https://etherscan.io/address/${seller})`;
+  return {
+    title: "NFT burnt",
+    description: `${subject} just burnt ${describeVaultNFTs(args)}.`,
+  };
+};
+
+/**
+ * Create the embed description for a sweep event.
+ * @param {EmbedParamsWithDescriptions} args
+ * @return {EmbedDescription}
+ */
+const describeSweep = (args) => {
+  const {
+    subjectDescription,
+    marketplace,
+    priceDescription,
+    collectionDescription,
+    amount,
+    price,
+    coin,
+    watcher,
+    buyer,
+    seller,
+    intermediary,
+  } = args;
+  let description;
+  const intermediaryString = intermediary
+    ? ` through ${describeIntermediary(intermediary)}`
+    : "";
+  const nftsDescription = `${amount} ${collectionDescription} NFTs for ${priceDescription} (${describePrice(
+    { price: Number((price / amount).toFixed(4)), coin }
+  )} each)`;
+  const buyerDescription =
+    buyer == null
+      ? "Several buyers"
+      : `[${makeAddressReadable(
+          buyer
+        )}](https://etherscan.io/address/${buyer})`;
+  if (buyer != null && watcher.address === buyer) {
+    description = `${subjectDescription} just swept ${nftsDescription} on ${marketplace}${intermediaryString}.`;
+  } else if (seller != null && watcher.address === seller) {
+    description = `${subjectDescription} just sold ${nftsDescription} to ${buyerDescription} on ${marketplace}${intermediaryString}.`;
+  } else {
+    description = `${buyerDescription} just swept ${nftsDescription} on ${marketplace}${intermediaryString}.`;
+  }
+
+  return {
+    title: "New sweep!",
+    description,
+  };
+};
+
 /**
  * Generate the alert's name that will be shown to users on the embed.
  * @param {EmbedParams} args
@@ -429,12 +654,8 @@ const describeCollection = ({
  * @return {EmbedDescription}
  */
 export default (args) => {
-  const { eventType } = args;
-  args.coin = ["offer", "acceptOffer", "settleAuction", "cancelOrder"].includes(
-    eventType
-  )
-    ? "WETH"
-    : "ETH";
+  const { eventType, currency } = args;
+  args.coin = currency || getDefaultCurrency(eventType);
   args.priceDescription = describePrice(args);
   args.subjectDescription = describeSubject(args);
   args.collectionDescription = describeCollection(args);
@@ -455,6 +676,20 @@ export default (args) => {
       return describeAuctionBid(args);
     case "listing":
       return describeListing(args);
+    case "vaultDeposit":
+      return describeVaultDeposit(args);
+    case "vaultRedeem":
+      return describeVaultRedeem(args);
+    case "vaultSwap":
+      return describeVaultSwap(args);
+    case "sweep":
+      return describeSweep(args);
+    case "mint":
+      return describeMint(args);
+    case "transfer":
+      return describeTransfer(args);
+    case "burn":
+      return describeBurn(args);
     default:
       return {};
   }
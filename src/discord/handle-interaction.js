@@ -17,9 +17,13 @@ import {
   // eslint-disable-next-line no-unused-vars
   CommandInteraction,
 } from "discord.js";
-import { bold } from "@discordjs/builders";
+import { bold, time } from "@discordjs/builders";
 import logMessage from "../log-message.js";
 import logEvent from "../log-event.js";
+import buildFloorEmbed from "./build-floor-embed.js";
+import buildPortfolioEmbed from "./build-portfolio-embed.js";
+import buildPnLEmbed from "./build-pnl-embed.js";
+import computePnL from "../compute-pnl.js";
 
 dotenv.config({ path: path.resolve(".env") });
 
@@ -48,16 +52,55 @@ if (isLooksRareOnly === true) {
   logMessage({ message: "Starting in LR-only mode" });
 }
 
-const nftEvents = allowedMarketplaceIds.some((id) =>
-  ["foundation"].includes(id)
-)
-  ? allNftEvents
-  : allNftEvents.filter(
-      ({ id }) => !["placeBid", "createAuction", "settleAuction"].includes(id)
-    );
+const hasAuctions = allowedMarketplaceIds.some((id) =>
+  ["foundation", "superrare"].includes(id)
+);
+const hasVaults = allowedMarketplaceIds.includes("nftx");
+// Sweeps follow the "acceptAsk" preference, so they are not listed
+const nftEvents = allNftEvents.filter(
+  ({ id }) =>
+    id !== "sweep" &&
+    (hasAuctions ||
+      !["placeBid", "createAuction", "settleAuction"].includes(id)) &&
+    (hasVaults || !["vaultDeposit", "vaultRedeem", "vaultSwap"].includes(id))
+);
 
 const DEFAULT_ALLOWED_EVENT_IDS = ["offer", "acceptOffer", "acceptAsk"];
 
+// The periods of the /floor command in milliseconds
+const FLOOR_PERIODS = {
+  "1d": 24 * 60 * 60 * 1000,
+  "7d": 7 * 24 * 60 * 60 * 1000,
+  "30d": 30 * 24 * 60 * 60 * 1000,
+};
+
+// The periods of the /pnl command in milliseconds
+const PNL_PERIODS = {
+  "7d": 7 * 24 * 60 * 60 * 1000,
+  "30d": 30 * 24 * 60 * 60 * 1000,
+  "90d": 90 * 24 * 60 * 60 * 1000,
+  "365d": 365 * 24 * 60 * 60 * 1000,
+  all: null,
+};
+
+// The durations of the /snooze command in hours. "off" ends the snooze
+const SNOOZE_DURATIONS = {
+  "1h": 1,
+  "8h": 8,
+  "24h": 24,
+  off: 0,
+};
+
+/* Check the timezone is a valid IANA timezone, i.e. "Europe/Madrid" */
+const isValidTimezone = (timezone) => {
+  try {
+    Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
 /* Check the address is a valid Ethereum address */
 const isValidAddress = (address) => {
   try {
@@ -71,6 +114,40 @@ const isValidAddress = (address) => {
 /* This function determines what kind of nicknames are acceptable */
 const isValidNickname = (nickname) => nickname != null && !/\s/.test(nickname);
 
+/**
+ * Parse the trait filters of an alert, i.e. "Background: Gold, Fur: Zombie".
+ * @param {String|null} traitsOption - The traits as "type: value", separated
+ * by commas.
+ * @return {String[]|null} The traits as "type:value". Null if any of them is
+ * invalid.
+ */
+const parseTraits = (traitsOption) => {
+  if (traitsOption == null) {
+    return [];
+  }
+
+  const traits = traitsOption
+    .split(",")
+    .filter((trait) => trait.trim().length > 0)
+    .map((trait) => {
+      const [traitType, ...value] = trait.split(":");
+      return [traitType.trim(), value.join(":").trim()];
+    });
+  return traits.some(
+    ([traitType, value]) => traitType.length === 0 || value.length === 0
+  )
+    ? null
+    : traits.map(([traitType, value]) => `${traitType}:${value}`);
+};
+
+const describeTraits = (traits) =>
+  traits == null || traits.length === 0
+    ? ""
+    : ` with traits ${traits.join(", ")}`;
+
+const invalidTraitsMessage = (traitsOption) =>
+  `Traits "${traitsOption}" are invalid. Please write them as "type: value" separated by commas, i.e. "Background: Gold, Fur: Zombie".`;
+
 /**
  * Handle the /collectionalert slash command. Only users with the Admin permission in a discord server can create alerts for that server. This function will check that the address and/or nickname are correct and that an alert with the same address/nickname for the server doesn't already exist.
  * @param  {Object} params
@@ -130,6 +207,15 @@ const handleCollectionAlert = async ({
     });
   }
 
+  const traitsOption = interaction.options.getString("traits");
+  const traits = parseTraits(traitsOption);
+  if (traits == null) {
+    return interaction.editReply({
+      content: invalidTraitsMessage(traitsOption),
+      ephemeral: true,
+    });
+  }
+
   // The token id for collection alert is set to an empty string.
   const tokens = [`${address.toLowerCase()}/`];
   const { result } = await dbClient.createAlert({
@@ -138,6 +224,7 @@ const handleCollectionAlert = async ({
     type: "collection",
     address,
     tokens,
+    traits,
     nickname,
   });
   const nicknameDescription = nickname
@@ -182,6 +269,137 @@ const handleCollectionAlert = async ({
   }
 };
 
+/**
+ * Handle the /tokenalert slash command. Token alerts watch some tokens of a collection: their address is the collection's and their tokens are the watched ones, so new tokens of a collection are added to the user's token alert for it.
+ * @param  {Object} params
+ * @param  {CommandInteraction} params.interaction - The user interaction.
+ * @param  {Object} params.dbClient - The initialized database client.
+ * @return {void}
+ */
+const handleTokenAlert = async ({ dbClient, discordClient, interaction }) => {
+  const {
+    guildId: serverId,
+    user: { id: discordId, username },
+  } = interaction;
+  await interaction.deferReply({
+    content: "Creating your alert...",
+    ephemeral: true,
+  });
+
+  let { object: user } = await dbClient.getUserByDiscordId({ discordId });
+  if (user == null) {
+    const { object: newUser } = await dbClient.createUser({
+      discordId,
+      type: "user",
+      tokens: [],
+    });
+    logEvent({ title: "new_user", tags: { serverId, discordId, username } });
+    user = newUser;
+  }
+
+  const address = interaction.options.getString("collection");
+  if (!isValidAddress(address)) {
+    return interaction.editReply({
+      content: `Address "${address}" is invalid. Please introduce a valid address.`,
+      ephemeral: true,
+    });
+  }
+
+  const tokenId = interaction.options.getString("tokenid");
+  if (!/^\d+$/.test(tokenId)) {
+    return interaction.editReply({
+      content: `Token id "${tokenId}" is invalid. Please introduce a valid token id.`,
+      ephemeral: true,
+    });
+  }
+
+  const nickname = interaction.options.getString("nickname");
+  if (nickname != null && !isValidNickname(nickname)) {
+    return interaction.editReply({
+      content: `Nickname "${nickname}" contains spaces. Please, remove the spaces and try again.`,
+      ephemeral: true,
+    });
+  }
+
+  const token = `${address.toLowerCase()}/${tokenId}`;
+  const { objects: currentAlerts } = await dbClient.getUserAlerts({
+    discordId,
+  });
+  const tokenAlert = currentAlerts.find(
+    (alert) => alert.type === "token" && alert.address === address.toLowerCase()
+  );
+  if (tokenAlert != null) {
+    const { result: addResult } = await dbClient.addTokenAlertToken({
+      alertId: tokenAlert.id,
+      token,
+    });
+    return interaction.editReply({
+      content:
+        addResult === "success"
+          ? `Token #${tokenId} added to your token alert for collection ${address}.`
+          : `There was an error processing your request. Please try again later.`,
+      ephemeral: true,
+    });
+  }
+
+  if (currentAlerts.length >= user.alertLimit) {
+    return interaction.editReply({
+      content:
+        "You have reached your alert limit. Please remove one of your existing alerts to add more alerts.",
+      ephemeral: true,
+    });
+  }
+
+  const { result } = await dbClient.createAlert({
+    userId: user.id,
+    discordId,
+    type: "token",
+    address,
+    tokens: [token],
+    nickname,
+  });
+  const nicknameDescription = nickname
+    ? ` with alert nickname "${nickname}"`
+    : "";
+  switch (result) {
+    case "success":
+      return discordClient.users.cache
+        .get(discordId)
+        .send(
+          `Notifications for token #${tokenId} of collection "${address}"${nicknameDescription} enabled. Please don't turn off your DMs on every server we share so we can keep messaging you.`
+        )
+        .then(() => {
+          return interaction.editReply({
+            content: `Token alert successfully created for token #${tokenId} of collection ${address}${nicknameDescription}.`,
+            ephemeral: true,
+          });
+        })
+        .catch(() => {
+          return interaction.editReply({
+            content: `Token alert successfully created for token #${tokenId} of collection ${address}${nicknameDescription}.\nYou have your DMs turned off. Please enable DMs on at least one server we share so we can notify you of the token's activity.`,
+            ephemeral: true,
+          });
+        });
+    case "nickname-too-long":
+      return interaction.editReply({
+        content: `The nickname is too long. Please give the alert a nickname less than ${MAX_NICKNAME_LENGTH} characters long.`,
+        ephemeral: true,
+      });
+    case "error":
+    case "missing-user":
+      return interaction.editReply({
+        content: `There was an error processing your request. Please try again later.`,
+        ephemeral: true,
+      });
+    case "already-exists":
+    default:
+      return interaction.editReply({
+        content: `You already have an alert for collection ${address}. Please delete it first to watch one of its tokens.`,
+        ephemeral: true,
+      });
+  }
+};
+
 /**
  * Handle the /serveralert slash command. Only users with the Admin permission in a discord server can create alerts for that server. This function will check that the address and/or nickname are correct and that an alert with the same address/nickname for the server doesn't already exist.
  * @param  {Object} params
@@ -249,6 +467,15 @@ const handleServerAlert = async ({ dbClient, discordClient, interaction }) => {
     });
   }
 
+  const traitsOption = interaction.options.getString("traits");
+  const traits = parseTraits(traitsOption);
+  if (traits == null) {
+    return interaction.editReply({
+      content: invalidTraitsMessage(traitsOption),
+      ephemeral: true,
+    });
+  }
+
   // The token for collection alert is set to an empty string.
   const tokens = [`${address.toLowerCase()}/`];
   const { result } = await dbClient.createAlert({
@@ -258,6 +485,7 @@ const handleServerAlert = async ({ dbClient, discordClient, interaction }) => {
     type: "server",
     address,
     tokens,
+    traits,
     nickname,
   });
   const nicknameDescription = nickname
@@ -341,19 +569,27 @@ const handleListAlerts = async ({ dbClient, interaction }) => {
 
   const personalAlertList = userAlerts
     .slice(0, 20)
-    .reduce((message, { nickname, address, type }) => {
+    .reduce((message, { nickname, address, type, tokens, traits }) => {
       const typeDescription = isLooksRareOnly
         ? ""
         : type === "wallet"
         ? ` (wallet alert)`
+        : type === "token"
+        ? ` (token alert for ${tokens
+            .map((token) => `#${token.split("/")[1]}`)
+            .join(", ")})`
         : ` (collection alert)`;
       const fixedNickname = nickname == null ? "(no nickname)" : bold(nickname);
-      return `${message}\n${fixedNickname}: ${address}${typeDescription}`;
+      return `${message}\n${fixedNickname}: ${address}${typeDescription}${describeTraits(
+        traits
+      )}`;
     }, "");
   const collectionAlertList = guildAlerts.reduce(
-    (message, { nickname, address }) => {
+    (message, { nickname, address, traits }) => {
       const fixedNickname = nickname == null ? "(no nickname)" : bold(nickname);
-      return `${message}\n${fixedNickname}: ${address}`;
+      return `${message}\n${fixedNickname}: ${address}${describeTraits(
+        traits
+      )}`;
     },
     ""
   );
@@ -646,9 +882,52 @@ const describeSettings = ({
   maxOfferFloorDifference,
   allowedMarketplaces,
   allowedEvents,
+  minUSDPrice,
+  minPrice,
+  maxPrice,
+  minListingFloorDifference,
+  snoozedUntil,
+  quietHoursStart,
+  quietHoursEnd,
+  timezone,
+  catchUpSummary,
   address,
   nickname,
 }) => {
+  const minUSDPriceString =
+    minUSDPrice > 0
+      ? `\n\n**Min. event value**: $${Number(minUSDPrice).toLocaleString(
+          "en-US"
+        )}.`
+      : "";
+  const priceRangeString =
+    minPrice > 0 && maxPrice > 0
+      ? `\n\n**Price range**: between ${minPrice} and ${maxPrice} ETH.`
+      : minPrice > 0
+      ? `\n\n**Price range**: above ${minPrice} ETH.`
+      : maxPrice > 0
+      ? `\n\n**Price range**: below ${maxPrice} ETH.`
+      : "";
+  const minListingFloorDifferenceString =
+    minListingFloorDifference > 0
+      ? `\n\n**Min. difference below collection floor for listings**: ${minListingFloorDifference}%.`
+      : "";
+  const snoozeString =
+    snoozedUntil != null && new Date(snoozedUntil) > new Date()
+      ? `\n\n**Snoozed until**: ${new Date(snoozedUntil).toUTCString()}.`
+      : "";
+  const quietHoursString =
+    quietHoursStart != null &&
+    quietHoursEnd != null &&
+    quietHoursStart !== quietHoursEnd
+      ? `\n\n**Quiet hours**: from ${quietHoursStart}:00 to ${quietHoursEnd}:00 (${timezone}).`
+      : "";
+  const catchUpString =
+    snoozeString.length > 0 || quietHoursString.length > 0
+      ? ` Events during them are ${
+          catchUpSummary ? "summarized when they end" : "dropped"
+        }.`
+      : "";
   const allowedMarketplacesString =
     marketplaces.length > 1
       ? `\n\n**Allowed marketplaces**: ${marketplaces
@@ -661,7 +940,9 @@ const describeSettings = ({
     .map(({ name, lrName }) =>
       isLooksRareOnly && lrName != null ? lrName : name
     )
-    .join(", ")}`;
+    .join(
+      ", "
+    )}${minUSDPriceString}${priceRangeString}${minListingFloorDifferenceString}${snoozeString}${quietHoursString}${catchUpString}`;
   if (nickname != null) {
     return `Settings for alert "**${nickname}**" ${
       address ? `(${address})` : ""
@@ -902,18 +1183,71 @@ const handleUpdatePreferencesResponse = async ({
 };
 
 /**
- * Handle the /setmaxofferfloordifference slash command. Depending on the "alert" interaction option, the modified settings will be those of a user/server or an alert. The percentage is passed as an interaction option and does not need validation because Discord already checks it is a Number.
+ * Save the settings of a user/server or an alert with one of the database client's setters, and reply to the interaction with the result. Server administrators edit the server's settings when they have none of their own for the alert.
  * @param  {Object} params
  * @param  {Object} params.dbClient - The initialized database client.
- * @param  {CommandInteraction} params.interaction - The user interaction.
+ * @param  {CommandInteraction} params.interaction - The user interaction, already deferred.
+ * @param  {String} params.alert - The address or nickname of the alert to edit. Leave empty to edit the settings of the user/server.
+ * @param  {String} params.setter - The name of the database client's setter, i.e. "setMinUSDPrice".
+ * @param  {Object} params.settings - The new settings passed to the setter.
+ * @param  {String} params.action - The title of the logged event.
  * @return {void}
  */
-const handleSetMaxOfferFloorDifference = async ({ dbClient, interaction }) => {
+const saveSettings = async ({
+  dbClient,
+  interaction,
+  alert,
+  setter,
+  settings,
+  action,
+}) => {
   const {
     guildId,
     user: { id: discordId },
     memberPermissions,
   } = interaction;
+  const address = isValidAddress(alert) ? alert : null;
+  const nickname = isValidNickname(alert) ? alert : null;
+  const { result, object } = await dbClient[setter]({
+    discordId,
+    ...settings,
+    address,
+    nickname,
+  }).then(({ result, object }) => {
+    if (
+      (result === "missing-user" || result === "missing-alert") &&
+      memberPermissions.has("ADMINISTRATOR")
+    ) {
+      return dbClient[setter]({
+        discordId: guildId,
+        ...settings,
+        address,
+        nickname,
+      });
+    }
+
+    return { result, object };
+  });
+  return handleUpdatePreferencesResponse({
+    interaction,
+    result,
+    action,
+    object: {
+      ...object,
+      address,
+      nickname,
+    },
+  });
+};
+
+/**
+ * Handle the /setmaxofferfloordifference slash command. Depending on the "alert" interaction option, the modified settings will be those of a user/server or an alert. The percentage is passed as an interaction option and does not need validation because Discord already checks it is a Number.
+ * @param  {Object} params
+ * @param  {Object} params.dbClient - The initialized database client.
+ * @param  {CommandInteraction} params.interaction - The user interaction.
+ * @return {void}
+ */
+const handleSetMaxOfferFloorDifference = async ({ dbClient, interaction }) => {
   const maxOfferFloorDifference = interaction.options.getNumber("percentage");
   if (maxOfferFloorDifference < 0 || maxOfferFloorDifference > 100) {
     return interaction.editReply({
@@ -927,82 +1261,242 @@ const handleSetMaxOfferFloorDifference = async ({ dbClient, interaction }) => {
     content: "Fetching your preferences...",
     ephemeral: true,
   });
-  const address = isValidAddress(alert) ? alert : null;
-  const nickname = isValidNickname(alert) ? alert : null;
-
-  const { result, object } = await dbClient
-    .setMaxFloorDifference({
-      discordId,
-      maxOfferFloorDifference,
-      address,
-      nickname,
-    })
-    .then(({ result, object }) => {
-      if (
-        (result === "missing-user" || result === "missing-alert") &&
-        memberPermissions.has("ADMINISTRATOR")
-      ) {
-        return dbClient.setMaxFloorDifference({
-          discordId: guildId,
-          maxOfferFloorDifference,
-          address,
-          nickname,
-        });
-      }
-
-      return { result, object };
-    });
-  return handleUpdatePreferencesResponse({
+  return saveSettings({
+    dbClient,
     interaction,
-    result,
+    alert,
+    setter: "setMaxFloorDifference",
+    settings: { maxOfferFloorDifference },
     action: "set_max_offer_floor_difference",
-    object: {
-      ...object,
-      address,
-      nickname,
-    },
   });
 };
 
 /**
- * Handle the /setnickname slash command. If the provided interaction options are correct, and an alert with the provided address exists, then the nickname for that address changes.
+ * Handle the /setlistingfloordifference slash command. Depending on the "alert" interaction option, the modified settings will be those of a user/server or an alert. Only the listings at least the "percentage" interaction option below the collection's floor will be notified, and 0 notifies all listings.
  * @param  {Object} params
  * @param  {Object} params.dbClient - The initialized database client.
  * @param  {CommandInteraction} params.interaction - The user interaction.
  * @return {void}
  */
-const handleSetNickname = async ({ dbClient, interaction }) => {
-  const {
-    guildId,
-    user: { id: discordId, username },
-    memberPermissions,
-  } = interaction;
-  const nickname = interaction.options.getString("nickname");
-  const address = interaction.options.getString("address");
+const handleSetListingFloorDifference = async ({ dbClient, interaction }) => {
+  const minListingFloorDifference = interaction.options.getNumber("percentage");
+  if (minListingFloorDifference < 0 || minListingFloorDifference > 100) {
+    return interaction.reply({
+      content: "Please specify a positive percentage between 0 and 100.",
+      ephemeral: true,
+    });
+  }
+
+  const alert = interaction.options.getString("alert");
   await interaction.deferReply({
     content: "Fetching your preferences...",
     ephemeral: true,
   });
-  if (!isValidAddress(address)) {
-    return interaction.editReply({
-      content: `Address "${address}" is invalid. Please introduce a valid address.`,
-      ephemeral: true,
-    });
-  }
+  return saveSettings({
+    dbClient,
+    interaction,
+    alert,
+    setter: "setListingFloorDifference",
+    settings: { minListingFloorDifference },
+    action: "set_listing_floor_difference",
+  });
+};
 
-  if (!isValidNickname(nickname)) {
-    return interaction.editReply({
-      content: `Nickname "${nickname}" contains spaces. Please, remove the spaces and try again.`,
+/**
+ * Handle the /setminusdprice slash command. Depending on the "alert" interaction option, the modified settings will be those of a user/server or an alert. Events worth less than the "usd" interaction option will not be notified, and 0 removes the minimum.
+ * @param  {Object} params
+ * @param  {Object} params.dbClient - The initialized database client.
+ * @param  {CommandInteraction} params.interaction - The user interaction.
+ * @return {void}
+ */
+const handleSetMinUSDPrice = async ({ dbClient, interaction }) => {
+  const minUSDPrice = interaction.options.getNumber("usd");
+  if (minUSDPrice < 0) {
+    return interaction.reply({
+      content: "Please specify a positive amount of dollars.",
       ephemeral: true,
     });
   }
 
-  const { result, object } = await dbClient
-    .setAlertNickname({
-      discordId,
-      address,
-      nickname,
-    })
+  const alert = interaction.options.getString("alert");
+  await interaction.deferReply({
+    content: "Fetching your preferences...",
+    ephemeral: true,
+  });
+  return saveSettings({
+    dbClient,
+    interaction,
+    alert,
+    setter: "setMinUSDPrice",
+    settings: { minUSDPrice },
+    action: "set_min_usd_price",
+  });
+};
+
+/**
+ * Handle the /setpricerange slash command. Depending on the "alert" interaction option, the modified settings will be those of a user/server or an alert. Events priced in ETH below the "min" or above the "max" interaction options will not be notified, and leaving either empty removes that end of the range.
+ * @param  {Object} params
+ * @param  {Object} params.dbClient - The initialized database client.
+ * @param  {CommandInteraction} params.interaction - The user interaction.
+ * @return {void}
+ */
+const handleSetPriceRange = async ({ dbClient, interaction }) => {
+  const minPrice = interaction.options.getNumber("min") || 0;
+  const maxPrice = interaction.options.getNumber("max") || 0;
+  if (minPrice < 0 || maxPrice < 0) {
+    return interaction.reply({
+      content: "Please specify a positive amount of ETH.",
+      ephemeral: true,
+    });
+  }
+
+  if (maxPrice > 0 && minPrice > maxPrice) {
+    return interaction.reply({
+      content: "The min. price can't be higher than the max. price.",
+      ephemeral: true,
+    });
+  }
+
+  const alert = interaction.options.getString("alert");
+  await interaction.deferReply({
+    content: "Fetching your preferences...",
+    ephemeral: true,
+  });
+  return saveSettings({
+    dbClient,
+    interaction,
+    alert,
+    setter: "setPriceRange",
+    settings: { minPrice, maxPrice },
+    action: "set_price_range",
+  });
+};
+
+/**
+ * Handle the /snooze slash command. Depending on the "alert" interaction option, the snoozed settings will be those of a user/server or an alert. No notifications are sent for the "duration" interaction option, and "off" ends the snooze.
+ * @param  {Object} params
+ * @param  {Object} params.dbClient - The initialized database client.
+ * @param  {CommandInteraction} params.interaction - The user interaction.
+ * @return {void}
+ */
+const handleSnooze = async ({ dbClient, interaction }) => {
+  const duration = interaction.options.getString("duration");
+  if (SNOOZE_DURATIONS[duration] == null) {
+    return interaction.reply({
+      content: "Please pick a duration: 1h, 8h, 24h or off.",
+      ephemeral: true,
+    });
+  }
+
+  const alert = interaction.options.getString("alert");
+  await interaction.deferReply({
+    content: "Fetching your preferences...",
+    ephemeral: true,
+  });
+  const snoozedUntil = new Date(
+    Date.now() + SNOOZE_DURATIONS[duration] * 60 * 60 * 1000
+  );
+
+  return saveSettings({
+    dbClient,
+    interaction,
+    alert,
+    setter: "setSnooze",
+    settings: { snoozedUntil },
+    action: "set_snooze",
+  });
+};
+
+/**
+ * Handle the /setquiethours slash command. Depending on the "alert" interaction option, the modified settings will be those of a user/server or an alert. No notifications are sent every day from the "start" to the "end" hours in the "timezone" interaction option, and the "catchup" interaction option decides whether the events are summarized afterwards or dropped. Leaving both hours empty removes the quiet hours.
+ * @param  {Object} params
+ * @param  {Object} params.dbClient - The initialized database client.
+ * @param  {CommandInteraction} params.interaction - The user interaction.
+ * @return {void}
+ */
+const handleSetQuietHours = async ({ dbClient, interaction }) => {
+  const start = interaction.options.getInteger("start");
+  const end = interaction.options.getInteger("end");
+  const timezone = interaction.options.getString("timezone");
+  const catchUp = interaction.options.getString("catchup");
+  if ((start == null) !== (end == null)) {
+    return interaction.reply({
+      content:
+        "Please specify both the start and end hours, or neither to remove the quiet hours.",
+      ephemeral: true,
+    });
+  }
+
+  if (timezone != null && !isValidTimezone(timezone)) {
+    return interaction.reply({
+      content:
+        "Please specify a valid timezone, i.e. 'Europe/Madrid' or 'America/New_York'.",
+      ephemeral: true,
+    });
+  }
+
+  const alert = interaction.options.getString("alert");
+  await interaction.deferReply({
+    content: "Fetching your preferences...",
+    ephemeral: true,
+  });
+  const quietHours = {
+    // The same start and end hours remove the quiet hours
+    quietHoursStart: start == null ? 0 : start,
+    quietHoursEnd: end == null ? 0 : end,
+    timezone,
+    catchUpSummary: catchUp == null ? null : catchUp === "summary",
+  };
+
+  return saveSettings({
+    dbClient,
+    interaction,
+    alert,
+    setter: "setQuietHours",
+    settings: quietHours,
+    action: "set_quiet_hours",
+  });
+};
+
+/**
+ * Handle the /setnickname slash command. If the provided interaction options are correct, and an alert with the provided address exists, then the nickname for that address changes.
+ * @param  {Object} params
+ * @param  {Object} params.dbClient - The initialized database client.
+ * @param  {CommandInteraction} params.interaction - The user interaction.
+ * @return {void}
+ */
+const handleSetNickname = async ({ dbClient, interaction }) => {
+  const {
+    guildId,
+    user: { id: discordId, username },
+    memberPermissions,
+  } = interaction;
+  const nickname = interaction.options.getString("nickname");
+  const address = interaction.options.getString("address");
+  await interaction.deferReply({
+    content: "Fetching your preferences...",
+    ephemeral: true,
+  });
+  if (!isValidAddress(address)) {
+    return interaction.editReply({
+      content: `Address "${address}" is invalid. Please introduce a valid address.`,
+      ephemeral: true,
+    });
+  }
+
+  if (!isValidNickname(nickname)) {
+    return interaction.editReply({
+      content: `Nickname "${nickname}" contains spaces. Please, remove the spaces and try again.`,
+      ephemeral: true,
+    });
+  }
+
+  const { result, object } = await dbClient
+    .setAlertNickname({
+      discordId,
+      address,
+      nickname,
+    })
     .then(({ result, object }) => {
       if (
         result === "missing-alert" &&
@@ -1045,6 +1539,283 @@ const handleSetNickname = async ({ dbClient, interaction }) => {
   });
 };
 
+/**
+ * Get the address of the collection passed to a command, which can be an address or the nickname of one of the user's or server's collection alerts.
+ * @param  {Object} params
+ * @param  {Object} params.dbClient - The initialized database client.
+ * @param  {CommandInteraction} params.interaction - The user interaction.
+ * @param  {String} params.collectionOption - The collection option of the command.
+ * @return {String|null} The collection's address. Null if it's not an address and no collection alert has that nickname.
+ */
+const findCollection = async ({ dbClient, interaction, collectionOption }) => {
+  if (isValidAddress(collectionOption)) {
+    return collectionOption.toLowerCase();
+  }
+
+  const {
+    guildId,
+    user: { id: discordId },
+  } = interaction;
+  const [{ objects: userAlerts }, { objects: guildAlerts }] = await Promise.all(
+    [
+      dbClient.getAlertsByNickname({ discordId, nickname: collectionOption }),
+      dbClient.getAlertsByNickname({
+        discordId: guildId,
+        nickname: collectionOption,
+      }),
+    ]
+  );
+  const alert = [...userAlerts, ...guildAlerts].find(
+    ({ type }) => type !== "wallet"
+  );
+  return alert == null ? null : alert.address;
+};
+
+/**
+ * Handle the /floor slash command. Replies with the current floor of a collection, how much it changed over a period and a sparkline of the floor. The collection can be an address or the nickname of one of the user's or server's collection alerts.
+ * @param  {Object} params
+ * @param  {Object} params.dbClient - The initialized database client.
+ * @param  {CommandInteraction} params.interaction - The user interaction.
+ * @return {void}
+ */
+const handleFloor = async ({ dbClient, interaction }) => {
+  const collectionOption = interaction.options.getString("collection");
+  const period = interaction.options.getString("period") || "7d";
+  if (!isValidAddress(collectionOption) && !isValidNickname(collectionOption)) {
+    return interaction.reply({
+      content: "Please specify a collection address or an alert nickname.",
+      ephemeral: true,
+    });
+  }
+
+  await interaction.deferReply({
+    content: "Fetching the floor history...",
+    ephemeral: true,
+  });
+  const collection = await findCollection({
+    dbClient,
+    interaction,
+    collectionOption,
+  });
+  if (collection == null) {
+    return interaction.editReply({
+      content: `You have no collection alert with the nickname "${collectionOption}".`,
+      ephemeral: true,
+    });
+  }
+
+  const since = new Date(new Date().getTime() - FLOOR_PERIODS[period]);
+  const { result, objects: floors } = await dbClient.getFloorHistory({
+    collection,
+    since,
+  });
+  if (result !== "success") {
+    return interaction.editReply({
+      content:
+        "There was an error fetching the floor history. Please try again later.",
+      ephemeral: true,
+    });
+  }
+
+  const { embeds, files } = await buildFloorEmbed({
+    collection,
+    period,
+    since,
+    floors,
+  });
+  return interaction.editReply({
+    embeds,
+    files,
+    ephemeral: true,
+  });
+};
+
+/**
+ * Handle the /offers slash command. Lists the highest valid offers of the offer book for a collection or a token, including the collection offers that can be accepted for the token.
+ * @param  {Object} params
+ * @param  {Object} params.dbClient - The initialized database client.
+ * @param  {CommandInteraction} params.interaction - The user interaction.
+ * @return {void}
+ */
+const handleOffers = async ({ dbClient, interaction }) => {
+  const collectionOption = interaction.options.getString("collection");
+  const tokenId = interaction.options.getString("tokenid");
+  const count = interaction.options.getInteger("count") || 5;
+  if (!isValidAddress(collectionOption) && !isValidNickname(collectionOption)) {
+    return interaction.reply({
+      content: "Please specify a collection address or an alert nickname.",
+      ephemeral: true,
+    });
+  }
+
+  await interaction.deferReply({
+    content: "Fetching the offers...",
+    ephemeral: true,
+  });
+  const collection = await findCollection({
+    dbClient,
+    interaction,
+    collectionOption,
+  });
+  if (collection == null) {
+    return interaction.editReply({
+      content: `You have no collection alert with the nickname "${collectionOption}".`,
+      ephemeral: true,
+    });
+  }
+
+  const { result, objects: offers } = await dbClient.getOffers({
+    collection,
+    tokenId: tokenId || "",
+    limit: count,
+  });
+  if (result !== "success") {
+    return interaction.editReply({
+      content:
+        "There was an error fetching the offers. Please try again later.",
+      ephemeral: true,
+    });
+  }
+
+  const target = tokenId ? `token #${tokenId} of ${collection}` : collection;
+  if (offers.length === 0) {
+    return interaction.editReply({
+      content: `There are no known offers for ${target}.`,
+      ephemeral: true,
+    });
+  }
+
+  const offerList = offers.reduce(
+    (message, { price, marketplace, tokenId: offerTokenId, endsAt }, index) => {
+      const { name: marketplaceName = marketplace } =
+        allMarketplaces.find(({ id }) => id === marketplace) || {};
+      const scope = offerTokenId === "" ? " (collection offer)" : "";
+      return `${message}\n${index + 1}. ${bold(
+        `${Number(price.toFixed(4))} ETH`
+      )} on ${marketplaceName}${scope}, expires ${time(endsAt, "R")}`;
+    },
+    ""
+  );
+  return interaction.editReply({
+    content: `These are the highest offers for ${target}:${offerList}`,
+    ephemeral: true,
+  });
+};
+
+/**
+ * Find one of the user's wallet alerts from the address or nickname they
+ * passed to a command.
+ * @param  {Object} params
+ * @param  {Object} params.dbClient - The initialized database client.
+ * @param  {CommandInteraction} params.interaction - The user interaction.
+ * @param  {String} params.walletOption - The address or nickname.
+ * @return {Alert|undefined} The wallet alert, if any.
+ */
+const findWalletAlert = async ({ dbClient, interaction, walletOption }) => {
+  const {
+    user: { id: discordId },
+  } = interaction;
+  const { objects: alerts } = await dbClient.getUserAlerts({ discordId });
+  return alerts.find(
+    ({ type, address, nickname }) =>
+      type === "wallet" &&
+      (address === walletOption.toLowerCase() || nickname === walletOption)
+  );
+};
+
+/**
+ * Handle the /portfolio slash command. Values the tokens held by one of the user's wallet alerts with the stored collection floors and highest offers.
+ * @param  {Object} params
+ * @param  {Object} params.dbClient - The initialized database client.
+ * @param  {CommandInteraction} params.interaction - The user interaction.
+ * @return {void}
+ */
+const handlePortfolio = async ({ dbClient, interaction }) => {
+  const walletOption = interaction.options.getString("wallet");
+  await interaction.deferReply({
+    content: "Valuing your wallet...",
+    ephemeral: true,
+  });
+  const alert = await findWalletAlert({ dbClient, interaction, walletOption });
+  if (alert == null) {
+    return interaction.editReply({
+      content: `You have no wallet alert for "${walletOption}".`,
+      ephemeral: true,
+    });
+  }
+
+  const { result, objects: tokenValues } = await dbClient.getTokenValues({
+    tokens: alert.tokens || [],
+  });
+  if (result !== "success") {
+    return interaction.editReply({
+      content:
+        "There was an error valuing your wallet. Please try again later.",
+      ephemeral: true,
+    });
+  }
+
+  const { embeds } = await buildPortfolioEmbed({ alert, tokenValues });
+  return interaction.editReply({
+    embeds,
+    ephemeral: true,
+  });
+};
+
+/**
+ * Handle the /pnl slash command. Computes the realized profit and loss of one of the user's wallet alerts over a period from the trades stored in the database.
+ * @param  {Object} params
+ * @param  {Object} params.dbClient - The initialized database client.
+ * @param  {CommandInteraction} params.interaction - The user interaction.
+ * @return {void}
+ */
+const handlePnL = async ({ dbClient, interaction }) => {
+  const walletOption = interaction.options.getString("wallet");
+  const period = interaction.options.getString("period") || "30d";
+  await interaction.deferReply({
+    content: "Computing your profit and loss...",
+    ephemeral: true,
+  });
+  const alert = await findWalletAlert({ dbClient, interaction, walletOption });
+  if (alert == null) {
+    return interaction.editReply({
+      content: `You have no wallet alert for "${walletOption}".`,
+      ephemeral: true,
+    });
+  }
+
+  const until = new Date();
+  const { result, objects: trades } = await dbClient.getWalletTrades({
+    address: alert.address,
+    until,
+  });
+  if (result !== "success") {
+    return interaction.editReply({
+      content:
+        "There was an error computing your profit and loss. Please try again later.",
+      ephemeral: true,
+    });
+  }
+
+  const since =
+    PNL_PERIODS[period] == null
+      ? new Date(0)
+      : new Date(until.getTime() - PNL_PERIODS[period]);
+  const pnl = computePnL({ address: alert.address, trades, since, until });
+  const { embeds } = buildPnLEmbed({
+    alert,
+    pnl,
+    period:
+      PNL_PERIODS[period] == null
+        ? "the time the wallet was tracked"
+        : `the last ${period}`,
+  });
+  return interaction.editReply({
+    embeds,
+    ephemeral: true,
+  });
+};
+
 const handleHelp = ({ discordClient, interaction }) => {
   let content;
   if (isLooksRareOnly === true) {
@@ -1058,8 +1829,17 @@ Type in /walletalert [address] [nickname]\n
 /walletalert [0x4E52c6BaFF43A0f22d28EfC9911a65f5140E3453] [LooksRare Main]\n
 **If you want to get fancy, other commands include**:\n
     /setnickname [address] [nickname]: Set or reset a nickname for an already subscribed address.\n
+    /floor [collection] [period]: Show a collection's floor and how it changed over the last day, week or month.\n
+    /offers [collection] [tokenid] [count]: List the highest offers for a collection or a token.\n
+    /portfolio [wallet]: Show what the tokens of one of your wallet alerts are worth.\n
+    /pnl [wallet] [period]: Show the realized profit and loss of one of your wallet alerts, including gas and fees.\n
     /setallowedevents: Customize what type of event notifications to receive.\n
     /setmaxofferfloordifference percentage [XX%]: Set the maximum deviation from a collection’s floor price that an offer has to be to notify you with a ping. The default value is ${MAX_OFFER_FLOOR_DIFFERENCE}%.\n
+    /setlistingfloordifference percentage [XX%]: Only notify you of listings at least that far below the collection's floor, to snipe them. Set it to 0 to be notified of all listings.\n
+    /setminusdprice usd [XX]: Only notify you of events worth at least that many dollars. Set it to 0 to be notified of all events.\n
+    /setpricerange [min] [max]: Only notify you of events priced in that range of ETH, i.e. sales above 5 ETH. Leave both empty to be notified of all events.\n
+    /snooze [duration]: Pause your notifications for 1, 8 or 24 hours. The events are summarized when it ends.\n
+    /setquiethours [start] [end] [timezone] [catchup]: Pause your notifications every day between those hours, and get a summary or drop the events afterwards. Leave both hours empty to remove them.\n
     /listalerts: Lists all existing alert subscriptions that you currently have.\n
     /settings: View your current settings.\n
     /deletealert [address or nickname]: Removes the subscription for a specified address or nickname.\n
@@ -1076,8 +1856,18 @@ Type in /walletalert [address] [nickname]\n
 /walletalert [0x4E52c6BaFF43A0f22d28EfC9911a65f5140E3453] [LooksRare Main]\n
 **If you want to get fancy, other commands include**:\n
     /setnickname [address] [nickname]: Set or reset a nickname for an already subscribed address.\n
+    /tokenalert [collection] [tokenid] [nickname]: Get notified of the offers, listings, sales and cancellations of a single token.\n
+    /floor [collection] [period]: Show a collection's floor and how it changed over the last day, week or month.\n
+    /offers [collection] [tokenid] [count]: List the highest offers for a collection or a token.\n
+    /portfolio [wallet]: Show what the tokens of one of your wallet alerts are worth.\n
+    /pnl [wallet] [period]: Show the realized profit and loss of one of your wallet alerts, including gas and fees.\n
     /setallowedevents: Customize what type of event notifications to receive.\n
     /setmaxofferfloordifference percentage [XX%]: Set the maximum deviation from a collection’s floor price that an offer has to be to notify you with a ping. The default value is ${MAX_OFFER_FLOOR_DIFFERENCE}%.\n
+    /setlistingfloordifference percentage [XX%]: Only notify you of listings at least that far below the collection's floor, to snipe them. Set it to 0 to be notified of all listings.\n
+    /setminusdprice usd [XX]: Only notify you of events worth at least that many dollars. Set it to 0 to be notified of all events.\n
+    /setpricerange [min] [max]: Only notify you of events priced in that range of ETH, i.e. sales above 5 ETH. Leave both empty to be notified of all events.\n
+    /snooze [duration]: Pause your notifications for 1, 8 or 24 hours. The events are summarized when it ends.\n
+    /setquiethours [start] [end] [timezone] [catchup]: Pause your notifications every day between those hours, and get a summary or drop the events afterwards. Leave both hours empty to remove them.\n
     /listalerts: Lists all existing alert subscriptions that you currently have\n
     /settings: View your current settings.\n
     /deletealert [address or nickname]: Removes the subscription for a specified address or nickname.\n
@@ -1106,6 +1896,8 @@ const handleCommand = async (args) => {
       return handleWalletAlert(args);
     case "collectionalert":
       return handleCollectionAlert(args);
+    case "tokenalert":
+      return handleTokenAlert(args);
     case "serveralert":
       return handleServerAlert(args);
     case "deletealert":
@@ -1118,8 +1910,26 @@ const handleCommand = async (args) => {
       return handleSetAllowedEvents(args);
     case "setmaxofferfloordifference":
       return handleSetMaxOfferFloorDifference(args);
+    case "setlistingfloordifference":
+      return handleSetListingFloorDifference(args);
+    case "setminusdprice":
+      return handleSetMinUSDPrice(args);
+    case "setpricerange":
+      return handleSetPriceRange(args);
+    case "snooze":
+      return handleSnooze(args);
+    case "setquiethours":
+      return handleSetQuietHours(args);
     case "setnickname":
       return handleSetNickname(args);
+    case "floor":
+      return handleFloor(args);
+    case "offers":
+      return handleOffers(args);
+    case "portfolio":
+      return handlePortfolio(args);
+    case "pnl":
+      return handlePnL(args);
     case "help":
     default:
       return handleHelp(args);
@@ -1139,49 +1949,18 @@ const handleAllowedMarketplacesPick = async ({
   interaction,
   alert,
 }) => {
-  const {
-    guildId,
-    user: { id: discordId },
-    values: allowedMarketplaces,
-    memberPermissions,
-  } = interaction;
+  const { values: allowedMarketplaces } = interaction;
   await interaction.deferReply({
     content: "Updating your preferences...",
     ephemeral: true,
   });
-  const address = isValidAddress(alert) ? alert : null;
-  const nickname = isValidNickname(alert) ? alert : null;
-  const { result, object } = await dbClient
-    .setAllowedMarketplaces({
-      discordId,
-      allowedMarketplaces,
-      address,
-      nickname,
-    })
-    .then(({ result, object }) => {
-      if (
-        (result === "missing-user" || result === "missing-alert") &&
-        memberPermissions.has("ADMINISTRATOR")
-      ) {
-        return dbClient.setAllowedMarketplaces({
-          discordId: guildId,
-          allowedMarketplaces,
-          address,
-          nickname,
-        });
-      }
-
-      return { result, object };
-    });
-  return handleUpdatePreferencesResponse({
+  return saveSettings({
+    dbClient,
     interaction,
-    result,
+    alert,
+    setter: "setAllowedMarketplaces",
+    settings: { allowedMarketplaces },
     action: "set_allowed_marketplaces",
-    object: {
-      ...object,
-      address,
-      nickname,
-    },
   });
 };
 
@@ -1194,49 +1973,18 @@ const handleAllowedMarketplacesPick = async ({
  * @return {void}
  */
 const handleAllowedEventsPick = async ({ dbClient, interaction, alert }) => {
-  const {
-    guildId,
-    user: { id: discordId },
-    values: allowedEvents,
-    memberPermissions,
-  } = interaction;
+  const { values: allowedEvents } = interaction;
   await interaction.deferReply({
     content: "Updating your preferences...",
     ephemeral: true,
   });
-  const address = isValidAddress(alert) ? alert : null;
-  const nickname = isValidNickname(alert) ? alert : null;
-  const { result, object } = await dbClient
-    .setAllowedEvents({
-      discordId,
-      allowedEvents,
-      address,
-      nickname,
-    })
-    .then(({ result, object }) => {
-      if (
-        (result === "missing-user" || result === "missing-alert") &&
-        memberPermissions.has("ADMINISTRATOR")
-      ) {
-        return dbClient.setAllowedEvents({
-          discordId: guildId,
-          allowedEvents,
-          address,
-          nickname,
-        });
-      }
-
-      return { result, object };
-    });
-  return handleUpdatePreferencesResponse({
+  return saveSettings({
+    dbClient,
     interaction,
-    result,
+    alert,
+    setter: "setAllowedEvents",
+    settings: { allowedEvents },
     action: "set_allowed_events",
-    object: {
-      ...object,
-      address,
-      nickname,
-    },
   });
 };
 
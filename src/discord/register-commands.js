@@ -79,6 +79,35 @@ const rawCommands = [
         .setDescription(
           `Collection's nickname (must have between 1-${MAX_NICKNAME_LENGTH} characters, no spaces).`
         )
+    )
+    .addStringOption((option) =>
+      option
+        .setName("traits")
+        .setDescription(
+          'Only track the tokens with these traits, i.e. "Background: Gold, Fur: Zombie".'
+        )
+    ),
+  new SlashCommandBuilder()
+    .setName("tokenalert")
+    .setDescription("Notifies you of a single token's NFT activity.")
+    .addStringOption((option) =>
+      option
+        .setName("collection")
+        .setDescription("The Ethereum address of the token's collection.")
+        .setRequired(true)
+    )
+    .addStringOption((option) =>
+      option
+        .setName("tokenid")
+        .setDescription("The id of the token you want to track.")
+        .setRequired(true)
+    )
+    .addStringOption((option) =>
+      option
+        .setName("nickname")
+        .setDescription(
+          `Alert's nickname (must have between 1-${MAX_NICKNAME_LENGTH} characters, no spaces).`
+        )
     ),
   new SlashCommandBuilder()
     .setName("serveralert")
@@ -97,6 +126,13 @@ const rawCommands = [
         .setDescription(
           `Collection's nickname (must have between 1-${MAX_NICKNAME_LENGTH} characters, no spaces).`
         )
+    )
+    .addStringOption((option) =>
+      option
+        .setName("traits")
+        .setDescription(
+          'Only track the tokens with these traits, i.e. "Background: Gold, Fur: Zombie".'
+        )
     ),
   new SlashCommandBuilder()
     .setName("deletealert")
@@ -149,6 +185,135 @@ const rawCommands = [
           "Alert's nickname or address. Leave empty to change your account settings."
         )
     ),
+  new SlashCommandBuilder()
+    .setName("setlistingfloordifference")
+    .setDescription(
+      "Set how far below the collection's floor a listing must be to notify you."
+    )
+    .addNumberOption((option) =>
+      option
+        .setName("percentage")
+        .setDescription(
+          "Difference below the floor as a percentage i.e. '10'. 0 removes it."
+        )
+        .setMinValue(0)
+        .setMaxValue(100)
+        .setRequired(true)
+    )
+    .addStringOption((option) =>
+      option
+        .setName("alert")
+        .setDescription(
+          "Alert's nickname or address. Leave empty to change your account settings."
+        )
+    ),
+  new SlashCommandBuilder()
+    .setName("setminusdprice")
+    .setDescription(
+      "Set the minimum value in USD that an event must have to notify you."
+    )
+    .addNumberOption((option) =>
+      option
+        .setName("usd")
+        .setDescription(
+          "The minimum value in dollars i.e. '500'. 0 removes it."
+        )
+        .setMinValue(0)
+        .setRequired(true)
+    )
+    .addStringOption((option) =>
+      option
+        .setName("alert")
+        .setDescription(
+          "Alert's nickname or address. Leave empty to change your account settings."
+        )
+    ),
+  new SlashCommandBuilder()
+    .setName("setpricerange")
+    .setDescription(
+      "Set the range of prices in ETH that an event must be in to notify you."
+    )
+    .addNumberOption((option) =>
+      option
+        .setName("min")
+        .setDescription("The minimum price in ETH i.e. '5'. Empty removes it.")
+        .setMinValue(0)
+    )
+    .addNumberOption((option) =>
+      option
+        .setName("max")
+        .setDescription("The maximum price in ETH i.e. '50'. Empty removes it.")
+        .setMinValue(0)
+    )
+    .addStringOption((option) =>
+      option
+        .setName("alert")
+        .setDescription(
+          "Alert's nickname or address. Leave empty to change your account settings."
+        )
+    ),
+  new SlashCommandBuilder()
+    .setName("snooze")
+    .setDescription("Pause your notifications for a while.")
+    .addStringOption((option) =>
+      option
+        .setName("duration")
+        .setDescription("How long to pause them for.")
+        .addChoices([
+          ["1 hour", "1h"],
+          ["8 hours", "8h"],
+          ["24 hours", "24h"],
+          ["Resume notifications", "off"],
+        ])
+        .setRequired(true)
+    )
+    .addStringOption((option) =>
+      option
+        .setName("alert")
+        .setDescription(
+          "Alert's nickname or address. Leave empty to snooze your account."
+        )
+    ),
+  new SlashCommandBuilder()
+    .setName("setquiethours")
+    .setDescription("Pause your notifications every day between two hours.")
+    .addIntegerOption((option) =>
+      option
+        .setName("start")
+        .setDescription(
+          "The hour they start, from 0 to 23. Empty removes them."
+        )
+        .setMinValue(0)
+        .setMaxValue(23)
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName("end")
+        .setDescription("The hour they end, from 0 to 23. Empty removes them.")
+        .setMinValue(0)
+        .setMaxValue(23)
+    )
+    .addStringOption((option) =>
+      option
+        .setName("timezone")
+        .setDescription("Your timezone i.e. 'Europe/Madrid'. Defaults to UTC.")
+    )
+    .addStringOption((option) =>
+      option
+        .setName("catchup")
+        .setDescription("What to do with the events of the quiet hours.")
+        .addChoices([
+          ["Summarize them when they end", "summary"],
+          ["Drop them", "drop"],
+        ])
+    )
+    .addStringOption((option) =>
+      option
+        .setName("alert")
+        .setDescription(
+          "Alert's nickname or address. Leave empty to change your account settings."
+        )
+    ),
   new SlashCommandBuilder()
     .setName("setnickname")
     .setDescription("Set an alert's nickname.")
@@ -164,6 +329,82 @@ const rawCommands = [
         .setDescription("The new nickname for the alert.")
         .setRequired(true)
     ),
+  new SlashCommandBuilder()
+    .setName("floor")
+    .setDescription("Show a collection's floor and how it changed.")
+    .addStringOption((option) =>
+      option
+        .setName("collection")
+        .setDescription("The collection's address or its alert's nickname.")
+        .setRequired(true)
+    )
+    .addStringOption((option) =>
+      option
+        .setName("period")
+        .setDescription("The period to compare the floor with. Defaults to 7d.")
+        .addChoices([
+          ["1 day", "1d"],
+          ["7 days", "7d"],
+          ["30 days", "30d"],
+        ])
+    ),
+  new SlashCommandBuilder()
+    .setName("offers")
+    .setDescription("List the highest offers for a collection or a token.")
+    .addStringOption((option) =>
+      option
+        .setName("collection")
+        .setDescription("The collection's address or its alert's nickname.")
+        .setRequired(true)
+    )
+    .addStringOption((option) =>
+      option
+        .setName("tokenid")
+        .setDescription(
+          "The token's id. Leave empty to only list the collection offers."
+        )
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName("count")
+        .setDescription("How many offers to list. Defaults to 5.")
+        .setMinValue(1)
+        .setMaxValue(25)
+    ),
+  new SlashCommandBuilder()
+    .setName("portfolio")
+    .setDescription(
+      "Show what the tokens held by one of your wallet alerts are worth."
+    )
+    .addStringOption((option) =>
+      option
+        .setName("wallet")
+        .setDescription("The wallet alert's nickname or address.")
+        .setRequired(true)
+    ),
+  new SlashCommandBuilder()
+    .setName("pnl")
+    .setDescription(
+      "Show the realized profit and loss of one of your wallet alerts."
+    )
+    .addStringOption((option) =>
+      option
+        .setName("wallet")
+        .setDescription("The wallet alert's nickname or address.")
+        .setRequired(true)
+    )
+    .addStringOption((option) =>
+      option
+        .setName("period")
+        .setDescription("The period to compute it over. Defaults to 30 days.")
+        .addChoices([
+          ["7 days", "7d"],
+          ["30 days", "30d"],
+          ["90 days", "90d"],
+          ["365 days", "365d"],
+          ["All time", "all"],
+        ])
+    ),
 ];
 
 if (allowedMarketplaceIds.length > 1) {
@@ -186,7 +427,8 @@ if (allowedMarketplaceIds.length > 1) {
 const allCommands = rawCommands.map((command) => command.toJSON());
 const commands = isLooksRareOnly
   ? allCommands.filter(
-      ({ name }) => !["serveralert", "collectionalert"].includes(name)
+      ({ name }) =>
+        !["serveralert", "collectionalert", "tokenalert"].includes(name)
     )
   : allCommands;
 
@@ -0,0 +1,92 @@
+/// <reference path="../typedefs.js" />
+
+import { readFileSync } from "fs";
+import path from "path";
+import dotenv from "dotenv";
+// eslint-disable-next-line no-unused-vars
+import { ethers, providers, utils as etherUtils } from "ethers";
+import logMessage from "../log-message.js";
+
+dotenv.config({ path: path.resolve(".env") });
+
+const { ETHEREUM_NETWORK = "homestead" } = process.env;
+
+const currencies = JSON.parse(readFileSync("data/currencies.json"));
+const aggregatorAbi = JSON.parse(
+  readFileSync("data/chainlinkAggregatorAbi.json")
+);
+
+const MAX_RATE_CACHE_SIZE = 100;
+
+/**
+ * Create a price oracle that reads the USD rates from the Chainlink price
+ * feeds of data/currencies.json. Rates are read at the event's block so that
+ * backfilled events are valued at the time they happened.
+ * @param {providers.Provider} ethProvider - An ethers.js provider already configured
+ * @return {PriceOracle}
+ */
+export default (ethProvider) => {
+  let rateCache = {};
+  const feeds = {};
+
+  const getFeed = (currency) => {
+    if (feeds[currency] != null) {
+      return feeds[currency];
+    }
+
+    const { usdFeed = {} } =
+      currencies.find(({ symbol }) => symbol === currency) || {};
+    const address = usdFeed[ETHEREUM_NETWORK];
+    if (address == null) {
+      return null;
+    }
+
+    feeds[currency] = new ethers.Contract(address, aggregatorAbi, ethProvider);
+    return feeds[currency];
+  };
+
+  /**
+   * Get how many dollars a unit of a currency was worth at a block.
+   * @param {Object} params
+   * @param {String} params.currency - The currency's symbol.
+   * @param {Number} [params.blockNumber] - The block number. Defaults to the
+   * latest block.
+   * @return {Number|null} The rate. Null if there is no feed for the currency
+   * or the feed could not be read.
+   */
+  const getUSDRate = async ({ currency, blockNumber = "latest" }) => {
+    const feed = getFeed(currency);
+    if (feed == null) {
+      return null;
+    }
+
+    const key = `${currency}/${blockNumber}`;
+    if (rateCache[key] != null) {
+      return rateCache[key];
+    }
+
+    return Promise.all([
+      feed.latestRoundData({ blockTag: blockNumber }),
+      feed.decimals(),
+    ])
+      .then(([{ answer }, decimals]) => {
+        const rate = Number(etherUtils.formatUnits(answer, decimals));
+        if (Object.keys(rateCache).length >= MAX_RATE_CACHE_SIZE) {
+          rateCache = {};
+        }
+
+        rateCache[key] = rate;
+        return rate;
+      })
+      .catch((error) => {
+        logMessage({
+          message: `Error reading the ${currency}/USD Chainlink feed at block ${blockNumber}`,
+          level: "warning",
+          error,
+        });
+        return null;
+      });
+  };
+
+  return { getUSDRate };
+};
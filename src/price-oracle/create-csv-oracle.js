@@ -0,0 +1,53 @@
+/// <reference path="../typedefs.js" />
+
+import { readFileSync } from "fs";
+
+/**
+ * Create a price oracle that reads the USD rates from a local CSV file, i.e.
+ * to run tests or backfills without querying the blockchain. The file needs a
+ * "date,currency,usd" header and one rate per line:
+ *
+ *   date,currency,usd
+ *   2022-07-01T00:00:00Z,ETH,1062.3
+ *
+ * Events are valued with the latest rate of their currency at their date.
+ * @param {String} filePath - The path to the CSV file.
+ * @return {PriceOracle}
+ */
+export default (filePath) => {
+  const [header, ...lines] = readFileSync(filePath, "utf8")
+    .split(/\r?\n/u)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0);
+  const columns = header.split(",");
+  const rates = lines
+    .map((line) => {
+      const values = line.split(",");
+      const row = Object.fromEntries(
+        columns.map((column, index) => [column, values[index]])
+      );
+      return {
+        date: new Date(row.date),
+        currency: row.currency,
+        usd: Number(row.usd),
+      };
+    })
+    .sort(({ date: date1 }, { date: date2 }) => date1 - date2);
+
+  /**
+   * Get how many dollars a unit of a currency was worth at a date.
+   * @param {Object} params
+   * @param {String} params.currency - The currency's symbol.
+   * @param {Date} [params.date] - The date. Defaults to now.
+   * @return {Number|null} The rate. Null if the file has no rates for the
+   * currency before that date.
+   */
+  const getUSDRate = async ({ currency, date = new Date() }) => {
+    const rate = rates
+      .filter((rate) => rate.currency === currency && rate.date <= date)
+      .pop();
+    return rate == null ? null : rate.usd;
+  };
+
+  return { getUSDRate };
+};
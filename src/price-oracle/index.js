@@ -0,0 +1,62 @@
+/*
+ * Price oracles value NFT events in USD. Each oracle exposes a getUSDRate
+ * function and createPriceOracle picks one based on the PRICE_ORACLE
+ * environment variable.
+ */
+
+/// <reference path="../typedefs.js" />
+
+import path from "path";
+import dotenv from "dotenv";
+// eslint-disable-next-line no-unused-vars
+import { providers } from "ethers";
+import createChainlinkOracle from "./create-chainlink-oracle.js";
+import createCSVOracle from "./create-csv-oracle.js";
+
+dotenv.config({ path: path.resolve(".env") });
+
+const { PRICE_ORACLE = "chainlink", PRICE_ORACLE_CSV } = process.env;
+
+/**
+ * Create a price oracle to value NFT events in USD.
+ * @param {Object} params
+ * @param {providers.Provider} params.ethProvider - An ethers.js provider
+ * already configured. Used by the "chainlink" oracle.
+ * @param {("chainlink"|"csv")} params.source - The oracle to use.
+ * @param {String} params.csvPath - The rates file used by the "csv" oracle.
+ * @return {Object} priceOracle - Its getUSDPrice function returns the USD
+ * value of an NFTEvent, or null if it cannot be valued.
+ */
+const createPriceOracle = ({
+  ethProvider,
+  source = PRICE_ORACLE,
+  csvPath = PRICE_ORACLE_CSV,
+} = {}) => {
+  const { getUSDRate } =
+    source === "csv"
+      ? createCSVOracle(csvPath)
+      : createChainlinkOracle(ethProvider);
+
+  /**
+   * Compute the USD value of an NFT event at the time it happened. WETH and
+   * events without a currency are valued as ETH.
+   * @param {NFTEvent} event
+   * @return {Number|null}
+   */
+  const getUSDPrice = async ({ price, currency, blockNumber, startsAt }) => {
+    if (price == null) {
+      return null;
+    }
+
+    const rate = await getUSDRate({
+      currency: currency == null || currency === "WETH" ? "ETH" : currency,
+      blockNumber,
+      date: startsAt,
+    });
+    return rate == null ? null : Number(price) * rate;
+  };
+
+  return { getUSDPrice };
+};
+
+export { createChainlinkOracle, createCSVOracle, createPriceOracle };
@@ -4,11 +4,11 @@
 // import { BigNumber } from "ethers";
 
 /**
- * @typedef {("rarible"|"foundation"|"x2y2"|"openSea"|"looksRare")} Marketplace - The list of ids can be found in data/marketplaces.json.
+ * @typedef {("rarible"|"foundation"|"x2y2"|"openSea"|"looksRare"|"superrare"|"nftx")} Marketplace - The list of ids can be found in data/marketplaces.json.
  */
 
 /**
- * @typedef {("offer"|"placeBid"|"acceptOffer"|"acceptAsk"|"cancelOrder"|"createAuction"|"settleAuction")} EventType - The list of ids can be found
+ * @typedef {("offer"|"placeBid"|"acceptOffer"|"acceptAsk"|"cancelOrder"|"createAuction"|"settleAuction"|"listing"|"vaultDeposit"|"vaultRedeem"|"vaultSwap"|"sweep"|"mint"|"transfer"|"burn")} EventType - The list of ids can be found
  * in data/nft-events.json.
  */
 
@@ -25,7 +25,7 @@
  */
 
 /**
- * @typedef {"wallet"|"server"|"collection"} AlertType - The type of alert
+ * @typedef {"wallet"|"server"|"collection"|"token"} AlertType - The type of alert
  */
 
 /**
@@ -51,6 +51,24 @@
  * which the user/alert wants to watch.
  * @property {EventType[]} allowedEvents - The list of NFT event types
  * which the user/alert wants to watch.
+ * @property {Number|null} minUSDPrice - The min. USD value of the events
+ * that notify the user/server.
+ * @property {Number|null} minPrice - The min. price in ETH of the events
+ * that notify the user/server.
+ * @property {Number|null} maxPrice - The max. price in ETH of the events
+ * that notify the user/server.
+ * @property {Number|null} minListingFloorDifference - How far below the
+ * collection's floor a listing must be to notify the user/server, as a
+ * percentage.
+ * @property {Date|null} snoozedUntil - Until when the user/server doesn't get
+ * notified.
+ * @property {Number|null} quietHoursStart - The hour of the day, from 0 to
+ * 23, when the user/server stops getting notified.
+ * @property {Number|null} quietHoursEnd - The hour of the day, from 0 to 23,
+ * when the user/server gets notified again.
+ * @property {String} timezone - The IANA timezone of the quiet hours.
+ * @property {Boolean} catchUpSummary - Whether the events held during a
+ * snooze or the quiet hours are summarized when they end, or dropped.
  */
 
 /**
@@ -62,6 +80,23 @@
  * which the user wants to watch.
  * @property {EventType[]} allowedEvents - The list of NFT event types
  * which the user wants to watch.
+ * @property {Number|null} minUSDPrice - The min. USD value of the events
+ * that notify the user.
+ * @property {Number|null} minPrice - The min. price in ETH of the events
+ * that notify the user.
+ * @property {Number|null} maxPrice - The max. price in ETH of the events
+ * that notify the user.
+ * @property {Number|null} minListingFloorDifference - How far below the
+ * collection's floor a listing must be to notify the user, as a percentage.
+ * @property {Date|null} snoozedUntil - Until when the user doesn't get
+ * notified.
+ * @property {Number|null} quietHoursStart - The hour of the day, from 0 to
+ * 23, when the user stops getting notified.
+ * @property {Number|null} quietHoursEnd - The hour of the day, from 0 to 23,
+ * when the user gets notified again.
+ * @property {String} timezone - The IANA timezone of the quiet hours.
+ * @property {Boolean} catchUpSummary - Whether the events held during a
+ * snooze or the quiet hours are summarized when they end, or dropped.
  * @property {Number} settingsId - The user's settings id in the database.
  * @property {String} discordId - The user's discord id.
  * @property {Date} createdAt - The Date when the user was created.
@@ -74,6 +109,15 @@
  * can have with respect to the collection's floor to create a notification.
  * @property {Marketplace[]} allowedMarketplaces - The list of marketplaces which the alert wants to watch.
  * @property {EventType[]} allowedEvents - The list of NFT event types which the alert wants to watch.
+ * @property {Number|null} minUSDPrice - The min. USD value of the events that trigger the alert.
+ * @property {Number|null} minPrice - The min. price in ETH of the events that trigger the alert.
+ * @property {Number|null} maxPrice - The max. price in ETH of the events that trigger the alert.
+ * @property {Number|null} minListingFloorDifference - How far below the collection's floor a listing must be to trigger the alert, as a percentage.
+ * @property {Date|null} snoozedUntil - Until when the alert doesn't notify. The latest of the alert's and the user's snoozes.
+ * @property {Number|null} quietHoursStart - The hour of the day, from 0 to 23, when the alert stops notifying.
+ * @property {Number|null} quietHoursEnd - The hour of the day, from 0 to 23, when the alert notifies again.
+ * @property {String} timezone - The IANA timezone of the quiet hours.
+ * @property {Boolean} catchUpSummary - Whether the events held during a snooze or the quiet hours are summarized when they end, or dropped.
  * @property {Number} id - The alert's id in the database.
  * @property {AlertType} type - The alert's type.
  * @property {Number} settingsId - The user's settings id in the database.
@@ -84,6 +128,7 @@
  * @property {Date} syncedAt - The Date when the alert's tokens were last modified.
  * @property {String|null} channelId - The id of the Discord channel for which this alert was created.
  * @property {String[]} tokens - The tokens that the alert tracks. They are periodically updated. The "syncedAt" property shows when they were updated last. The format for the tokens is "collection/tokenId".
+ * @property {String[]|null} traits - Only notify the events of the tokens with these traits, as "type:value". Tokens need one of the values of every trait type.
  */
 
 /**
@@ -108,6 +153,28 @@
  * @property {Number} price - The floor's price in Ethereum.
  */
 
+/**
+ * @typedef {Object} TokenTraits - The cached traits of a token, from its metadata.
+ * @property {String} collection - The collection's Ethereum address.
+ * @property {String} tokenId - The token's id.
+ * @property {String[]} traits - The token's traits as "type:value".
+ * @property {Date} syncedAt - When its metadata was fetched.
+ */
+
+/**
+ * @typedef {Object} CrawlerCheckpoint - The last block fully processed by the crawler for a marketplace contract.
+ * @property {String} contract - The marketplace contract's Ethereum address.
+ * @property {Number} blockNumber - The number of the last block processed.
+ * @property {Date} updatedAt - The Date when the checkpoint was last saved.
+ */
+
+/**
+ * @typedef {Object} PriceOracle - A source of USD exchange rates.
+ * @property {Function} getUSDRate - Given { currency, blockNumber, date },
+ * resolves how many dollars a unit of the currency was worth at that time,
+ * or null if it is unknown.
+ */
+
 /**
  * @typedef {Object} NFTEvent - The NFT Event object.
  * @property {Number} id - The event's id in the database.
@@ -119,21 +186,34 @@
  * @property {String|null} tokenId - The id of the token involved in the event. If it's a collection event (i.e. collection offer) or an event without token id (i.e. cancel order), it will will be an empty string.
  * @property {EventType|null} eventType - The type of event. See data/nft-events.json for the complete list.
  * @property {Blockchain|null} blockchain - The blockchain's id
- * @property {Marketplace|null} marketplace - The id of the marketplace where this floor was detected.
+ * @property {Marketplace|null} marketplace - The id of the marketplace where this floor was detected. Null for mints, transfers and burns.
  * @property {String|null} collection - The collection's address.
  * @property {String|null} initiator - The address of the tx's initiator.
- * @property {String|null} buyer - The address that buys the NFT.
- * @property {String|null} seller - The address that sells the NFT.
- * @property {String|null} intermediary - The blockchain address of the intermediary in the transaction, if any. Example: gem.xyz's address.
+ * @property {String|null} buyer - The address that buys the NFT. For mints, the minter; for transfers, the receiver.
+ * @property {String|null} seller - The address that sells the NFT. For transfers and burns, the sender.
+ * @property {String|null} intermediary - The blockchain address of the intermediary in the transaction, if any. Example: gem.xyz's address. The known aggregators are listed in data/aggregators.json.
  * @property {Number|null} gas - The gas consumed by the tx.
+ * @property {Number|null} gasPrice - The price paid per unit of gas in gwei.
  * @property {Number|null} amount - The number of NFTs transferred.
  * @property {String|null} metadataUri - The metadata URI associated to the NFT.
+ * @property {String[]|null} tokenIds - For sweeps and mints of several NFTs, the ids of the tokens bought or minted in the transaction.
+ * @property {String[]|null} metadataUris - For sweeps, the metadata URIs of the tokens bought, in the same order as tokenIds.
  * @property {Standard|null} standard - The metadata URI associated to the NFT.
  * @property {OrderType|null} orderType - For cancelOrder events, the order type.
  * @property {Boolean|null} isHighestOffer - For offers, whether the offer is the highest offer at the time.
  * @property {Number|null} collectionFloor - For offers and listings, the collection's floor at the time the order is made.
  * @property {Number|null} floorDifference - For an offer and listing, its difference wrt the current floor as a percentage between 0 and 1. I.e. if the floor is 1 ETH and the offer is 0.8 ETH, the floorDifference = 0.2. Also accepts negative values: if the floor is 1 ETH and the listing is 4 ETH, the floorDifference = (1 - 4 / 1) = -3.
- * @property {Number|null} price - The price in the blockchain's native token. If it's an offer, the offer price; if it's a sale, the sale price.
+ * @property {Number|null} price - The price in the event's currency. If it's an offer, the offer price; if it's a sale, the sale price.
+ * @property {String|null} currency - The symbol of the currency used to pay, i.e. "ETH", "WETH" or "USDC". Null for events stored before currencies were detected.
+ * @property {Number|null} currencyDecimals - The number of decimals of the currency's token.
+ * @property {Number|null} usdPrice - The price in USD at the time of the event, if the price oracle could value it.
+ * @property {Number|null} [poolPrice] - For trades with an AMM pool, i.e. on Sudoswap, the price to buy one NFT from the pool after the trade. Null if the pool has no NFTs left. Not stored.
+ * @property {Number|null} marketplaceFee - For sales, the part of the price paid to the marketplace, in the event's currency.
+ * @property {Number|null} royaltyFee - For sales, the part of the price paid to the creators as royalties.
+ * @property {Number|null} sellerProfit - For sales, what the seller received after fees and royalties.
+ * @property {Number|null} blockNumber - For on-chain events, the number of the tx's block.
+ * @property {String|null} blockHash - For on-chain events, the hash of the tx's block.
+ * @property {Boolean} orphaned - Whether the tx is no longer part of the chain after a chain reorganization.
  */
 
 /**
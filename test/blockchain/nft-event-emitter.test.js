@@ -0,0 +1,177 @@
+import { readFileSync } from "fs";
+import { BigNumber, ethers, utils as etherUtils } from "ethers";
+
+const erc721Abi = JSON.parse(readFileSync("data/erc721Abi.json"));
+const erc1155Abi = JSON.parse(readFileSync("data/erc1155Abi.json"));
+const sudoswapPairAbi = JSON.parse(readFileSync("data/sudoswapPairAbi.json"));
+const erc721Interface = new etherUtils.Interface(erc721Abi);
+const erc1155Interface = new etherUtils.Interface(erc1155Abi);
+const sudoswapPairInterface = new etherUtils.Interface(sudoswapPairAbi);
+
+const wallet1 = "0x2ecc4ffa8e3af0fe7e4e56a1cabe1d3aa9d47a87";
+const wallet2 = "0x1f2f8a6d8ae22d9a5e4f6e7d1fe4ec2d37b4c1a6";
+const collection1 = "0x7ea3cca10668b8346aec0bf1844a49e995527c8b";
+const pool1 = "0x5bd6e1e4e5f6b1c3f9b0a6e7c3d2f1a0b9c8d7e6";
+const transactionHash1 =
+  "0xd5f5c4e16c6fbd2c5c1e0a6f82a7f7e0c0c4c8e8f6c3c2f0e3e1a9d5c3b2a1f0";
+const blockHash1 =
+  "0xa1b2c3d4e5f60718293a4b5c6d7e8f90a1b2c3d4e5f60718293a4b5c6d7e8f90";
+
+let createNFTEventEmitter;
+
+beforeAll(async () => {
+  // Only the watcher of mints and plain transfers, which needs no
+  // marketplace contracts
+  process.env.MARKETPLACES = "none";
+  ({ default: createNFTEventEmitter } = await import(
+    "../../src/blockchain/nft-event-emitter.js"
+  ));
+});
+
+const toLog = ({ data, topics }, address, logIndex) => ({
+  address,
+  data,
+  topics,
+  logIndex,
+  transactionHash: transactionHash1,
+  blockNumber: 1,
+  blockHash: blockHash1,
+});
+
+const matchesTopics = (log, topics = []) =>
+  topics.every(
+    (topic, index) =>
+      topic == null ||
+      (Array.isArray(topic) ? topic : [topic]).includes(log.topics[index])
+  );
+
+/**
+ * A provider whose chain is a single transaction with the given logs.
+ * @param {Object[]} logs
+ * @return {Object} provider
+ */
+const createProvider = (logs) => ({
+  _isProvider: true,
+  getLogs: async ({ address, topics }) =>
+    logs.filter(
+      (log) =>
+        (address == null || log.address === address.toLowerCase()) &&
+        matchesTopics(log, topics)
+    ),
+  getTransactionReceipt: async () => ({
+    from: wallet1,
+    to: collection1,
+    logs,
+    gasUsed: BigNumber.from(21000),
+    blockNumber: 1,
+    blockHash: blockHash1,
+  }),
+  getTransaction: async () => ({ value: BigNumber.from(0) }),
+  getBlock: async () => ({ timestamp: 1656676800 }),
+  call: async () => {
+    throw new Error("Calls are not supported");
+  },
+});
+
+const backfill = async (logs, { addresses = [], collections = [] } = {}) => {
+  const nftEventEmitter = createNFTEventEmitter(createProvider(logs));
+  nftEventEmitter.setAddressesToWatch(addresses);
+  nftEventEmitter.setCollectionsToPoll(collections);
+  const events = [];
+  nftEventEmitter.on("event", (event) => events.push(event));
+  await nftEventEmitter.backfill({ fromBlock: 1, toBlock: 1 });
+  return events;
+};
+
+const batchTransferLog = (from, to, ids, amounts) =>
+  toLog(
+    erc1155Interface.encodeEventLog(
+      erc1155Interface.getEvent("TransferBatch"),
+      [wallet1, from, to, ids, amounts]
+    ),
+    collection1,
+    0
+  );
+
+test("ERC-1155 batch transfers of a watched wallet are split by token", async () => {
+  const events = await backfill(
+    [batchTransferLog(wallet1, wallet2, [1, 2], [3, 1])],
+    { addresses: [wallet1] }
+  );
+  expect(events).toHaveLength(2);
+  expect(events).toMatchObject([
+    {
+      eventType: "transfer",
+      collection: collection1,
+      standard: "ERC-1155",
+      seller: wallet1,
+      buyer: wallet2,
+      tokenId: "1",
+      amount: 3,
+    },
+    {
+      eventType: "transfer",
+      collection: collection1,
+      tokenId: "2",
+      amount: 1,
+    },
+  ]);
+});
+
+test("ERC-1155 batch mints of a watched collection are a single event", async () => {
+  const events = await backfill(
+    [batchTransferLog(ethers.constants.AddressZero, wallet2, [1, 2], [3, 1])],
+    { collections: [collection1] }
+  );
+  expect(events).toHaveLength(1);
+  expect(events[0]).toMatchObject({
+    eventType: "mint",
+    collection: collection1,
+    buyer: wallet2,
+    amount: 4,
+    tokenIds: ["1", "2"],
+  });
+});
+
+const transferLog = (from, to, tokenId) =>
+  toLog(
+    erc721Interface.encodeEventLog(erc721Interface.getEvent("Transfer"), [
+      from,
+      to,
+      tokenId,
+    ]),
+    collection1,
+    0
+  );
+
+test("ERC-721 transfers of a watched wallet outside of trades are emitted", async () => {
+  const events = await backfill([transferLog(wallet1, wallet2, 1)], {
+    addresses: [wallet1],
+  });
+  expect(events).toHaveLength(1);
+  expect(events[0]).toMatchObject({
+    eventType: "transfer",
+    collection: collection1,
+    seller: wallet1,
+    buyer: wallet2,
+    tokenId: 1,
+  });
+});
+
+test("Transfers of a watched wallet in a Sudoswap swap are not emitted", async () => {
+  const events = await backfill(
+    [
+      transferLog(wallet1, pool1, 1),
+      toLog(
+        sudoswapPairInterface.encodeEventLog(
+          sudoswapPairInterface.getEvent("SwapNFTInPair"),
+          []
+        ),
+        pool1,
+        1
+      ),
+    ],
+    { addresses: [wallet1] }
+  );
+  expect(events).toHaveLength(0);
+});
@@ -0,0 +1,85 @@
+import computePnL from "../src/compute-pnl.js";
+
+const wallet = "0xb3cc8d3510f16bcaa7f3fa7241fef86a3e890c97";
+const otherWallet = "0x4414b5e01d62c0b98a5b13db59bb0813b77283e0";
+const collection = "0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d";
+
+const buy = (tokenId, price, startsAt, props = {}) => ({
+  eventType: "acceptAsk",
+  transactionHash: `0x${tokenId}${startsAt.getTime()}`,
+  collection,
+  tokenId,
+  price,
+  buyer: wallet,
+  seller: otherWallet,
+  startsAt,
+  ...props,
+});
+
+const sell = (tokenId, price, startsAt, props = {}) => ({
+  ...buy(tokenId, price, startsAt),
+  buyer: otherWallet,
+  seller: wallet,
+  ...props,
+});
+
+test("computePnL matches sales with the oldest buys of the token", () => {
+  const pnl = computePnL({
+    address: wallet,
+    trades: [
+      buy("1", 1, new Date("2022-07-01")),
+      buy("1", 2, new Date("2022-07-02")),
+      sell("1", 1.5, new Date("2022-07-03")),
+    ],
+  });
+  expect(pnl).toMatchObject({
+    realizedProfit: 0.5,
+    proceeds: 1.5,
+    costBasis: 1,
+    sales: 1,
+    unmatchedSales: 0,
+  });
+});
+
+test("computePnL counts gas and fees as costs", () => {
+  const pnl = computePnL({
+    address: wallet,
+    trades: [
+      buy("1", 1, new Date("2022-07-01"), {
+        initiator: wallet,
+        gas: 100000,
+        gasPrice: 100,
+      }),
+      sell("1", 2, new Date("2022-07-03"), {
+        initiator: otherWallet,
+        gas: 100000,
+        gasPrice: 100,
+        sellerProfit: 1.8,
+      }),
+    ],
+  });
+  expect(pnl.costBasis).toBeCloseTo(1.01);
+  expect(pnl.gasCost).toBeCloseTo(0.01);
+  expect(pnl.fees).toBeCloseTo(0.2);
+  expect(pnl.realizedProfit).toBeCloseTo(0.79);
+});
+
+test("computePnL only counts the sales of the period", () => {
+  const pnl = computePnL({
+    address: wallet,
+    trades: [
+      buy("1", 1, new Date("2022-06-01")),
+      buy("2", 1, new Date("2022-06-01")),
+      sell("1", 3, new Date("2022-06-15")),
+      sell("2", 2, new Date("2022-07-15")),
+      sell("3", 2, new Date("2022-07-16")),
+    ],
+    since: new Date("2022-07-01"),
+    until: new Date("2022-08-01"),
+  });
+  expect(pnl).toMatchObject({
+    realizedProfit: 1,
+    sales: 1,
+    unmatchedSales: 1,
+  });
+});
@@ -9,6 +9,7 @@ import {
   clearDb,
   removeDb,
 } from "../../src/database/index.js";
+import sleep from "../../src/sleep.js";
 
 dotenv.config({ path: path.resolve(".env") });
 
@@ -230,6 +231,65 @@ test("setAlertTokens on an existing alert", async () => {
   expect(alerts[0].syncedAt).not.toBe(alert.syncedAt);
 });
 
+test("addAlertToken without arguments", async () => {
+  const { result, objects } = await dbClient.addAlertToken();
+  expect(result).toBe("missing-arguments");
+  expect(objects).toHaveLength(0);
+});
+
+test("addAlertToken and removeAlertToken on a wallet alert", async () => {
+  const { object: user } = await dbClient.createUser({
+    discordId: discordId1,
+  });
+  await dbClient.createAlert({
+    userId: user.id,
+    type: "wallet",
+    address: address1,
+    tokens: tokens1,
+  });
+  const token = `${collection1}/4553`;
+  const { result: addResult, objects: addedAlerts } =
+    await dbClient.addAlertToken({ address: address1, token });
+  expect(addResult).toBe("success");
+  expect(addedAlerts).toHaveLength(1);
+  expect(addedAlerts[0].tokens).toEqual([...tokens1, token]);
+  // Adding it again does not duplicate it
+  await dbClient.addAlertToken({ address: address1, token });
+  const { result: removeResult, objects: removedAlerts } =
+    await dbClient.removeAlertToken({ address: address1, token: tokens1[0] });
+  expect(removeResult).toBe("success");
+  expect(removedAlerts[0].tokens).toEqual([tokens1[1], token]);
+});
+
+test("addTokenAlertToken adds a token to a token alert only", async () => {
+  const { object: user } = await dbClient.createUser({
+    discordId: discordId1,
+  });
+  const { object: tokenAlert } = await dbClient.createAlert({
+    userId: user.id,
+    type: "token",
+    address: collection1,
+    tokens: [`${collection1}/1`],
+  });
+  const { object: walletAlert } = await dbClient.createAlert({
+    userId: user.id,
+    type: "wallet",
+    address: address1,
+    tokens: tokens1,
+  });
+  const { result, object } = await dbClient.addTokenAlertToken({
+    alertId: tokenAlert.id,
+    token: `${collection1}/2`,
+  });
+  expect(result).toBe("success");
+  expect(object.tokens).toEqual([`${collection1}/1`, `${collection1}/2`]);
+  const { result: walletResult } = await dbClient.addTokenAlertToken({
+    alertId: walletAlert.id,
+    token: `${collection1}/2`,
+  });
+  expect(walletResult).toBe("missing-alert");
+});
+
 test("setMaxFloorDifference without arguments", async () => {
   const { result, object } = await dbClient.setMaxFloorDifference();
   expect(result).toBe("missing-arguments");
@@ -523,6 +583,70 @@ test("setOffer overwriting an existing collection", async () => {
   });
 });
 
+test("getOffers lists the valid token and collection offers", async () => {
+  const tomorrow = new Date(new Date().getTime() + 24 * 60 * 60 * 1000);
+  await dbClient.setOffer({
+    collection: collection1,
+    orderHash: "0x01",
+    price: 1,
+    endsAt: tomorrow,
+  });
+  await dbClient.setOffer({
+    collection: collection1,
+    orderHash: "0x02",
+    tokenId: "1",
+    price: 2,
+    endsAt: tomorrow,
+  });
+  await dbClient.setOffer({
+    collection: collection1,
+    orderHash: "0x03",
+    tokenId: "2",
+    price: 3,
+    endsAt: tomorrow,
+  });
+  await dbClient.setOffer({
+    collection: collection1,
+    orderHash: "0x04",
+    tokenId: "1",
+    price: 4,
+    endsAt: new Date("2022-10-12"),
+  });
+  const { result, objects } = await dbClient.getOffers({
+    collection: collection1,
+    tokenId: "1",
+  });
+  expect(result).toBe("success");
+  expect(objects.map(({ orderHash }) => orderHash)).toEqual(["0x02", "0x01"]);
+});
+
+test("removeOffer falls back to the next highest offer", async () => {
+  const tomorrow = new Date(new Date().getTime() + 24 * 60 * 60 * 1000);
+  await dbClient.setOffer({
+    collection: collection1,
+    orderHash: "0x01",
+    price: 1,
+    endsAt: tomorrow,
+    marketplace: "blur",
+  });
+  await dbClient.setOffer({
+    collection: collection1,
+    orderHash: "0x02",
+    price: 2,
+    endsAt: tomorrow,
+    marketplace: "blur",
+  });
+  const { object: removedOffer } = await dbClient.removeOffer({
+    orderHash: "0x02",
+    marketplace: "blur",
+  });
+  expect(removedOffer).toMatchObject({ orderHash: "0x02", price: 2 });
+  const { object: offer } = await dbClient.getOffer({
+    collection: collection1,
+  });
+  expect(offer).toMatchObject({ orderHash: "0x01", price: 1 });
+});
+
 test("createAlert without providing a user id", async () => {
   const { result, object: alert } = await dbClient.createAlert({
     type: "collection",
@@ -1016,6 +1140,196 @@ test("getCollectionFloor with two collection floors for the same collection", as
   });
 });
 
+test("getCollectionFloor with floors on several marketplaces", async () => {
+  const endsAt = new Date(new Date().getTime() + 60 * 60 * 1000);
+  await dbClient.setCollectionFloor({
+    collection: collection1,
+    price: 0.5,
+    endsAt,
+    marketplace: "looksRare",
+  });
+  await dbClient.setCollectionFloor({
+    collection: collection1,
+    price: 0.3,
+    endsAt: new Date("2022-10-12"),
+    marketplace: "x2y2",
+  });
+  await dbClient.setCollectionFloor({
+    collection: collection1,
+    price: 0.4,
+    endsAt,
+    marketplace: "blur",
+  });
+  const { object: collectionFloor } = await dbClient.getCollectionFloor({
+    collection: collection1,
+  });
+  expect(collectionFloor).toMatchObject({ price: 0.4, marketplace: "blur" });
+  const { object: marketplaceFloor } = await dbClient.getCollectionFloor({
+    collection: collection1,
+    marketplace: "x2y2",
+  });
+  expect(marketplaceFloor).toMatchObject({ price: 0.3, marketplace: "x2y2" });
+});
+
+test("getFloorHistory with no arguments", async () => {
+  const { result, objects } = await dbClient.getFloorHistory();
+  expect(result).toBe("missing-arguments");
+  expect(objects).toHaveLength(0);
+});
+
+test("getFloorHistory starts with the floors before the period", async () => {
+  const endsAt = new Date(new Date().getTime() + 60 * 60 * 1000);
+  await dbClient.setCollectionFloor({
+    collection: collection1,
+    price: 0.5,
+    endsAt,
+    marketplace: "looksRare",
+  });
+  // Floors of the same marketplace are told apart by their creation date
+  await sleep(5);
+  await dbClient.setCollectionFloor({
+    collection: collection1,
+    price: 0.4,
+    endsAt,
+    marketplace: "looksRare",
+  });
+  await dbClient.setCollectionFloor({
+    collection: collection1,
+    price: 0.6,
+    endsAt,
+    marketplace: "blur",
+  });
+  await sleep(5);
+  const since = new Date();
+  await sleep(5);
+  await dbClient.setCollectionFloor({
+    collection: collection1,
+    price: 0.3,
+    endsAt,
+    marketplace: "blur",
+  });
+  const { result, objects } = await dbClient.getFloorHistory({
+    collection: collection1,
+    since,
+  });
+  expect(result).toBe("success");
+  expect(objects.map(({ price }) => price)).toEqual([0.4, 0.6, 0.3]);
+});
+
+test("getTokenValues with the floors and offers of the tokens", async () => {
+  const tomorrow = new Date(new Date().getTime() + 24 * 60 * 60 * 1000);
+  await dbClient.setCollectionFloor({
+    collection: collection1,
+    price: 0.5,
+    endsAt: tomorrow,
+  });
+  await dbClient.setOffer({
+    collection: collection1,
+    orderHash: "0x01",
+    price: 0.4,
+    endsAt: tomorrow,
+  });
+  await dbClient.setOffer({
+    collection: collection1,
+    orderHash: "0x02",
+    tokenId: "2",
+    price: 0.45,
+    endsAt: tomorrow,
+  });
+  const { result, objects } = await dbClient.getTokenValues({
+    tokens: [`${collection1}/1`, `${collection1}/2`, tokens1[1]],
+  });
+  expect(result).toBe("success");
+  expect(objects).toHaveLength(3);
+  expect(objects).toEqual(
+    expect.arrayContaining([
+      { collection: collection1, tokenId: "1", floor: 0.5, highestOffer: 0.4 },
+      { collection: collection1, tokenId: "2", floor: 0.5, highestOffer: 0.45 },
+      {
+        collection: "0xbce3781ae7ca1a5e050bd9c4c77369867ebc307e",
+        tokenId: "2766",
+        floor: null,
+        highestOffer: null,
+      },
+    ])
+  );
+});
+
+test("getLowestListing skips filled and expired listings", async () => {
+  const endsAt = new Date(new Date().getTime() + 60 * 60 * 1000);
+  const listing = {
+    eventType: "listing",
+    collection: collection1,
+    marketplace: "blur",
+    endsAt,
+  };
+  await dbClient.addNFTEvent({
+    ...listing,
+    orderHash: "0x01",
+    tokenId: "1",
+    price: 0.1,
+  });
+  await dbClient.addNFTEvent({
+    ...listing,
+    orderHash: "0x02",
+    tokenId: "2",
+    price: 0.2,
+    endsAt: new Date("2022-10-12"),
+  });
+  await dbClient.addNFTEvent({
+    ...listing,
+    orderHash: "0x03",
+    tokenId: "3",
+    price: 0.3,
+  });
+  await dbClient.addNFTEvent({
+    transactionHash: transactionHash1,
+    orderHash: "0x01",
+    eventType: "acceptAsk",
+    collection: collection1,
+    marketplace: "blur",
+    tokenId: "1",
+    price: 0.1,
+  });
+  const { result, object } = await dbClient.getLowestListing({
+    collection: collection1,
+    marketplace: "blur",
+  });
+  expect(result).toBe("success");
+  expect(object).toMatchObject({ orderHash: "0x03", price: 0.3 });
+});
+
+test("setCrawlerCheckpoint with no arguments", async () => {
+  const { result, object } = await dbClient.setCrawlerCheckpoint();
+  expect(result).toBe("missing-arguments");
+  expect(object).toBeNull();
+});
+
+test("getCrawlerCheckpoints without checkpoints", async () => {
+  const { result, objects } = await dbClient.getCrawlerCheckpoints();
+  expect(result).toBe("success");
+  expect(objects).toHaveLength(0);
+});
+
+test("setCrawlerCheckpoint overwriting an existing contract", async () => {
+  const contract = "0x00000000006c3852cbEf3e08E8dF289169EdE581";
+  const { result: firstResult, object: firstCheckpoint } =
+    await dbClient.setCrawlerCheckpoint({ contract, blockNumber: 15000000 });
+  expect(firstResult).toBe("success");
+  expect(firstCheckpoint).toMatchObject({
+    contract: contract.toLowerCase(),
+    blockNumber: 15000000,
+  });
+  await dbClient.setCrawlerCheckpoint({ contract, blockNumber: 15000100 });
+  const { result, objects } = await dbClient.getCrawlerCheckpoints();
+  expect(result).toBe("success");
+  expect(objects).toHaveLength(1);
+  expect(objects[0]).toMatchObject({
+    contract: contract.toLowerCase(),
+    blockNumber: 15000100,
+  });
+});
+
 test("getNFTEvents with no arguments", async () => {
   const { result, objects: nftEvents } = await dbClient.getNFTEvents();
   expect(result).toBe("missing-arguments");
@@ -1240,3 +1554,809 @@ test("getWatchedNFTEvents with two watchers for the same collection address", as
     ],
   });
 });
+
+test("addNFTEvent with a duplicate event", async () => {
+  const nftEventParams = {
+    transactionHash: transactionHash1,
+    eventType: "acceptAsk",
+    tokenId: "4552",
+    collection: collection1,
+    price: 93.5,
+  };
+  const { result: firstResult } = await dbClient.addNFTEvent(nftEventParams);
+  expect(firstResult).toBe("success");
+  const { result: secondResult } = await dbClient.addNFTEvent(nftEventParams);
+  expect(secondResult).toBe("already-exists");
+  const { objects: nftEvents } = await dbClient.getNFTEvents({
+    createdAt: minutesAgo(1),
+  });
+  expect(nftEvents).toHaveLength(1);
+});
+
+test("addNFTEvent with a duplicate event without collection or token id", async () => {
+  const nftEventParams = {
+    transactionHash: transactionHash1,
+    eventType: "cancelOrder",
+    marketplace: "openSea",
+  };
+  const { result: firstResult } = await dbClient.addNFTEvent(nftEventParams);
+  expect(firstResult).toBe("success");
+  const { result: secondResult } = await dbClient.addNFTEvent(nftEventParams);
+  expect(secondResult).toBe("already-exists");
+  const { objects: nftEvents } = await dbClient.getNFTEvents({
+    createdAt: minutesAgo(1),
+  });
+  expect(nftEvents).toHaveLength(1);
+});
+
+test("addNFTEvent with a duplicate sweep", async () => {
+  const buyer = "0xc02a7141ede836cc24195a56e9a427ed8e9d5992";
+  const sweepParams = {
+    transactionHash: transactionHash1,
+    eventType: "sweep",
+    collection: collection1,
+    initiator: buyer,
+    buyer,
+    amount: 2,
+    tokenIds: ["4552", "4553"],
+    metadataUris: [
+      "ipfs://QmeSjSinHpPnmXmspMjwiXyN6zS4E9zccariGR3jxcaWtq/4552",
+      "ipfs://QmeSjSinHpPnmXmspMjwiXyN6zS4E9zccariGR3jxcaWtq/4553",
+    ],
+    price: 187,
+  };
+  const { result: firstResult, object: sweep } = await dbClient.addNFTEvent(
+    sweepParams
+  );
+  expect(firstResult).toBe("success");
+  expect(sweep).toMatchObject(sweepParams);
+  const { result: secondResult } = await dbClient.addNFTEvent(sweepParams);
+  expect(secondResult).toBe("already-exists");
+});
+
+test("getWatchedNFTEvents with a sweep only notifies the sellers on its items", async () => {
+  const { object: user1 } = await dbClient.createUser({
+    discordId: discordId1,
+  });
+  const { object: user2 } = await dbClient.createUser({
+    discordId: discordId2,
+  });
+  const buyer = "0xc02a7141ede836cc24195a56e9a427ed8e9d5992";
+  const seller1 = "0x594c6b641626f4ad29aa2bdd046d7ba678f1b7ce";
+  const seller2 = "0x4414b5e01d62c0b98a5b13db59bb0813b77283e0";
+  await dbClient.createAlert({
+    userId: user1.id,
+    type: "wallet",
+    address: buyer,
+  });
+  await dbClient.createAlert({
+    userId: user2.id,
+    type: "wallet",
+    address: seller1,
+  });
+  const { object: sweep } = await dbClient.addNFTEvent({
+    transactionHash: transactionHash1,
+    eventType: "sweep",
+    collection: collection1,
+    initiator: buyer,
+    buyer,
+    amount: 2,
+    tokenIds: ["4552", "4553"],
+    price: 187,
+  });
+  const itemParams = {
+    transactionHash: transactionHash1,
+    eventType: "acceptAsk",
+    collection: collection1,
+    initiator: buyer,
+    buyer,
+    price: 93.5,
+  };
+  const { object: item1 } = await dbClient.addNFTEvent({
+    ...itemParams,
+    tokenId: "4552",
+    seller: seller1,
+  });
+  await dbClient.addNFTEvent({
+    ...itemParams,
+    tokenId: "4553",
+    seller: seller2,
+  });
+  const { result, objects: nftEvents } = await dbClient.getWatchedNFTEvents({
+    createdAt: minutesAgo(1),
+  });
+  expect(result).toBe("success");
+  const watchedEvents = nftEvents.filter(({ watchers }) => watchers.length > 0);
+  expect(watchedEvents).toHaveLength(2);
+  expect(watchedEvents.find(({ id }) => id === sweep.id)).toMatchObject({
+    watchers: [{ discordId: discordId1, address: buyer }],
+  });
+  expect(watchedEvents.find(({ id }) => id === item1.id)).toMatchObject({
+    watchers: [{ discordId: discordId2, address: seller1 }],
+  });
+});
+
+test("getWatchedNFTEvents with a mint notifies the minter", async () => {
+  const { object: user } = await dbClient.createUser({
+    discordId: discordId1,
+  });
+  const minter = "0xc02a7141ede836cc24195a56e9a427ed8e9d5992";
+  await dbClient.createAlert({
+    userId: user.id,
+    type: "wallet",
+    address: minter,
+  });
+  const { result: addNftEventResult, object: mint } =
+    await dbClient.addNFTEvent({
+      transactionHash: transactionHash1,
+      eventType: "mint",
+      collection: collection1,
+      tokenId: "4552",
+      tokenIds: ["4552", "4553"],
+      initiator: minter,
+      buyer: minter,
+      amount: 2,
+      price: 0.16,
+    });
+  expect(addNftEventResult).toBe("success");
+  expect(mint).toMatchObject({ eventType: "mint", amount: 2 });
+  expect(mint.marketplace).toBeUndefined();
+  const { result, objects: nftEvents } = await dbClient.getWatchedNFTEvents({
+    createdAt: minutesAgo(1),
+  });
+  expect(result).toBe("success");
+  expect(nftEvents[0]).toMatchObject({
+    id: mint.id,
+    watchers: [{ discordId: discordId1, address: minter }],
+  });
+});
+
+test("getNFTEventBlocks with no arguments", async () => {
+  const { result, objects } = await dbClient.getNFTEventBlocks();
+  expect(result).toBe("missing-arguments");
+  expect(objects).toHaveLength(0);
+});
+
+test("getNFTEventBlocks with events before and after the block", async () => {
+  const blockHash =
+    "0x5ce1f2bc1c29b8ac4ec4b8bc2ae6e7bd6b0bbd4d08f1a1db1f37f4b0a2f8d7e1";
+  await dbClient.addNFTEvent({
+    transactionHash: transactionHash1,
+    eventType: "acceptAsk",
+    tokenId: "4552",
+    collection: collection1,
+    blockNumber: 15000000,
+    blockHash,
+  });
+  await dbClient.addNFTEvent({
+    transactionHash:
+      "0x20d1c19c7d284b048718dd67e0d95851864d19890a8a2771b83d209392f01591",
+    eventType: "acceptAsk",
+    tokenId: "4553",
+    collection: collection1,
+    blockNumber: 14999000,
+    blockHash,
+  });
+  const { result, objects } = await dbClient.getNFTEventBlocks({
+    minBlockNumber: 14999900,
+  });
+  expect(result).toBe("success");
+  expect(objects).toEqual([
+    {
+      transactionHash: transactionHash1,
+      blockNumber: 15000000,
+      blockHash,
+      orphaned: false,
+    },
+  ]);
+});
+
+test("setNFTEventsBlock orphaning a transaction hides its events from watchers", async () => {
+  const { object: user } = await dbClient.createUser({
+    discordId: discordId1,
+  });
+  await dbClient.createAlert({
+    userId: user.id,
+    type: "collection",
+    address: collection1,
+  });
+  await dbClient.addNFTEvent({
+    transactionHash: transactionHash1,
+    eventType: "acceptAsk",
+    tokenId: "4552",
+    collection: collection1,
+    blockNumber: 15000000,
+    blockHash:
+      "0x5ce1f2bc1c29b8ac4ec4b8bc2ae6e7bd6b0bbd4d08f1a1db1f37f4b0a2f8d7e1",
+  });
+  const { result, objects: orphanedEvents } = await dbClient.setNFTEventsBlock({
+    transactionHash: transactionHash1,
+  });
+  expect(result).toBe("success");
+  expect(orphanedEvents).toHaveLength(1);
+  expect(orphanedEvents[0].orphaned).toBe(true);
+  const { objects: nftEvents } = await dbClient.getWatchedNFTEvents({
+    createdAt: minutesAgo(1),
+  });
+  expect(nftEvents).toHaveLength(0);
+});
+
+test("setNFTEventsBlock moving an orphaned transaction to a new block", async () => {
+  const newBlockHash =
+    "0x6de1f2bc1c29b8ac4ec4b8bc2ae6e7bd6b0bbd4d08f1a1db1f37f4b0a2f8d7e1";
+  await dbClient.addNFTEvent({
+    transactionHash: transactionHash1,
+    eventType: "acceptAsk",
+    tokenId: "4552",
+    collection: collection1,
+    blockNumber: 15000000,
+    blockHash:
+      "0x5ce1f2bc1c29b8ac4ec4b8bc2ae6e7bd6b0bbd4d08f1a1db1f37f4b0a2f8d7e1",
+  });
+  await dbClient.setNFTEventsBlock({ transactionHash: transactionHash1 });
+  const { result, objects: nftEvents } = await dbClient.setNFTEventsBlock({
+    transactionHash: transactionHash1,
+    blockNumber: 15000001,
+    blockHash: newBlockHash,
+  });
+  expect(result).toBe("success");
+  expect(nftEvents[0]).toMatchObject({
+    orphaned: false,
+    blockNumber: 15000001,
+    blockHash: newBlockHash,
+  });
+});
+
+test("addNFTEvent with an ERC-20 currency", async () => {
+  const { result, object } = await dbClient.addNFTEvent({
+    transactionHash: transactionHash1,
+    eventType: "acceptAsk",
+    tokenId: "4552",
+    collection: collection1,
+    price: 4200.5,
+    currency: "USDC",
+    currencyDecimals: 6,
+  });
+  expect(result).toBe("success");
+  expect(object).toMatchObject({
+    price: 4200.5,
+    currency: "USDC",
+    currencyDecimals: 6,
+  });
+});
+
+test("addNFTEvent with a USD price", async () => {
+  const { result, object } = await dbClient.addNFTEvent({
+    transactionHash: transactionHash1,
+    eventType: "acceptAsk",
+    tokenId: "4552",
+    collection: collection1,
+    price: 2.1,
+    usdPrice: 3400,
+  });
+  expect(result).toBe("success");
+  expect(object.usdPrice).toBe(3400);
+});
+
+test("addNFTEvent with a fee breakdown", async () => {
+  const { result, object } = await dbClient.addNFTEvent({
+    transactionHash: transactionHash1,
+    eventType: "acceptAsk",
+    tokenId: "4553",
+    collection: collection1,
+    price: 2,
+    marketplaceFee: 0.05,
+    royaltyFee: 0.1,
+    sellerProfit: 1.85,
+  });
+  expect(result).toBe("success");
+  expect(object).toMatchObject({
+    marketplaceFee: 0.05,
+    royaltyFee: 0.1,
+    sellerProfit: 1.85,
+  });
+});
+
+test("setMinUSDPrice without arguments", async () => {
+  const { result, object } = await dbClient.setMinUSDPrice();
+  expect(result).toBe("missing-arguments");
+  expect(object).toBe(null);
+});
+
+test("setMinUSDPrice with a missing user", async () => {
+  const { result } = await dbClient.setMinUSDPrice({
+    discordId: discordId1,
+    minUSDPrice: 500,
+  });
+  expect(result).toBe("missing-user");
+});
+
+test("setMinUSDPrice on an existing user", async () => {
+  await dbClient.createUser({
+    discordId: discordId1,
+  });
+  const { result, object } = await dbClient.setMinUSDPrice({
+    discordId: discordId1,
+    minUSDPrice: 500,
+  });
+  expect(result).toBe("success");
+  expect(object.minUSDPrice).toBe(500);
+  const { object: updatedUser } = await dbClient.getUserByDiscordId({
+    discordId: discordId1,
+  });
+  expect(updatedUser.minUSDPrice).toBe(500);
+});
+
+test("setMinUSDPrice on an existing alert is used by its watchers", async () => {
+  const { object: user } = await dbClient.createUser({
+    discordId: discordId1,
+  });
+  await dbClient.createAlert({
+    userId: user.id,
+    type: "collection",
+    address: collection1,
+  });
+  await dbClient.setMinUSDPrice({
+    discordId: discordId1,
+    address: collection1,
+    minUSDPrice: 500,
+  });
+  const {
+    objects: [alert],
+  } = await dbClient.getAlertsByAddress({ address: collection1 });
+  expect(alert.minUSDPrice).toBe(500);
+  await dbClient.addNFTEvent({
+    transactionHash: transactionHash1,
+    eventType: "acceptAsk",
+    tokenId: "4552",
+    collection: collection1,
+  });
+  const {
+    objects: [{ watchers }],
+  } = await dbClient.getWatchedNFTEvents({ createdAt: minutesAgo(1) });
+  expect(watchers[0].minUSDPrice).toBe(500);
+});
+
+test("setMinUSDPrice to 0 on an alert removes the user's minimum for it", async () => {
+  const { object: user } = await dbClient.createUser({
+    discordId: discordId1,
+  });
+  await dbClient.createAlert({
+    userId: user.id,
+    type: "collection",
+    address: collection1,
+  });
+  await dbClient.setMinUSDPrice({
+    discordId: discordId1,
+    minUSDPrice: 500,
+  });
+  const { result, object } = await dbClient.setMinUSDPrice({
+    discordId: discordId1,
+    address: collection1,
+    minUSDPrice: 0,
+  });
+  expect(result).toBe("success");
+  expect(object.minUSDPrice).toBe(0);
+});
+
+test("setPriceRange without arguments", async () => {
+  const { result, object } = await dbClient.setPriceRange();
+  expect(result).toBe("missing-arguments");
+  expect(object).toBe(null);
+});
+
+test("setPriceRange on an existing user", async () => {
+  await dbClient.createUser({
+    discordId: discordId1,
+  });
+  const { result, object } = await dbClient.setPriceRange({
+    discordId: discordId1,
+    minPrice: 5,
+    maxPrice: 0,
+  });
+  expect(result).toBe("success");
+  expect(object).toMatchObject({ minPrice: 5, maxPrice: 0 });
+  const { object: updatedUser } = await dbClient.getUserByDiscordId({
+    discordId: discordId1,
+  });
+  expect(updatedUser).toMatchObject({ minPrice: 5, maxPrice: 0 });
+});
+
+test("setPriceRange on an existing alert is used by its watchers", async () => {
+  const { object: user } = await dbClient.createUser({
+    discordId: discordId1,
+  });
+  await dbClient.createAlert({
+    userId: user.id,
+    type: "collection",
+    address: collection1,
+  });
+  await dbClient.setPriceRange({
+    discordId: discordId1,
+    address: collection1,
+    minPrice: 1,
+    maxPrice: 10,
+  });
+  const {
+    objects: [alert],
+  } = await dbClient.getAlertsByAddress({ address: collection1 });
+  expect(alert).toMatchObject({ minPrice: 1, maxPrice: 10 });
+  await dbClient.addNFTEvent({
+    transactionHash: transactionHash1,
+    eventType: "acceptAsk",
+    tokenId: "4552",
+    collection: collection1,
+  });
+  const {
+    objects: [{ watchers }],
+  } = await dbClient.getWatchedNFTEvents({ createdAt: minutesAgo(1) });
+  expect(watchers[0]).toMatchObject({ minPrice: 1, maxPrice: 10 });
+});
+
+test("setListingFloorDifference without arguments", async () => {
+  const { result, object } = await dbClient.setListingFloorDifference();
+  expect(result).toBe("missing-arguments");
+  expect(object).toBe(null);
+});
+
+test("setListingFloorDifference on an existing alert is used by its watchers", async () => {
+  const { object: user } = await dbClient.createUser({
+    discordId: discordId1,
+  });
+  await dbClient.createAlert({
+    userId: user.id,
+    type: "collection",
+    address: collection1,
+  });
+  const { result, object } = await dbClient.setListingFloorDifference({
+    discordId: discordId1,
+    address: collection1,
+    minListingFloorDifference: 10,
+  });
+  expect(result).toBe("success");
+  expect(object.minListingFloorDifference).toBe(10);
+  await dbClient.addNFTEvent({
+    eventType: "listing",
+    orderHash: "0x10",
+    collection: collection1,
+    marketplace: "openSea",
+    tokenId: "1",
+    price: 0.8,
+    floorDifference: -0.2,
+  });
+  const {
+    objects: [{ watchers }],
+  } = await dbClient.getWatchedNFTEvents({ createdAt: minutesAgo(1) });
+  expect(watchers[0].minListingFloorDifference).toBe(10);
+});
+
+test("getWalletTrades returns the wallet's buys and sales, oldest first", async () => {
+  const trade = {
+    eventType: "acceptAsk",
+    collection: collection1,
+    tokenId: "1",
+    price: 1,
+  };
+  await dbClient.addNFTEvent({
+    ...trade,
+    transactionHash: "0x02",
+    buyer: address2,
+    seller: address1,
+    startsAt: new Date("2022-07-02"),
+    gas: 100000,
+    gasPrice: 20,
+  });
+  await dbClient.addNFTEvent({
+    ...trade,
+    transactionHash: "0x01",
+    buyer: address1,
+    seller: address2,
+    startsAt: new Date("2022-07-01"),
+  });
+  await dbClient.addNFTEvent({
+    eventType: "listing",
+    orderHash: "0x03",
+    collection: collection1,
+    tokenId: "2",
+    price: 2,
+    initiator: address1,
+    seller: address1,
+  });
+  await dbClient.addNFTEvent({
+    ...trade,
+    transactionHash: "0x04",
+    buyer: address1,
+    seller: address2,
+    startsAt: new Date("2022-07-03"),
+  });
+  const { result, objects } = await dbClient.getWalletTrades({
+    address: address1,
+    until: new Date("2022-07-03"),
+  });
+  expect(result).toBe("success");
+  expect(objects).toHaveLength(2);
+  expect(objects[0]).toMatchObject({
+    buyer: address1,
+    startsAt: new Date("2022-07-01"),
+  });
+  expect(objects[1]).toMatchObject({
+    seller: address1,
+    startsAt: new Date("2022-07-02"),
+    gasPrice: 20,
+  });
+});
+
+test("claimDBFlag can only be claimed once", async () => {
+  const name = `test_flag_${new Date().getTime()}`;
+  const { result: firstResult } = await dbClient.claimDBFlag({ name });
+  expect(firstResult).toBe("success");
+  const { result } = await dbClient.claimDBFlag({ name });
+  expect(result).toBe("already-exists");
+});
+
+test("releaseDBFlag lets a flag be claimed again", async () => {
+  const name = `test_flag_${new Date().getTime()}`;
+  await dbClient.claimDBFlag({ name });
+  const { result: releaseResult } = await dbClient.releaseDBFlag({ name });
+  expect(releaseResult).toBe("success");
+  const { result } = await dbClient.claimDBFlag({ name });
+  expect(result).toBe("success");
+});
+
+test("getWatchedNFTEvents with a token alert only notifies its token's events", async () => {
+  const { object: user } = await dbClient.createUser({
+    discordId: discordId1,
+  });
+  await dbClient.createAlert({
+    userId: user.id,
+    type: "token",
+    address: collection1,
+    tokens: [`${collection1}/1234`],
+  });
+  const order = {
+    collection: collection1,
+    marketplace: "openSea",
+    price: 1,
+    endsAt: new Date(new Date().getTime() + 60 * 60 * 1000),
+  };
+  const { object: tokenListing } = await dbClient.addNFTEvent({
+    ...order,
+    eventType: "listing",
+    orderHash: "0x10",
+    tokenId: "1234",
+  });
+  await dbClient.addNFTEvent({
+    ...order,
+    eventType: "listing",
+    orderHash: "0x11",
+    tokenId: "99",
+  });
+  const { object: collectionOffer } = await dbClient.addNFTEvent({
+    ...order,
+    eventType: "offer",
+    orderHash: "0x12",
+  });
+  const { result, objects: nftEvents } = await dbClient.getWatchedNFTEvents({
+    createdAt: minutesAgo(1),
+  });
+  expect(result).toBe("success");
+  const watchedIds = nftEvents
+    .filter(({ watchers }) => watchers.length > 0)
+    .map(({ id }) => id)
+    .sort();
+  expect(watchedIds).toEqual([tokenListing.id, collectionOffer.id].sort());
+  expect(
+    nftEvents.find(({ id }) => id === tokenListing.id).watchers
+  ).toMatchObject([{ discordId: discordId1, type: "token" }]);
+});
+
+test("setTokenTraits overwrites the cached traits of a token", async () => {
+  await dbClient.setTokenTraits({
+    collection: collection1,
+    tokenId: "1",
+    traits: ["Fur:Robot"],
+  });
+  await dbClient.setTokenTraits({
+    collection: collection1,
+    tokenId: "1",
+    traits: ["Background:Gold", "Fur:Zombie"],
+  });
+  await dbClient.setTokenTraits({
+    collection: collection1,
+    tokenId: "2",
+    traits: [],
+  });
+  const { result, objects } = await dbClient.getTokenTraits({
+    collection: collection1,
+    tokenIds: ["1", "3"],
+  });
+  expect(result).toBe("success");
+  expect(objects).toHaveLength(1);
+  expect(objects[0]).toMatchObject({
+    collection: collection1,
+    tokenId: "1",
+    traits: ["Background:Gold", "Fur:Zombie"],
+  });
+  const { objects: collectionTokens } = await dbClient.getTokenTraits({
+    collection: collection1,
+  });
+  expect(collectionTokens).toHaveLength(2);
+});
+
+test("getWatchedNFTEvents includes the trait filters of the watchers", async () => {
+  const { object: user } = await dbClient.createUser({
+    discordId: discordId1,
+  });
+  await dbClient.createAlert({
+    userId: user.id,
+    type: "collection",
+    address: collection1,
+    tokens: [`${collection1}/`],
+    traits: ["Background:Gold"],
+  });
+  await dbClient.addNFTEvent({
+    eventType: "listing",
+    orderHash: "0x10",
+    collection: collection1,
+    marketplace: "openSea",
+    tokenId: "1",
+    price: 1,
+  });
+  const {
+    objects: [{ watchers }],
+  } = await dbClient.getWatchedNFTEvents({ createdAt: minutesAgo(1) });
+  expect(watchers[0]).toMatchObject({ traits: ["Background:Gold"] });
+});
+
+test("setSnooze without arguments", async () => {
+  const { result, object } = await dbClient.setSnooze();
+  expect(result).toBe("missing-arguments");
+  expect(object).toBe(null);
+});
+
+test("setSnooze on a user snoozes its alerts until the latest snooze", async () => {
+  const { object: user } = await dbClient.createUser({
+    discordId: discordId1,
+  });
+  await dbClient.createAlert({
+    userId: user.id,
+    type: "collection",
+    address: collection1,
+  });
+  const userSnooze = new Date(Date.now() + 8 * 60 * 60 * 1000);
+  await dbClient.setSnooze({
+    discordId: discordId1,
+    address: collection1,
+    snoozedUntil: new Date(Date.now() + 60 * 60 * 1000),
+  });
+  const { result, object } = await dbClient.setSnooze({
+    discordId: discordId1,
+    snoozedUntil: userSnooze,
+  });
+  expect(result).toBe("success");
+  expect(object.snoozedUntil).toEqual(userSnooze);
+  await dbClient.addNFTEvent({
+    transactionHash: transactionHash1,
+    eventType: "acceptAsk",
+    tokenId: "4552",
+    collection: collection1,
+  });
+  const {
+    objects: [{ watchers }],
+  } = await dbClient.getWatchedNFTEvents({ createdAt: minutesAgo(1) });
+  expect(watchers[0].snoozedUntil).toEqual(userSnooze);
+  // Without a catch-up setting, the held events are summarized
+  expect(watchers[0].catchUpSummary).toBe(true);
+});
+
+test("setQuietHours on an existing alert is used by its watchers", async () => {
+  const { object: user } = await dbClient.createUser({
+    discordId: discordId1,
+  });
+  await dbClient.createAlert({
+    userId: user.id,
+    type: "collection",
+    address: collection1,
+  });
+  const { result, object } = await dbClient.setQuietHours({
+    discordId: discordId1,
+    address: collection1,
+    quietHoursStart: 22,
+    quietHoursEnd: 7,
+    timezone: "Europe/Madrid",
+    catchUpSummary: false,
+  });
+  expect(result).toBe("success");
+  expect(object).toMatchObject({
+    quietHoursStart: 22,
+    quietHoursEnd: 7,
+    timezone: "Europe/Madrid",
+    catchUpSummary: false,
+  });
+  const { object: updatedUser } = await dbClient.getUserByDiscordId({
+    discordId: discordId1,
+  });
+  expect(updatedUser).toMatchObject({
+    quietHoursStart: null,
+    timezone: "UTC",
+    catchUpSummary: true,
+  });
+  await dbClient.addNFTEvent({
+    transactionHash: transactionHash1,
+    eventType: "acceptAsk",
+    tokenId: "4552",
+    collection: collection1,
+  });
+  const {
+    objects: [{ watchers }],
+  } = await dbClient.getWatchedNFTEvents({ createdAt: minutesAgo(1) });
+  expect(watchers[0]).toMatchObject({
+    quietHoursStart: 22,
+    quietHoursEnd: 7,
+    timezone: "Europe/Madrid",
+    catchUpSummary: false,
+  });
+});
+
+test("setQuietHours without a timezone or catch-up keeps the saved ones", async () => {
+  await dbClient.createUser({ discordId: discordId1 });
+  await dbClient.setQuietHours({
+    discordId: discordId1,
+    quietHoursStart: 22,
+    quietHoursEnd: 7,
+    timezone: "Europe/Madrid",
+    catchUpSummary: false,
+  });
+  const { result, object } = await dbClient.setQuietHours({
+    discordId: discordId1,
+    quietHoursStart: 23,
+    quietHoursEnd: 8,
+  });
+  expect(result).toBe("success");
+  expect(object).toMatchObject({
+    quietHoursStart: 23,
+    quietHoursEnd: 8,
+    timezone: "Europe/Madrid",
+    catchUpSummary: false,
+  });
+});
+
+test("holdNFTEvent keeps an event for its alert until it is released", async () => {
+  const { object: user } = await dbClient.createUser({
+    discordId: discordId1,
+  });
+  const { object: alert } = await dbClient.createAlert({
+    userId: user.id,
+    type: "collection",
+    address: collection1,
+  });
+  const { object: nftEvent } = await dbClient.addNFTEvent({
+    transactionHash: transactionHash1,
+    eventType: "acceptAsk",
+    tokenId: "4552",
+    collection: collection1,
+  });
+  const { result } = await dbClient.holdNFTEvent({
+    alertId: alert.id,
+    nftEventId: nftEvent.id,
+  });
+  expect(result).toBe("success");
+  const { result: secondResult } = await dbClient.holdNFTEvent({
+    alertId: alert.id,
+    nftEventId: nftEvent.id,
+  });
+  expect(secondResult).toBe("already-held");
+  const { objects: heldEvents } = await dbClient.getHeldNFTEvents();
+  expect(heldEvents.length).toBe(1);
+  expect(heldEvents[0]).toMatchObject({ id: nftEvent.id, tokenId: "4552" });
+  expect(heldEvents[0].watchers).toMatchObject([
+    { id: alert.id, discordId: discordId1, address: collection1 },
+  ]);
+  const { count } = await dbClient.releaseHeldNFTEvents({
+    alertId: alert.id,
+    nftEventIds: [nftEvent.id],
+  });
+  expect(count).toBe(1);
+  const { objects: remainingEvents } = await dbClient.getHeldNFTEvents();
+  expect(remainingEvents.length).toBe(0);
+});
@@ -0,0 +1,68 @@
+import { createPriceOracle } from "../../src/price-oracle/index.js";
+
+const priceOracle = createPriceOracle({
+  source: "csv",
+  csvPath: "test/price-oracle/usd-prices.csv",
+});
+
+test("getUSDPrice with an ETH event", async () => {
+  const usdPrice = await priceOracle.getUSDPrice({
+    price: 2,
+    currency: "ETH",
+    startsAt: new Date("2022-07-01T12:00:00Z"),
+  });
+  expect(usdPrice).toBe(2124.6);
+});
+
+test("getUSDPrice uses the latest rate before the event", async () => {
+  const usdPrice = await priceOracle.getUSDPrice({
+    price: 1,
+    currency: "ETH",
+    startsAt: new Date("2022-07-03T00:00:00Z"),
+  });
+  expect(usdPrice).toBe(1066.5);
+});
+
+test("getUSDPrice values WETH and events without a currency as ETH", async () => {
+  const startsAt = new Date("2022-07-01T12:00:00Z");
+  const wethPrice = await priceOracle.getUSDPrice({
+    price: 1,
+    currency: "WETH",
+    startsAt,
+  });
+  const defaultPrice = await priceOracle.getUSDPrice({ price: 1, startsAt });
+  expect(wethPrice).toBe(1062.3);
+  expect(defaultPrice).toBe(1062.3);
+});
+
+test("getUSDPrice with an ERC-20 event", async () => {
+  const usdPrice = await priceOracle.getUSDPrice({
+    price: 100,
+    currency: "APE",
+    startsAt: new Date("2022-07-01T12:00:00Z"),
+  });
+  expect(usdPrice).toBeCloseTo(471);
+});
+
+test("getUSDPrice before the first rate", async () => {
+  const usdPrice = await priceOracle.getUSDPrice({
+    price: 1,
+    currency: "ETH",
+    startsAt: new Date("2022-06-30T00:00:00Z"),
+  });
+  expect(usdPrice).toBe(null);
+});
+
+test("getUSDPrice with an unknown currency", async () => {
+  const usdPrice = await priceOracle.getUSDPrice({
+    price: 1,
+    currency: "DAI",
+    startsAt: new Date("2022-07-01T12:00:00Z"),
+  });
+  expect(usdPrice).toBe(null);
+});
+
+test("getUSDPrice without a price", async () => {
+  const usdPrice = await priceOracle.getUSDPrice({ currency: "ETH" });
+  expect(usdPrice).toBe(null);
+});